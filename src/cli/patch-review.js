@@ -0,0 +1,355 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import readline from 'readline';
+import { isPatchEditable } from '../utils/decision-rules.js';
+import { isUnsupportedClaim } from '../utils/skill-evidence.js';
+
+// Terminal front-end for the approve_patches interrupt: walks the user through
+// each pending patch and returns one decision per patch ID
+export async function reviewPatches(patches) {
+  return presentPatchesForApproval(patches);
+}
+
+async function presentPatchesForApproval(patches) {
+  const decisions = [];
+  
+  console.log(chalk.blue('\n📋 Patch Approval Required'));
+  console.log(chalk.gray(`Found ${patches.length} suggested patches to review:\n`));
+  
+  for (let i = 0; i < patches.length; i++) {
+    const patch = patches[i];
+    const decision = await presentSinglePatch(patch, i + 1, patches.length);
+    
+    if (decision.action === 'pause') {
+      // Bulk review decides this patch and every one after it
+      const bulkDecisions = await pauseAndReviewAllPatches(patches.slice(i));
+      if (bulkDecisions) {
+        decisions.push(...bulkDecisions);
+        break;
+      }
+      // Continuing one by one: show the current patch again
+      i--;
+      continue;
+    }
+    
+    decisions.push({ id: patch.id, ...decision });
+  }
+  
+  // Summary
+  const approvedCount = decisions.filter(d => d.action !== 'reject').length;
+  const editedCount = decisions.filter(d => d.action === 'edit').length;
+  console.log(chalk.green(`\n✅ Approval complete: ${approvedCount}/${patches.length} patches approved${editedCount ? ` (${editedCount} edited)` : ''}`));
+  
+  if (approvedCount === 0) {
+    console.log(chalk.yellow('⚠️  No patches were approved. Resume will remain unchanged.'));
+  }
+  
+  return decisions;
+}
+
+// Returns a decision for the patch: { action: 'approve' | 'reject' | 'edit', value? },
+// or { action: 'pause' } when the user switches to bulk review
+async function presentSinglePatch(patch, currentIndex, totalCount) {
+  const priorityColor = getPriorityColor(patch.priority);
+  const priorityIcon = getPriorityIcon(patch.priority);
+  
+  console.log(chalk.blue(`\n--- Patch ${currentIndex}/${totalCount} ---`));
+  console.log(`${priorityIcon} ${priorityColor(patch.description)}`);
+  console.log(chalk.gray(`Type: ${patch.type}`));
+  console.log(chalk.gray(`Impact: ${patch.details.impact}`));
+  console.log(chalk.gray(`Confidence: ${Math.round(patch.confidence * 100)}%`));
+  
+  if (patch.details.value) {
+    console.log(chalk.cyan(`Value: ${patch.details.value}`));
+  }
+  
+  if (patch.details.action) {
+    console.log(chalk.cyan(`Action: ${patch.details.action}`));
+  }
+  
+  printEvidence(patch);
+  
+  // Only patches whose text lands in the resume verbatim can be reworded
+  const canEdit = isPatchEditable(patch);
+  const choices = [
+    { name: 'Apply this patch', value: 'apply' },
+    { name: 'Skip this patch', value: 'skip' },
+    ...(canEdit ? [{ name: 'Edit, then apply this patch', value: 'edit' }] : []),
+    { name: 'Show more details', value: 'details' },
+    { name: 'Pause and review all patches', value: 'pause' }
+  ];
+  
+  // Present approval options with keyboard-friendly choices
+  let action = await promptForAction('What would you like to do with this patch? (Use arrow keys or type number)', choices);
+  
+  if (action === 'details') {
+    await showPatchDetails(patch);
+    // Re-prompt for action after showing details
+    action = await promptForAction('What would you like to do with this patch?', choices.slice(0, canEdit ? 3 : 2));
+  }
+  
+  if (action === 'edit') {
+    const value = await editPatchValue(patch);
+    if (value === patch.details.value) {
+      console.log(chalk.gray('Text unchanged; applying the suggestion as-is'));
+      return { action: 'approve' };
+    }
+    console.log(chalk.green('✏️  Edited text will be applied'));
+    return { action: 'edit', value };
+  }
+  
+  if (action === 'pause') {
+    return { action: 'pause' };
+  }
+  
+  return { action: action === 'apply' ? 'approve' : 'reject' };
+}
+
+// List prompt with numbered choices, falling back to typed numbers if inquirer fails
+async function promptForAction(message, choices) {
+  const numbered = choices.map((choice, index) => ({ ...choice, name: `${index + 1}. ${choice.name}` }));
+  try {
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message,
+        choices: numbered,
+        default: numbered[0].value
+      }
+    ]);
+    return action;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Arrow keys not working. Please type the number (1-${choices.length}):`));
+    const num = await getNumberInput(1, choices.length);
+    return choices[num - 1].value;
+  }
+}
+
+// Open the suggested text in $VISUAL/$EDITOR when set, otherwise edit it inline
+async function editPatchValue(patch) {
+  const original = patch.details.value;
+  const useEditor = Boolean(process.env.VISUAL || process.env.EDITOR);
+  const { value } = await inquirer.prompt([
+    {
+      type: useEditor ? 'editor' : 'input',
+      name: 'value',
+      message: useEditor ? 'Edit the patch text (save and close the editor when done):' : 'Edit the patch text:',
+      default: original,
+      validate: input => input.trim().length > 0 || 'Patch text cannot be empty'
+    }
+  ]);
+  return value.trim();
+}
+
+async function showPatchDetails(patch) {
+  console.log(chalk.blue('\n📖 Patch Details:'));
+  console.log(chalk.gray('Description:'), patch.description);
+  console.log(chalk.gray('Type:'), patch.type);
+  console.log(chalk.gray('Priority:'), patch.priority);
+  console.log(chalk.gray('Estimated Effort:'), patch.estimatedEffort);
+  console.log(chalk.gray('Confidence:'), `${Math.round(patch.confidence * 100)}%`);
+  console.log(chalk.gray('Impact:'), patch.details.impact);
+  console.log(chalk.gray('Category:'), patch.details.category);
+  
+  if (patch.details.action) {
+    console.log(chalk.gray('Action:'), patch.details.action);
+  }
+  
+  if (patch.details.value) {
+    console.log(chalk.gray('Value:'), patch.details.value);
+  }
+  
+  if (patch.evidence) {
+    console.log(chalk.gray('Evidence:'), patch.evidence.status);
+    patch.evidence.items.forEach(item => console.log(chalk.gray(`  ${item.path}:`), item.text));
+  }
+  
+  console.log(chalk.gray('ID:'), patch.id);
+}
+
+// Where the resume already shows the skill, or a warning when nothing does
+function printEvidence(patch) {
+  if (!patch.evidence) return;
+  if (isUnsupportedClaim(patch)) {
+    console.log(chalk.yellow('⚠️  Unsupported claim: no work or project entry mentions this skill'));
+    return;
+  }
+  for (const item of patch.evidence.items) {
+    const via = item.match === 'related' ? ` (related: ${item.skill})` : '';
+    console.log(chalk.gray(`Evidence${via}: ${item.source} - ${item.text}`));
+  }
+}
+
+// Decide every remaining patch at once. Returns their decisions, or null to
+// go back to reviewing one by one.
+async function pauseAndReviewAllPatches(remainingPatches) {
+  console.log(chalk.yellow(`\n⏸️  Pausing for full review of ${remainingPatches.length} remaining patches...`));
+  
+  let reviewAction;
+  try {
+    const result = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'reviewAction',
+        message: 'What would you like to do?',
+        choices: [
+          { name: '1. Review all remaining patches as a checklist', value: 'review' },
+          { name: '2. Approve all remaining patches', value: 'approve_all' },
+          { name: '3. Skip all remaining patches', value: 'skip_all' },
+          { name: '4. Continue one by one', value: 'continue' }
+        ]
+      }
+    ]);
+    reviewAction = result.reviewAction;
+  } catch (error) {
+    // Fallback to simple number input if inquirer fails
+    console.log(chalk.yellow('⚠️  Arrow keys not working. Please type the number (1-4):'));
+    const num = await getNumberInput(1, 4);
+    reviewAction = getReviewActionFromNumber(num);
+  }
+  
+  if (reviewAction === 'review') {
+    return await reviewAllRemainingPatches(remainingPatches);
+  } else if (reviewAction === 'approve_all') {
+    console.log(chalk.green(`✅ All ${remainingPatches.length} remaining patches approved!`));
+    return remainingPatches.map(patch => ({ id: patch.id, action: 'approve' }));
+  } else if (reviewAction === 'skip_all') {
+    console.log(chalk.yellow(`❌ All ${remainingPatches.length} remaining patches skipped!`));
+    return remainingPatches.map(patch => ({ id: patch.id, action: 'reject' }));
+  } else {
+    console.log(chalk.blue('🔄 Continuing with individual patch review...'));
+    return null;
+  }
+}
+
+// Checklist of the remaining patches, optionally narrowed by type and priority.
+// Checked patches are approved; unchecked and filtered-out patches are skipped.
+async function reviewAllRemainingPatches(remainingPatches) {
+  while (true) {
+    const types = await pickFilterValues('Show patch types:', remainingPatches, patch => patch.type);
+    const priorities = await pickFilterValues('Show priorities:', remainingPatches, patch => patch.priority);
+    const visiblePatches = remainingPatches.filter(patch => types.includes(patch.type) && priorities.includes(patch.priority));
+    const hiddenCount = remainingPatches.length - visiblePatches.length;
+    
+    if (visiblePatches.length === 0) {
+      console.log(chalk.yellow('No patches match those filters; try again.'));
+      continue;
+    }
+    
+    console.log(chalk.blue(`\n📋 Reviewing ${visiblePatches.length} remaining patches${hiddenCount ? ` (${hiddenCount} hidden by filters)` : ''}:`));
+    
+    const { selectedIds } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selectedIds',
+        message: 'Select patches to approve:',
+        pageSize: 15,
+        choices: visiblePatches.map(patch => ({
+          name: `${getPriorityIcon(patch.priority)} ${patch.description} [${patch.type}]${patch.details?.value ? chalk.gray(` - ${patch.details.value}`) : ''}`,
+          value: patch.id,
+          // Auto-check high priority patches the resume backs up
+          checked: patch.priority === 'high' && !isUnsupportedClaim(patch)
+        }))
+      }
+    ]);
+    
+    const approvedIds = new Set(selectedIds);
+    const skippedCount = remainingPatches.length - approvedIds.size;
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Approve ${approvedIds.size} and skip ${skippedCount} remaining patches${hiddenCount ? ` (including ${hiddenCount} hidden)` : ''}?`,
+        default: true
+      }
+    ]);
+    if (!confirmed) continue;
+    
+    console.log(chalk.green(`\n✅ Selected ${approvedIds.size} patches for approval`));
+    return remainingPatches.map(patch => ({
+      id: patch.id,
+      action: approvedIds.has(patch.id) ? 'approve' : 'reject'
+    }));
+  }
+}
+
+// Checkbox filter over the distinct values of a patch field; skipped when there is only one
+async function pickFilterValues(message, patches, getValue) {
+  const counts = new Map();
+  patches.forEach(patch => counts.set(getValue(patch), (counts.get(getValue(patch)) || 0) + 1));
+  const values = [...counts.keys()];
+  if (values.length <= 1) return values;
+  
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message,
+      choices: values.map(value => ({ name: `${value} (${counts.get(value)})`, value, checked: true })),
+      validate: answer => answer.length > 0 || 'Select at least one'
+    }
+  ]);
+  return selected;
+}
+
+function getPriorityColor(priority) {
+  switch (priority) {
+    case 'high':
+      return chalk.red;
+    case 'medium':
+      return chalk.yellow;
+    case 'low':
+      return chalk.green;
+    default:
+      return chalk.white;
+  }
+}
+
+function getPriorityIcon(priority) {
+  switch (priority) {
+    case 'high':
+      return '🔴';
+    case 'medium':
+      return '🟡';
+    case 'low':
+      return '🟢';
+    default:
+      return '⚪';
+  }
+}
+
+// Fallback function for number input when inquirer fails
+function getNumberInput(min, max) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
+    const askForNumber = () => {
+      rl.question(`Enter a number (${min}-${max}): `, (input) => {
+        const num = parseInt(input.trim());
+        if (num >= min && num <= max) {
+          rl.close();
+          resolve(num);
+        } else {
+          console.log(chalk.red(`Please enter a number between ${min} and ${max}`));
+          askForNumber();
+        }
+      });
+    };
+    
+    askForNumber();
+  });
+}
+
+function getReviewActionFromNumber(num) {
+  switch (num) {
+    case 1: return 'review';
+    case 2: return 'approve_all';
+    case 3: return 'skip_all';
+    case 4: return 'continue';
+    default: return 'continue';
+  }
+}
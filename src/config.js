@@ -1,8 +1,32 @@
+import 'dotenv/config';
+
+// Non-negative integer setting from the environment; unset or invalid values use the default
+function envInteger(name, fallback) {
+  const raw = process.env[name]?.trim();
+  const value = Number(raw);
+  return raw && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
 export const config = {
   // AI Model Configuration
   openai: {
+    provider: process.env.LLM_PROVIDER || 'openai',
     apiKey: process.env.OPENAI_API_KEY,
+    // Any OpenAI-compatible endpoint (e.g. Ollama, llama.cpp server)
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
     model: process.env.OPENAI_MODEL,
+    // Per-task model overrides; unset tasks fall back to `model`
+    models: {
+      parse: process.env.OPENAI_MODEL_PARSE,
+      keywords: process.env.OPENAI_MODEL_KEYWORDS,
+      patches: process.env.OPENAI_MODEL_PATCHES,
+      categorization: process.env.OPENAI_MODEL_CATEGORIZATION,
+      jd: process.env.OPENAI_MODEL_JD
+    },
+    timeout: envInteger('OPENAI_TIMEOUT_MS', 120000), // 2 minutes per request; 0 disables the limit
+    maxRetries: envInteger('OPENAI_MAX_RETRIES', 2),
+    // Fixture directory used by the record/replay providers
+    fixturesDir: process.env.LLM_FIXTURES_DIR || 'fixtures/llm',
     maxTokens: 2000
   },
   
@@ -15,11 +39,90 @@ export const config = {
   
   // File Processing
   files: {
-    supportedFormats: ['.pdf', '.json'],
+    supportedFormats: ['.pdf', '.docx', '.json', '.md', '.markdown', '.txt'],
     maxFileSize: 10 * 1024 * 1024, // 10MB
     tempDir: './temp'
   },
   
+  // PDF text extraction: 'auto' switches to positional extraction when a page has
+  // columns, 'layout' always uses it, 'text' keeps plain pdf-parse-new text
+  pdf: {
+    extraction: process.env.RESUME_PATCH_PDF_EXTRACTION || 'auto'
+  },
+  
+  // Resume parsing
+  parse: {
+    // Re-prompt entries whose highlights fail the verbatim check (one extra LLM call per entry)
+    repromptHighlights: process.env.RESUME_PATCH_REPROMPT_HIGHLIGHTS === 'true'
+  },
+  
+  // JSON Resume schema checks after parsing and after applying patches: violations are
+  // warnings unless strict, which fails the run
+  validation: {
+    strict: process.env.RESUME_PATCH_STRICT_SCHEMA === 'true'
+  },
+  
+  // Suggested patches
+  patches: {
+    // Auto-apply skips add_skill/add_keyword patches that no work or project text backs up
+    autoApplyUnsupported: process.env.RESUME_PATCH_AUTO_APPLY_UNSUPPORTED === 'true'
+  },
+  
+  // Job descriptions
+  jd: {
+    // Saved postings accepted by --jd-file
+    fileFormats: ['.txt', '.md', '.markdown', '.html', '.htm', '.pdf'],
+    timeout: envInteger('RESUME_PATCH_JD_TIMEOUT_MS', 15000), // 0 disables the limit
+    // Public job-board APIs used for ATS-hosted postings; point these at a stand-in server to test
+    ats: {
+      greenhouse: process.env.RESUME_PATCH_GREENHOUSE_API || 'https://boards-api.greenhouse.io/v1',
+      lever: process.env.RESUME_PATCH_LEVER_API || 'https://api.lever.co/v0',
+      ashby: process.env.RESUME_PATCH_ASHBY_API || 'https://api.ashbyhq.com/posting-api',
+      workable: process.env.RESUME_PATCH_WORKABLE_API || 'https://apply.workable.com/api'
+    },
+    // Headless Chromium fallback for JavaScript-rendered pages whose static text is too short
+    browser: {
+      enabled: process.env.RESUME_PATCH_JD_BROWSER === 'true',
+      minTextLength: envInteger('RESUME_PATCH_JD_MIN_TEXT_LENGTH', 500),
+      timeout: envInteger('RESUME_PATCH_JD_BROWSER_TIMEOUT_MS', 30000), // 0 disables the limit
+      // How long to wait for the main content to appear after the page loads
+      contentTimeout: envInteger('RESUME_PATCH_JD_CONTENT_TIMEOUT_MS', 10000),
+      // Comma-separated hosts that may be rendered (subdomains included); empty allows any
+      allowedDomains: (process.env.RESUME_PATCH_JD_BROWSER_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean)
+    }
+  },
+  
+  // Skill taxonomy: a JSON or YAML list of { name, category, aliases, parents, ambiguous }
+  // entries that extend or override the built-in catalog
+  skills: {
+    taxonomyFile: process.env.RESUME_PATCH_SKILL_TAXONOMY || null
+  },
+  
+  // Checkpointed runs (written only when disk access is allowed)
+  checkpoints: {
+    dir: process.env.RESUME_PATCH_RUNS_DIR || '.resume-patch/runs',
+    keepCompleted: false
+  },
+  
+  // Local HTTP API (resume-patch serve)
+  server: {
+    host: process.env.RESUME_PATCH_HOST || '127.0.0.1',
+    port: Number(process.env.RESUME_PATCH_PORT) || 3210,
+    uploadsDir: '.resume-patch/uploads',
+    exportsDir: '.resume-patch/exports',
+    maxBodySize: 10 * 1024 * 1024, // 10MB, matches files.maxFileSize
+    // Uploads, and runs that finished or sat paused, are dropped after this long; 0 keeps them
+    retentionMs: envInteger('RESUME_PATCH_RETENTION_MINUTES', 60) * 60 * 1000,
+    // Host names the API answers to besides localhost and the bind address
+    allowedHosts: (process.env.RESUME_PATCH_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean)
+  },
+  
   // Security
   security: {
     inMemoryProcessing: true,
@@ -1,11 +1,209 @@
 #!/usr/bin/env node
 
-import { resumePatch } from './workflow.js';
+import { resumePatch, resumeRun, getPendingApproval } from './workflow.js';
+import { reviewPatches } from './cli/patch-review.js';
+import { startServer } from './server/index.js';
+import { config } from './config.js';
+import { markdownToBlocks, mapBlocksToResume } from './utils/markdown-resume.js';
+import { extractPdfLayout, describePdfLayout } from './utils/pdf-layout.js';
+import { Command } from 'commander';
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs/promises';
 import readline from 'readline';
 
+// Distinct exit codes so shell pipelines and cron jobs can tell failures apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  PARSE_FAILED: 3,
+  JD_FETCH_FAILED: 4,
+  PATCH_FAILED: 5,
+  EXPORT_FAILED: 6,
+  AWAITING_APPROVAL: 7
+};
+
+// Map the workflow step that raised an error to its exit code
+const STEP_EXIT_CODES = {
+  start: EXIT_CODES.PARSE_FAILED,
+  parse_resume: EXIT_CODES.PARSE_FAILED,
+  fetch_jd: EXIT_CODES.JD_FETCH_FAILED,
+  analyze: EXIT_CODES.PATCH_FAILED,
+  suggest_patches: EXIT_CODES.PATCH_FAILED,
+  approve_patches: EXIT_CODES.PATCH_FAILED,
+  apply_patches: EXIT_CODES.PATCH_FAILED,
+  export: EXIT_CODES.EXPORT_FAILED
+};
+
+const program = new Command();
+
+program
+  .name('resume-patch')
+  .description('AI-powered resume optimization against job descriptions')
+  .version('1.0.0');
+
+program
+  .command('interactive', { isDefault: true })
+  .description('Run the interactive prompt flow (default)')
+  .action(() => main());
+
+program
+  .command('optimize')
+  .description('Optimize a resume without prompts, for scripts and cron jobs')
+  .requiredOption('-r, --resume <file>', 'resume file to optimize')
+  .option('--jd-url <url>', 'job posting URL to fetch')
+  .option('--jd-file <file>', 'saved job description (.txt, .md, .html or .pdf)')
+  .option('--jd-text <text>', 'job description text')
+  .option('--auto-apply', 'approve and apply all suggested patches without review', false)
+  .option('--auto-apply-unsupported', 'with --auto-apply, also apply skills that no work or project mentions')
+  .option('--decisions <file>', 'YAML or JSON rules that approve, reject or edit patches by ID, type, section or value')
+  .option('--save-decisions <file>', 'write the review decisions to a rules file for later runs')
+  .option('--heuristic-parse', 'parse the resume with the rule-based parser instead of the LLM', false)
+  .option('--reprompt-highlights', 're-prompt entries whose parsed highlights are not verbatim from the resume')
+  .option('--strict-schema', 'fail the run when the parsed or patched resume violates the JSON Resume schema')
+  .option('--browser-fetch', 'render job pages with too little static text in headless Chromium')
+  .option('--allow-disk', 'allow writing temp files and exports to disk', false)
+  .option('-o, --out <dir>', 'output directory for the optimized resume', 'optimized-resume')
+  .option('--run-id <id>', 'ID for the checkpointed run (default: random UUID)')
+  .action(optimize);
+
+program
+  .command('resume')
+  .description('Continue an interrupted run from its last completed step')
+  .argument('<runId>', 'ID printed when the run started (requires --allow-disk on that run)')
+  .option('--decisions <file>', 'YAML or JSON rules that answer a run paused for patch approval')
+  .action(resume);
+
+program
+  .command('serve')
+  .description('Run the local HTTP API for uploads, runs, approvals and exports')
+  .option('-p, --port <port>', 'port to listen on', value => Number(value))
+  .option('--host <host>', 'interface to bind (defaults to localhost only)')
+  .action(serve);
+
+program
+  .command('pdf-layout')
+  .description('Show the column layout detected in a PDF resume and the text extracted in reading order')
+  .argument('<file>', 'PDF file to inspect')
+  .option('--text', 'print the positional text that would be sent to the AI parse', false)
+  .action(pdfLayout);
+
+// Non-interactive optimization driven entirely by command-line options
+async function optimize(opts) {
+  const jobDescription = {};
+  if (opts.jdUrl) {
+    try {
+      new URL(opts.jdUrl);
+    } catch {
+      console.error(chalk.red(`Invalid job posting URL: ${opts.jdUrl}`));
+      process.exit(EXIT_CODES.USAGE);
+    }
+    jobDescription.job = opts.jdUrl;
+  }
+  if (opts.jdFile) {
+    const problem = await checkJobFile(opts.jdFile);
+    if (problem) {
+      console.error(chalk.red(problem));
+      process.exit(EXIT_CODES.JD_FETCH_FAILED);
+    }
+    jobDescription.jdFile = opts.jdFile;
+  } else if (opts.jdText) {
+    jobDescription.text = opts.jdText.trim();
+  }
+  if (!jobDescription.job && !jobDescription.jdFile && !jobDescription.text) {
+    console.error(chalk.red('A job description is required: pass --jd-url, --jd-file or --jd-text'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  try {
+    const result = await resumePatch(opts.resume, {
+      ...jobDescription,
+      autoApply: opts.autoApply,
+      autoApplyUnsupported: opts.autoApplyUnsupported,
+      decisionsFile: opts.decisions,
+      saveDecisions: opts.saveDecisions,
+      heuristicParse: opts.heuristicParse,
+      repromptHighlights: opts.repromptHighlights,
+      strictSchema: opts.strictSchema,
+      browserFetch: opts.browserFetch,
+      allowDisk: opts.allowDisk,
+      output: opts.out,
+      runId: opts.runId,
+      // Without a terminal the run pauses at approval for another front-end to answer
+      reviewPatches: process.stdin.isTTY ? reviewPatches : undefined
+    });
+    reportSuccess(result);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+// Continue a checkpointed run by ID, answering a pending approval from a decisions file if given
+async function resume(runId, opts) {
+  try {
+    const result = await resumeRun(runId, {
+      decisionsFile: opts.decisions,
+      reviewPatches: process.stdin.isTTY ? reviewPatches : undefined
+    });
+    reportSuccess(result);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+async function serve(opts) {
+  try {
+    await startServer({ port: opts.port, host: opts.host });
+  } catch (error) {
+    console.error(chalk.red('Failed to start API server:'), error.message);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+// Diagnostic for multi-column PDFs: which layout was detected per page
+async function pdfLayout(file, opts) {
+  try {
+    const { text, layout } = await extractPdfLayout(await fs.readFile(file));
+    console.log(chalk.blue(`${file}: ${layout.multiColumn ? `multi-column (up to ${layout.columns})` : 'single column'}`));
+    describePdfLayout(layout).forEach(line => console.log(`  ${line}`));
+    const mode = config.pdf.extraction;
+    const used = mode === 'layout' || (mode === 'auto' && layout.multiColumn) ? 'positional' : 'plain';
+    console.log(chalk.gray(`Parsing would use ${used} text (RESUME_PATCH_PDF_EXTRACTION=${mode})`));
+    if (opts.text) console.log(`\n${text}`);
+  } catch (error) {
+    console.error(chalk.red('Failed to read PDF layout:'), error.message);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+function reportSuccess(result) {
+  const pending = getPendingApproval(result);
+  if (pending) {
+    console.log(chalk.yellow(`\n⏸️  ${pending.patches.length} patches are awaiting approval for run ${result.run_id}`));
+    if (result.allow_disk) {
+      console.log(chalk.gray('Answer them with a decisions file (see "Decision Files" in the README):'));
+      console.log(`  resume-patch resume ${result.run_id} --decisions <file>`);
+    } else {
+      console.log(chalk.yellow('⚠️  This run is kept in memory only and is lost when this process exits.'));
+      console.log(chalk.gray('Re-run with --allow-disk to answer it later, or with --decisions or --auto-apply to decide without a terminal.'));
+    }
+    process.exit(EXIT_CODES.AWAITING_APPROVAL);
+  }
+  const files = result.output?.files || {};
+  console.log(chalk.green('\n✅ Optimization completed successfully!'));
+  Object.entries(files).forEach(([format, filePath]) => {
+    console.log(chalk.green(`📄 ${format}: ${filePath}`));
+  });
+  process.exit(EXIT_CODES.SUCCESS);
+}
+
+function exitWithError(error) {
+  const step = error.details?.step;
+  console.error(chalk.red('\n❌ Optimization failed:'), error.message);
+  process.exit(STEP_EXIT_CODES[step] ?? EXIT_CODES.FAILURE);
+}
+
 // Main interactive CLI function
 async function main() {
   try {
@@ -15,7 +213,7 @@ async function main() {
     // Step 1: Select resume file
     const resumeFile = await selectResumeFile();
     if (!resumeFile) {
-      console.log(chalk.yellow('No PDF files found in current directory'));
+      console.log(chalk.yellow(`No resume files (${config.files.supportedFormats.join(', ')}) found in current directory`));
       process.exit(1);
     }
     
@@ -26,6 +224,8 @@ async function main() {
     let jobDescription = {};
     if (inputMethod === 'url') {
       jobDescription.job = await promptForJobUrl();
+    } else if (inputMethod === 'file') {
+      jobDescription.jdFile = await promptForJobFile();
     } else {
       jobDescription.text = await promptForJobDescription();
     }
@@ -38,7 +238,7 @@ async function main() {
     
     // Step 6: Start optimization
     console.log(chalk.blue('\n🚀 Starting resume optimization...'));
-    const result = await resumePatch(resumeFile, { ...jobDescription, ...options });
+    const result = await resumePatch(resumeFile, { ...jobDescription, ...options, reviewPatches });
     
     if (result.output_files) {
       console.log(chalk.green('\n✅ Optimization completed successfully!'));
@@ -58,38 +258,61 @@ async function main() {
 async function selectResumeFile() {
   try {
     const files = await fs.readdir('.');
-    const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
+    const resumeFiles = [];
+    for (const file of files) {
+      if (await isResumeFile(file)) resumeFiles.push(file);
+    }
     
-    if (pdfFiles.length === 0) {
+    if (resumeFiles.length === 0) {
       return null;
     }
     
-    if (pdfFiles.length === 1) {
-      console.log(chalk.green(`📄 Found resume: ${pdfFiles[0]}`));
-      return pdfFiles[0];
+    if (resumeFiles.length === 1) {
+      console.log(chalk.green(`📄 Found resume: ${resumeFiles[0]}`));
+      return resumeFiles[0];
     }
     
-    console.log(chalk.blue('\nAvailable PDF files:'));
-    pdfFiles.forEach((file, index) => {
+    console.log(chalk.blue('\nAvailable resume files:'));
+    resumeFiles.forEach((file, index) => {
       console.log(`${index + 1}. ${file}`);
     });
     
-    const selectedIndex = await promptForNumber(1, pdfFiles.length, 'Select a resume file (enter number):');
-    return pdfFiles[selectedIndex - 1];
+    const selectedIndex = await promptForNumber(1, resumeFiles.length, 'Select a resume file (enter number):');
+    return resumeFiles[selectedIndex - 1];
   } catch (error) {
     console.error('Error reading directory:', error);
     return null;
   }
 }
 
+// Any supported format; JSON files only when they look like a JSON Resume (not package.json etc.)
+// and text files only when they have resume sections (not README.md or a saved job description)
+async function isResumeFile(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (!config.files.supportedFormats.includes(ext)) return false;
+  if (['.pdf', '.docx'].includes(ext)) return true;
+  try {
+    const text = await fs.readFile(file, 'utf8');
+    if (ext === '.json') {
+      const content = JSON.parse(text);
+      return Boolean(content && (content.basics || content.work));
+    }
+    const { resume } = mapBlocksToResume(markdownToBlocks(text));
+    return Boolean(resume.work?.length && (resume.education?.length || resume.skills?.length));
+  } catch {
+    return false;
+  }
+}
+
 // Helper function to select input method
 async function selectInputMethod() {
   console.log(chalk.blue('\nHow would you like to provide the job description?'));
   console.log('1. 🌐 Job posting URL');
   console.log('2. 📝 Paste job description text');
+  console.log('3. 📁 Saved job description file (.txt, .md, .html, .pdf)');
   
-  const choice = await promptForNumber(1, 2, 'Enter your choice (1-2):');
-  return choice === 1 ? 'url' : 'text';
+  const choice = await promptForNumber(1, 3, 'Enter your choice (1-3):');
+  return ['url', 'text', 'file'][choice - 1];
 }
 
 // Helper function to prompt for job URL
@@ -105,6 +328,31 @@ async function promptForJobUrl() {
   }
 }
 
+// Helper function to prompt for a saved job description file
+async function promptForJobFile() {
+  const file = await promptForInput('Path to the job description file:');
+  const problem = await checkJobFile(file);
+  if (problem) {
+    console.log(chalk.red(`${problem}. Please try again.`));
+    return await promptForJobFile();
+  }
+  return file;
+}
+
+// Why a job description file cannot be used, or null when it can
+async function checkJobFile(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (!config.jd.fileFormats.includes(ext)) {
+    return `Unsupported job description file: ${ext || 'none'}. Supported formats: ${config.jd.fileFormats.join(', ')}`;
+  }
+  try {
+    await fs.access(file);
+    return null;
+  } catch {
+    return `Job description file not found: ${file}`;
+  }
+}
+
 // Helper function to prompt for job description text
 async function promptForJobDescription() {
   console.log(chalk.blue('\n📝 Job Description Input'));
@@ -142,11 +390,15 @@ async function getAdditionalOptions() {
   console.log(chalk.blue('\nAdditional Options:'));
   
   const autoApply = await promptForYesNo('Automatically apply all patches without review?', false);
+  const decisionsFile = await promptForInput('Decisions file to apply before review (leave blank for none):');
+  const saveDecisions = autoApply ? '' : await promptForInput('Save your review decisions to (leave blank to skip):');
   const allowDisk = await promptForYesNo('Allow writing temporary files to disk?', false);
   const outputPath = await promptForInput('Output path for optimized resume:', 'optimized-resume');
   
   return {
     autoApply,
+    decisionsFile: decisionsFile || undefined,
+    saveDecisions: saveDecisions || undefined,
     allowDisk,
     output: outputPath
   };
@@ -201,4 +453,7 @@ async function promptForYesNo(message, defaultValue = false) {
 }
 
 // Run the CLI
-main().catch(console.error);
+program.parseAsync(process.argv).catch((error) => {
+  console.error(chalk.red(error.message));
+  process.exit(EXIT_CODES.FAILURE);
+});
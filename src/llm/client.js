@@ -0,0 +1,66 @@
+import OpenAI from 'openai';
+import { config } from '../config.js';
+import { createRecordingClient, createReplayClient } from './fixture-provider.js';
+
+// Self-hosted OpenAI-compatible servers usually ignore auth but the SDK requires a key
+const LOCAL_API_KEY = 'not-needed';
+// Longest delay setTimeout accepts (~24.8 days), used when the timeout is disabled
+const NO_TIMEOUT = 2 ** 31 - 1;
+
+// Provider name -> factory(settings) returning an object with the OpenAI
+// `chat.completions.create` shape
+const providers = {
+  openai: createOpenAIClient,
+  // Live OpenAI calls, each captured to a fixture file
+  record: (settings) => createRecordingClient(createOpenAIClient(settings), settings),
+  // Offline playback of recorded fixtures
+  replay: createReplayClient
+};
+
+let cachedClient = null;
+
+function createOpenAIClient(settings) {
+  const apiKey = settings.apiKey || (settings.baseURL ? LOCAL_API_KEY : null);
+  if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
+  return new OpenAI({
+    apiKey,
+    baseURL: settings.baseURL,
+    timeout: settings.timeout === 0 ? NO_TIMEOUT : settings.timeout,
+    maxRetries: settings.maxRetries
+  });
+}
+
+export function registerLLMProvider(name, factory) {
+  providers[name] = factory;
+  cachedClient = null;
+}
+
+export function createLLMClient(overrides = {}) {
+  const settings = { ...config.openai, ...overrides };
+  const factory = providers[settings.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${settings.provider}. Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return factory(settings);
+}
+
+// Shared client for all nodes; created lazily so config/env are fully loaded
+export function getLLMClient() {
+  if (!cachedClient) cachedClient = createLLMClient();
+  return cachedClient;
+}
+
+export function resetLLMClient() {
+  cachedClient = null;
+}
+
+// Task is one of: parse, keywords, patches, categorization, jd
+export function getModelForTask(task) {
+  return config.openai.models?.[task] || config.openai.model;
+}
+
+export function isLLMConfigured() {
+  const { provider, apiKey, baseURL } = config.openai;
+  if (provider !== 'openai') return true;
+  return Boolean(apiKey || baseURL);
+}
@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { logger } from '../utils/logger.js';
+
+// Request fields that determine a completion; the model is recorded but not
+// hashed so fixtures replay regardless of which model produced them
+const KEYED_FIELDS = ['messages', 'response_format', 'max_completion_tokens', 'temperature'];
+
+// JSON.stringify with sorted object keys so equivalent requests hash identically
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function getRequestKey(params) {
+  const keyed = {};
+  KEYED_FIELDS.forEach(field => {
+    if (params[field] !== undefined) keyed[field] = params[field];
+  });
+  return crypto.createHash('sha256').update(stableStringify(keyed)).digest('hex');
+}
+
+function fixturePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+function toCompletion(key, fixture) {
+  return {
+    id: `replay-${key.substring(0, 12)}`,
+    object: 'chat.completion',
+    model: fixture.request?.model || 'replay',
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content: fixture.response?.content ?? null },
+        finish_reason: fixture.response?.finishReason || 'stop'
+      }
+    ]
+  };
+}
+
+// Wraps a live client and writes every chat completion (or its error) to a fixture file
+export function createRecordingClient(upstream, settings) {
+  const dir = settings.fixturesDir;
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const key = getRequestKey(params);
+          const request = { model: params.model, messages: params.messages, response_format: params.response_format };
+          let fixture;
+          let result;
+          let failure;
+          try {
+            result = await upstream.chat.completions.create(params);
+            fixture = {
+              key,
+              request,
+              response: {
+                content: result.choices?.[0]?.message?.content ?? null,
+                finishReason: result.choices?.[0]?.finish_reason || 'stop'
+              }
+            };
+          } catch (e) {
+            failure = e;
+            fixture = { key, request, error: { message: e.message, status: e.status ?? null } };
+          }
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(fixturePath(dir, key), JSON.stringify({ ...fixture, recordedAt: new Date().toISOString() }, null, 2), 'utf8');
+          logger.debug('Recorded LLM fixture', { key, dir });
+          if (failure) throw failure;
+          return result;
+        }
+      }
+    }
+  };
+}
+
+// Serves chat completions from fixture files only; never touches the network
+export function createReplayClient(settings) {
+  const dir = settings.fixturesDir;
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          const key = getRequestKey(params);
+          let fixture;
+          try {
+            fixture = JSON.parse(await fs.readFile(fixturePath(dir, key), 'utf8'));
+          } catch (e) {
+            throw new Error(`No recorded LLM fixture ${key} in ${dir} (record one with LLM_PROVIDER=record)`);
+          }
+          logger.debug('Replaying LLM fixture', { key });
+          if (fixture.error) {
+            const error = new Error(fixture.error.message);
+            error.status = fixture.error.status;
+            throw error;
+          }
+          return toCompletion(key, fixture);
+        }
+      }
+    }
+  };
+}
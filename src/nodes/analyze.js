@@ -1,6 +1,8 @@
 import { logger } from '../utils/logger.js';
 import { ProcessingError } from '../utils/error-handler.js';
-import OpenAI from 'openai';
+import { getLLMClient, getModelForTask } from '../llm/client.js';
+import { scoreMatch, rankedGaps, yearsFromWorkHistory } from '../utils/match-score.js';
+import { canonicalKey, dedupeSkills } from '../utils/skill-taxonomy.js';
 
 export async function analyzeNode(state) {
   logger.info('🔍 Analyzing resume against job description...');
@@ -41,28 +43,43 @@ export async function analyzeNode(state) {
     }
     
     // Perform analysis
+    const structure = state.jobDescription.structure;
+    const experienceMatch = analyzeExperienceMatch(resumeSections, jobSections, structure, resumeJson);
+    const scoring = scoreMatch({
+      jobKeywords: aiJobKeywords,
+      resumeKeywords: aiResumeKeywords,
+      structure,
+      experienceMatch,
+      resumeJson,
+      resumeSections
+    });
+    const skillGaps = rankedGaps(scoring);
     const analysis = {
-      matchScore: calculateAIMatchScore(aiResumeKeywords, aiJobKeywords),
+      matchScore: scoring.score,
+      scoring: { categories: scoring.categories, explanations: scoring.explanations },
       keywordAnalysis: analyzeKeywords(aiResumeKeywords, aiJobKeywords),
-      skillGaps: identifySkillGapsFromAI(aiResumeKeywords, aiJobKeywords),
-      experienceMatch: analyzeExperienceMatch(resumeSections, jobSections),
-      recommendations: generateRecommendationsFromAI(resumeSections, identifySkillGapsFromAI(aiResumeKeywords, aiJobKeywords), aiJobKeywords),
+      skillGaps,
+      experienceMatch,
+      recommendations: generateRecommendationsFromAI(resumeSections, skillGaps, aiJobKeywords),
       analyzedAt: new Date().toISOString()
     };
     
     logger.info('Analysis completed successfully', { 
       matchScore: analysis.matchScore,
+      categories: Object.fromEntries(Object.entries(scoring.categories).map(([name, category]) => [name, category.score])),
       skillGapsCount: analysis.skillGaps.length,
       recommendationsCount: analysis.recommendations.length
     });
     
     return {
       ...state,
-      analysis
+      analysis,
+      current_step: 'analyze'
     };
   } catch (error) {
     logger.error('Analysis failed', { error: error.message });
     throw new ProcessingError(`Analysis failed: ${error.message}`, { 
+      step: 'analyze',
       originalError: error.message 
     });
   }
@@ -115,14 +132,6 @@ function calculateMatchScore(resumeSections, jobSections, jobContent) {
   return Math.round((totalScore / maxScore) * 100) / 100;
 }
 
-function calculateAIMatchScore(aiResumeKeywords, aiJobKeywords) {
-  const resume = new Set(normalizeAIKeywords(aiResumeKeywords).map(s => s.toLowerCase()));
-  const job = normalizeAIKeywords(aiJobKeywords).map(s => s.toLowerCase());
-  if (job.length === 0) return 0;
-  const matched = job.filter(k => resume.has(k)).length;
-  return Math.round((matched / job.length) * 100) / 100;
-}
-
 function calculateSkillsScore(resumeSkills, jobSkills, jobContent) {
   if (!resumeSkills || !jobContent) return 0;
   
@@ -230,20 +239,15 @@ function getEducationLevel(text) {
   return null;
 }
 
-function identifySkillGapsFromAI(aiResumeKeywords, aiJobKeywords) {
-  const resume = new Set(normalizeAIKeywords(aiResumeKeywords).map(s => s.toLowerCase()));
-  const job = normalizeAIKeywords(aiJobKeywords).map(s => s.toLowerCase());
-  return job.filter(k => !resume.has(k));
-}
-
 function analyzeKeywords(aiResumeKeywords, aiJobKeywords) {
   const resumeKeywords = normalizeAIKeywords(aiResumeKeywords);
   const jobKeywords = normalizeAIKeywords(aiJobKeywords);
+  const resumeKeys = new Set(resumeKeywords.map(canonicalKey));
   return {
     resume: resumeKeywords,
     job: jobKeywords,
-    common: resumeKeywords.filter(k => jobKeywords.includes(k)),
-    missing: jobKeywords.filter(k => !resumeKeywords.includes(k))
+    common: jobKeywords.filter(k => resumeKeys.has(canonicalKey(k))),
+    missing: jobKeywords.filter(k => !resumeKeys.has(canonicalKey(k)))
   };
 }
 
@@ -251,7 +255,7 @@ function normalizeAIKeywords(list) {
   const arr = Array.isArray(list)
     ? (typeof list[0] === 'string' ? list : list.map(k => k.phrase || ''))
     : [];
-  return [...new Set(arr.map(s => s.trim()).filter(Boolean))].slice(0, 20);
+  return dedupeSkills(arr.map(s => s.trim()).filter(Boolean)).slice(0, 20);
 }
 
 function normalizePhrases(text) {
@@ -263,11 +267,9 @@ function normalizePhrases(text) {
 }
 
 async function aiExtractKeywords(jobText) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
   if (!jobText || jobText.trim().length === 0) return [];
 
-  const client = new OpenAI({ apiKey });
+  const client = getLLMClient();
   const system = `You are a recruiting assistant for technical roles. Extract concise, high-signal technical keywords and multi-word phrases from a job description.
  Rules:
  - Focus on technologies, frameworks, languages, cloud/services, data stores, methodologies, and seniority signals.
@@ -280,12 +282,13 @@ async function aiExtractKeywords(jobText) {
 - EXCLUDE non-technical business terms (e.g., "product", "team", "culture", "communication").
 - ONLY include concrete technical stack items, tools, languages, frameworks, and methodologies.
 - If a term could apply to any job, it's too generic - exclude it.
- - Output strict JSON with shape: { "keywords": [ {"phrase": string, "weight": number (0-1), "cluster": string } ] }`;
+ - Domain expertise the role needs (e.g., "payments", "distributed systems", "data engineering") is allowed with category "domain"; everything else is category "skill".
+ - Output strict JSON with shape: { "keywords": [ {"phrase": string, "weight": number (0-1), "cluster": string, "category": "skill" | "domain" } ] }`;
 
   const user = `Job Description:\n\n${jobText.substring(0, 12000)}\n\nReturn only JSON as specified.`;
 
   const resp = await client.chat.completions.create({
-    model: process.env.OPENAI_MODEL,
+    model: getModelForTask('keywords'),
     messages: [
       { role: 'system', content: system },
       { role: 'user', content: user }
@@ -300,25 +303,33 @@ async function aiExtractKeywords(jobText) {
   const list = Array.isArray(parsed?.keywords) ? parsed.keywords : [];
   // Map to unified format
   return list
-    .map(k => ({ phrase: (k.phrase || '').toString().trim(), weight: Number(k.weight ?? 0.5), cluster: (k.cluster || '').toString().trim() }))
+    .map(k => ({
+      phrase: (k.phrase || '').toString().trim(),
+      weight: Number(k.weight ?? 0.5),
+      cluster: (k.cluster || '').toString().trim(),
+      category: k.category === 'domain' ? 'domain' : 'skill'
+    }))
     .filter(k => k.phrase.length > 0)
     .slice(0, 20);
 }
 
-function analyzeExperienceMatch(resumeSections, jobSections) {
-  const resumeExp = resumeSections.experience || '';
-  const jobExp = jobSections.experience || '';
-  
-  if (!resumeExp || !jobExp) return { match: false, reason: 'Missing experience data' };
-  
-  const resumeYears = extractYearsOfExperience(resumeExp);
-  const jobYears = extractYearsOfExperience(jobExp);
-  
+// Years required come from the structured job description (overall minimum, else the
+// largest per-skill requirement); the resume's years from its work history dates
+function analyzeExperienceMatch(resumeSections, jobSections, structure, resumeJson) {
+  const perSkill = (structure?.yearsRequired || []).map(requirement => requirement.years);
+  const jobYears = structure
+    ? structure.minYearsExperience ?? (perSkill.length > 0 ? Math.max(...perSkill) : 0)
+    : extractYearsOfExperience(jobSections.experience || '');
+  if (!jobYears) return { match: true, reason: 'No experience requirement stated', requiredYears: 0 };
+
+  const resumeYears = yearsFromWorkHistory(resumeJson?.work) ?? extractYearsOfExperience(resumeSections.experience || '');
+  if (!resumeYears) return { match: false, reason: 'Missing experience data', requiredYears: jobYears };
+
   if (resumeYears >= jobYears) {
-    return { match: true, reason: 'Experience requirements met' };
-  } else {
-    return { match: false, reason: `Need ${jobYears - resumeYears} more years of experience` };
+    return { match: true, reason: 'Experience requirements met', requiredYears: jobYears, resumeYears };
   }
+  const missing = Math.round((jobYears - resumeYears) * 10) / 10;
+  return { match: false, reason: `Need ${missing} more years of experience`, requiredYears: jobYears, resumeYears };
 }
 
 function generateRecommendationsFromAI(resumeSections, skillGaps, aiJobKeywords) {
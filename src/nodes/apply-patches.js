@@ -1,9 +1,19 @@
 import { logger } from '../utils/logger.js';
-import { ProcessingError } from '../utils/error-handler.js';
+import { config } from '../config.js';
+import { ProcessingError, ValidationError } from '../utils/error-handler.js';
+import { checkResumeSchema } from '../utils/resume-schema.js';
+import { canonicalKey, dedupeSkills, mentionsSkill, sameSkill, skillCategory } from '../utils/skill-taxonomy.js';
+import { getLLMClient, getModelForTask, isLLMConfigured } from '../llm/client.js';
 import pkg from 'fast-json-patch';
 const { applyPatch } = pkg;
 
 export async function applyPatchesNode(state) {
+  return applyPatches(state);
+}
+
+// `categorize: false` places new skills by similarity instead of asking the LLM,
+// so previews stay fast and free
+export async function applyPatches(state, { categorize = true } = {}) {
   logger.info('✅ Applying approved patches to resume...');
   
   try {
@@ -16,7 +26,8 @@ export async function applyPatchesNode(state) {
           ...state.resume,
           patched: false,
           appliedPatches: []
-        }
+        },
+        current_step: 'apply_patches'
       };
     }
     
@@ -31,7 +42,7 @@ export async function applyPatchesNode(state) {
     let appliedPatches = [];
     let failedPatches = [];
     if (resumeJson && typeof resumeJson === 'object') {
-      const jsonResult = await applyPatchesToJsonResume(state.approvedPatches, resumeJson);
+      const jsonResult = await applyPatchesToJsonResume(state.approvedPatches, resumeJson, { categorize });
       updatedJson = jsonResult.updatedJson;
       appliedPatches = jsonResult.appliedPatches;
       failedPatches = jsonResult.failedPatches;
@@ -50,9 +61,10 @@ export async function applyPatchesNode(state) {
     }
     
     const textResult = await applyPatchesToResume(
-      // Only apply text-based patches that were not already marked applied structurally
-      state.approvedPatches.filter(p => !appliedPatches.find(ap => ap.id === p.id)),
-      baseSections
+      // Only apply text-based patches that were neither applied nor rejected structurally
+      state.approvedPatches.filter(p => ![...appliedPatches, ...failedPatches].some(done => done.id === p.id)),
+      baseSections,
+      { categorize }
     );
     const updatedSections = textResult.updatedSections;
     appliedPatches = appliedPatches.concat(textResult.appliedPatches);
@@ -72,6 +84,13 @@ export async function applyPatchesNode(state) {
       failedPatches,
       patchedAt: new Date().toISOString()
     };
+    if (updatedJson) {
+      // Patches can introduce bad dates or keys; keep the parse step's warnings alongside
+      patchedResume.schemaWarnings = [
+        ...(state.resume.schemaWarnings || []).filter(warning => warning.step !== 'apply_patches'),
+        ...checkResumeSchema(updatedJson, { step: 'apply_patches', strict: state.strict_schema ?? config.validation.strict })
+      ];
+    }
     
     logger.info('Patches applied successfully', { 
       appliedCount: appliedPatches.length,
@@ -83,24 +102,28 @@ export async function applyPatchesNode(state) {
     
     return {
       ...state,
-      resume: patchedResume
+      resume: patchedResume,
+      current_step: 'apply_patches'
     };
   } catch (error) {
     logger.error('Failed to apply patches', { error: error.message });
+    // Strict schema failures already name the violations
+    if (error instanceof ValidationError) throw error;
     throw new ProcessingError(`Failed to apply patches: ${error.message}`, { 
+      step: 'apply_patches',
       originalError: error.message 
     });
   }
 }
 
-async function applyPatchesToResume(patches, resumeSections) {
+async function applyPatchesToResume(patches, resumeSections, options = {}) {
   const updatedSections = { ...resumeSections };
   const appliedPatches = [];
   const failedPatches = [];
   
   for (const patch of patches) {
     try {
-      const result = await applySinglePatch(patch, updatedSections);
+      const result = await applySinglePatch(patch, updatedSections, options);
       if (result.success) {
         updatedSections[result.section] = result.updatedContent;
         appliedPatches.push({
@@ -130,19 +153,26 @@ async function applyPatchesToResume(patches, resumeSections) {
   return { updatedSections, appliedPatches, failedPatches };
 }
 
-// Apply RFC6902 patches to jsonResume where available, with safe fallback per-op
-async function applyPatchesToJsonResume(patches, jsonResume) {
+// Apply RFC6902 patches to jsonResume where available. Patches the JSON Resume rejects
+// (a skill it already lists) fail here; any other failure is left to the text fallback.
+async function applyPatchesToJsonResume(patches, jsonResume, options = {}) {
   const updatedJson = JSON.parse(JSON.stringify(jsonResume));
   const appliedPatches = [];
   const failedPatches = [];
 
   for (const patch of patches) {
-    try {
-      let ops = Array.isArray(patch.jsonPatch) ? patch.jsonPatch : null;
-      if (!ops || ops.length === 0) {
-        // Try to synthesize ops for supported types
-        ops = await buildJsonPatchOpsForPatch(patch, updatedJson);
+    let ops = Array.isArray(patch.jsonPatch) ? patch.jsonPatch : null;
+    if (!ops || ops.length === 0) {
+      // Try to synthesize ops for supported types
+      const built = await buildJsonPatchOpsForPatch(patch, updatedJson, options);
+      if (built.reason) {
+        logger.warn('JSON Resume rejected patch', { id: patch.id, type: patch.type, reason: built.reason });
+        failedPatches.push({ ...patch, failedAt: new Date().toISOString(), reason: built.reason });
+        continue;
       }
+      ops = built.ops;
+    }
+    try {
       if (!ops || ops.length === 0) throw new Error('No JSON Patch ops available');
       
       logger.debug('Applying JSON patch', { patchId: patch.id, patchType: patch.type, opsCount: ops.length });
@@ -157,34 +187,62 @@ async function applyPatchesToJsonResume(patches, jsonResume) {
       
       logger.debug('JSON patch applied successfully', { patchId: patch.id, patchType: patch.type });
     } catch (e) {
-      logger.warn('JSON patch failed for patch', { id: patch.id, type: patch.type, reason: e.message, stack: e.stack });
-      failedPatches.push({ ...patch, failedAt: new Date().toISOString(), reason: e.message });
+      logger.debug('JSON patch not applied, leaving it to the text fallback', { id: patch.id, type: patch.type, reason: e.message });
     }
   }
 
   return { updatedJson, appliedPatches, failedPatches };
 }
 
+// JSON Resume section that the text-section fallback edits for each patch type
+function getFallbackPointer(patch) {
+  switch (patch.type) {
+    case 'enhance_section':
+      return patch.details?.action?.includes('skills') ? '/skills' : '/work';
+    case 'add_content':
+      return '/projects';
+    case 'add_skill':
+    case 'add_keyword':
+    case 'recommendation_based':
+      return '/skills';
+    default:
+      return '/work';
+  }
+}
+
+// Where each patch would land in the JSON Resume, without applying anything.
+// Returns { [patchId]: [{ op, path }] }; text-only patches report their section.
+export async function describePatchLocations(patches, jsonResume) {
+  const locations = {};
+  for (const patch of patches || []) {
+    const root = JSON.parse(JSON.stringify(jsonResume || {}));
+    let ops = Array.isArray(patch.jsonPatch) && patch.jsonPatch.length > 0 ? patch.jsonPatch : null;
+    if (!ops) ops = (await buildJsonPatchOpsForPatch(patch, root)).ops;
+    locations[patch.id] = ops && ops.length > 0
+      ? ops.map(({ op, path }) => ({ op, path }))
+      : [{ op: 'text', path: getFallbackPointer(patch) }];
+  }
+  return locations;
+}
+
 // Dynamic group selection: use AI to intelligently categorize skills into existing categories
-async function pickSkillsGroupIndexForKeyword(skills, keyword) {
+async function pickSkillsGroupIndexForKeyword(skills, keyword, options = {}) {
   const list = Array.isArray(skills) ? skills : [];
   if (list.length === 0) return 0;
   const kw = String(keyword || '').trim();
-  const lower = kw.toLowerCase();
 
-  // 1) If a group already contains this keyword (case-insensitive), return that group
+  // 1) If a group already contains this skill under any spelling, return that group
   for (let i = 0; i < list.length; i++) {
     const arr = Array.isArray(list[i]?.keywords) ? list[i].keywords : [];
-    if (arr.some(k => String(k).toLowerCase() === lower)) return i;
+    if (arr.some(k => sameSkill(k, kw))) return i;
   }
+  if (options.categorize === false) return similarSkillsGroupIndex(list, kw);
 
   // 2) Use AI to determine the best category for the new skill
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) throw new Error('LLM provider not configured');
     
-    const client = new OpenAI({ apiKey });
+    const client = getLLMClient();
     
     const categoryDescriptions = list.map((group, idx) => {
       const name = group?.name || `Category ${idx + 1}`;
@@ -209,7 +267,7 @@ Instructions:
 Best category index:`;
     
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('categorization'),
       messages: [{ role: 'user', content: prompt }],
       max_completion_tokens: 10,
       temperature: 0.1
@@ -228,52 +286,59 @@ Best category index:`;
     
   } catch (error) {
     logger.warn('AI skill categorization failed, using similarity fallback', { error: error.message });
+    return similarSkillsGroupIndex(list, kw);
+  }
+}
+
+// 3) Fallback: similarity scoring with improved algorithm
+function similarSkillsGroupIndex(list, kw) {
+  const lower = kw.toLowerCase();
+  const tokenize = (s) => String(s || '').toLowerCase().split(/[^a-z0-9.+#/-]+/).filter(Boolean);
+  const kwTokens = new Set(tokenize(kw));
+  const category = skillCategory(kw);
+  let bestIdx = 0;
+  let bestScore = -1;
+  
+  for (let i = 0; i < list.length; i++) {
+    const arr = Array.isArray(list[i]?.keywords) ? list[i].keywords : [];
+    let score = 0;
     
-    // 3) Fallback: similarity scoring with improved algorithm
-    const tokenize = (s) => String(s || '').toLowerCase().split(/[^a-z0-9.+#/-]+/).filter(Boolean);
-    const kwTokens = new Set(tokenize(kw));
-    let bestIdx = 0;
-    let bestScore = -1;
-    
-    for (let i = 0; i < list.length; i++) {
-      const arr = Array.isArray(list[i]?.keywords) ? list[i].keywords : [];
-      let score = 0;
+    // Enhanced scoring: exact matches, substring matches, and token overlap
+    for (const k of arr) {
+      const keywordLower = String(k).toLowerCase();
       
-      // Enhanced scoring: exact matches, substring matches, and token overlap
-      for (const k of arr) {
-        const keywordLower = String(k).toLowerCase();
-        
-        // Exact match gets highest score
-        if (keywordLower === lower) {
-          score += 100;
-        }
-        // Substring matches get medium score
-        else if (keywordLower.includes(lower) || lower.includes(keywordLower)) {
-          score += 50;
-        }
-        // Token overlap gets lower score
-        else {
-          const tokens = tokenize(k);
-          for (const t of tokens) {
-            if (kwTokens.has(t)) score += 10;
-          }
-        }
+      // Exact match gets highest score
+      if (keywordLower === lower) {
+        score += 100;
       }
-      
-      // Bonus for category name relevance
-      const categoryName = String(list[i]?.name || '').toLowerCase();
-      if (categoryName.includes(lower) || lower.includes(categoryName)) {
-        score += 25;
+      // Substring matches get medium score
+      else if (keywordLower.includes(lower) || lower.includes(keywordLower)) {
+        score += 50;
       }
-      
-      if (score > bestScore) { 
-        bestScore = score; 
-        bestIdx = i; 
+      // Token overlap gets lower score
+      else {
+        const tokens = tokenize(k);
+        for (const t of tokens) {
+          if (kwTokens.has(t)) score += 10;
+        }
       }
+      // Same taxonomy category (e.g. databases)
+      if (category && skillCategory(k) === category) score += 20;
+    }
+    
+    // Bonus for category name relevance
+    const categoryName = String(list[i]?.name || '').toLowerCase();
+    if (categoryName.includes(lower) || lower.includes(categoryName)) {
+      score += 25;
     }
     
-    return bestIdx;
+    if (score > bestScore) { 
+      bestScore = score; 
+      bestIdx = i; 
+    }
   }
+  
+  return bestIdx;
 }
 
 function ensureSkillsArrayExists(root) {
@@ -285,61 +350,59 @@ function ensureGroupKeywordsArrayExists(root, idx) {
   if (!Array.isArray(root.skills[idx].keywords)) root.skills[idx].keywords = [];
 }
 
-async function buildJsonPatchOpsForPatch(patch, root) {
+// Returns { ops }, or { ops: [], reason } when the JSON Resume rules the patch out
+async function buildJsonPatchOpsForPatch(patch, root, options = {}) {
   try {
-    if (!root || typeof root !== 'object') return [];
+    if (!root || typeof root !== 'object') return { ops: [] };
     switch (patch.type) {
       case 'add_skill':
       case 'add_keyword': {
         const kw = patch?.details?.value;
-        if (!kw) return [];
+        if (!kw) return { ops: [] };
         ensureSkillsArrayExists(root);
-        const idx = await pickSkillsGroupIndexForKeyword(root.skills, kw);
+        if (root.skills.some(group => (group?.keywords || []).some(k => sameSkill(k, kw)))) {
+          return { ops: [], reason: 'Skill already exists in resume' };
+        }
+        const idx = await pickSkillsGroupIndexForKeyword(root.skills, kw, options);
         ensureGroupKeywordsArrayExists(root, idx);
-        return [
-          { op: 'add', path: `/skills/${idx}/keywords/-`, value: kw }
-        ];
+        return { ops: [{ op: 'add', path: `/skills/${idx}/keywords/-`, value: kw }] };
       }
       case 'role_enhancement':
       case 'align_experience': {
         // Add to work experience highlights
         const enhancementText = patch?.details?.value;
-        if (!enhancementText || !Array.isArray(root.work) || root.work.length === 0) return [];
+        if (!enhancementText || !Array.isArray(root.work) || root.work.length === 0) return { ops: [] };
         
         // Add to the most recent work entry's highlights
         const workIdx = root.work.length - 1;
         if (!Array.isArray(root.work[workIdx].highlights)) {
           root.work[workIdx].highlights = [];
         }
-        return [
-          { op: 'add', path: `/work/${workIdx}/highlights/-`, value: enhancementText }
-        ];
+        return { ops: [{ op: 'add', path: `/work/${workIdx}/highlights/-`, value: enhancementText }] };
       }
       case 'enhance_experience': {
         // Add emphasis to the most recent work entry's summary
         const enhancementText = patch?.details?.value || 'Key achievement: Relevant to target role';
-        if (!Array.isArray(root.work) || root.work.length === 0) return [];
+        if (!Array.isArray(root.work) || root.work.length === 0) return { ops: [] };
         
         const workIdx = root.work.length - 1;
         const currentSummary = root.work[workIdx].summary || '';
         const updatedSummary = currentSummary ? `${currentSummary}. ${enhancementText}` : enhancementText;
         
-        return [
-          { op: 'replace', path: `/work/${workIdx}/summary`, value: updatedSummary }
-        ];
+        return { ops: [{ op: 'replace', path: `/work/${workIdx}/summary`, value: updatedSummary }] };
       }
       default:
-        return [];
+        return { ops: [] };
     }
   } catch {
-    return [];
+    return { ops: [] };
   }
 }
 
-async function applySinglePatch(patch, resumeSections) {
+async function applySinglePatch(patch, resumeSections, options = {}) {
   switch (patch.type) {
     case 'add_skill':
-      return await applySkillPatch(patch, resumeSections);
+      return await applySkillPatch(patch, resumeSections, options);
     
     case 'enhance_section':
       return applyEnhancementPatch(patch, resumeSections);
@@ -357,7 +420,7 @@ async function applySinglePatch(patch, resumeSections) {
       return applyContentPatch(patch, resumeSections);
     
     case 'add_keyword':
-      return await applyKeywordPatch(patch, resumeSections);
+      return await applyKeywordPatch(patch, resumeSections, options);
     
     case 'recommendation_based':
       return applyRecommendationPatch(patch, resumeSections);
@@ -370,11 +433,11 @@ async function applySinglePatch(patch, resumeSections) {
   }
 }
 
-async function applySkillPatch(patch, resumeSections) {
+async function applySkillPatch(patch, resumeSections, options = {}) {
   const skillsSection = resumeSections.skills || '';
   const newSkill = patch.details.value;
   
-  if (skillsSection.toLowerCase().includes(newSkill.toLowerCase())) {
+  if (mentionsSkill(skillsSection, newSkill)) {
     return {
       success: false,
       reason: 'Skill already exists in resume'
@@ -384,8 +447,8 @@ async function applySkillPatch(patch, resumeSections) {
   // Insert skill into the appropriate category line if categories exist
   const groups = extractGroupedSkillsText(skillsSection);
   if (groups.length > 0) {
-    const targetIdx = await pickGroupForSkill(groups, newSkill);
-    const exists = groups[targetIdx].keywords.some(k => k.toLowerCase() === String(newSkill).toLowerCase());
+    const targetIdx = await pickGroupForSkill(groups, newSkill, options);
+    const exists = groups[targetIdx].keywords.some(k => sameSkill(k, newSkill));
     if (!exists) groups[targetIdx].keywords.push(newSkill);
     const updatedContent = stringifyGroupedSkills(groups);
     return {
@@ -573,12 +636,12 @@ function applyContentPatch(patch, resumeSections) {
   };
 }
 
-async function applyKeywordPatch(patch, resumeSections) {
+async function applyKeywordPatch(patch, resumeSections, options = {}) {
   const keyword = patch.details.value;
   const targetSection = 'skills'; // Default to skills section for keywords
   const currentContent = resumeSections[targetSection] || '';
 
-  if (currentContent.toLowerCase().includes(keyword.toLowerCase())) {
+  if (mentionsSkill(currentContent, keyword)) {
     return {
       success: false,
       reason: 'Keyword already exists in resume'
@@ -588,8 +651,8 @@ async function applyKeywordPatch(patch, resumeSections) {
   // Insert into best-matching group if categorized
   const groups = extractGroupedSkillsText(currentContent);
   if (groups.length > 0) {
-    const targetIdx = await pickGroupForSkill(groups, keyword);
-    const exists = groups[targetIdx].keywords.some(k => k.toLowerCase() === String(keyword).toLowerCase());
+    const targetIdx = await pickGroupForSkill(groups, keyword, options);
+    const exists = groups[targetIdx].keywords.some(k => sameSkill(k, keyword));
     if (!exists) groups[targetIdx].keywords.push(keyword);
     const updatedContent = stringifyGroupedSkills(groups);
     return {
@@ -680,7 +743,7 @@ function extractGroupedSkillsText(text) {
         .split(/[,;/]\s*/)
         .map(s => s.replace(/\.$/, '').trim())
         .filter(Boolean);
-      if (name && items.length) groups.push({ name, keywords: dedupeCaseInsensitive(items) });
+      if (name && items.length) groups.push({ name, keywords: dedupeSkills(items) });
     }
   });
   return groups;
@@ -690,7 +753,7 @@ function stringifyGroupedSkills(groups) {
   // Enforce category limit and consolidate if needed
   const consolidatedGroups = enforceCategoryLimit(groups);
   return consolidatedGroups
-    .map(g => `• ${g.name}: ${dedupeCaseInsensitive(g.keywords).join(', ')}.`)
+    .map(g => `• ${g.name}: ${dedupeSkills(g.keywords).join(', ')}.`)
     .join('\n');
 }
 
@@ -728,7 +791,7 @@ function enforceCategoryLimit(groups, maxCategories = 4) {
       similarityScore: bestScore
     });
     
-    bestMatch.keywords = dedupeCaseInsensitive([...bestMatch.keywords, ...candidate.keywords]);
+    bestMatch.keywords = dedupeSkills([...bestMatch.keywords, ...candidate.keywords]);
   }
   
   return keptCategories;
@@ -736,8 +799,8 @@ function enforceCategoryLimit(groups, maxCategories = 4) {
 
 // Calculate similarity between two skill categories
 function calculateCategorySimilarity(cat1, cat2) {
-  const keywords1 = new Set(cat1.keywords.map(k => k.toLowerCase()));
-  const keywords2 = new Set(cat2.keywords.map(k => k.toLowerCase()));
+  const keywords1 = new Set(cat1.keywords.map(canonicalKey));
+  const keywords2 = new Set(cat2.keywords.map(canonicalKey));
   
   // Calculate Jaccard similarity (intersection / union)
   const intersection = new Set([...keywords1].filter(k => keywords2.has(k)));
@@ -753,27 +816,14 @@ function calculateCategorySimilarity(cat1, cat2) {
   return jaccardSim + nameBonus;
 }
 
-function dedupeCaseInsensitive(arr) {
-  const seen = new Set();
-  const out = [];
-  for (const v of arr) {
-    const key = String(v).toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(v);
-  }
-  return out;
-}
-
-async function pickGroupForSkill(groups, skill) {
+async function pickGroupForSkill(groups, skill, options = {}) {
   if (groups.length === 0) return 0;
+  if (options.categorize === false) return similarGroupIndex(groups, skill);
   
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) throw new Error('LLM provider not configured');
     
-    const client = new OpenAI({ apiKey });
+    const client = getLLMClient();
     
     const groupDescriptions = groups.map((g, idx) => 
       `${idx}: "${g.name}" - existing skills: [${g.keywords.slice(0, 10).join(', ')}${g.keywords.length > 10 ? '...' : ''}]`
@@ -795,7 +845,7 @@ Rules:
 Category index:`;
     
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('categorization'),
       messages: [{ role: 'user', content: prompt }],
       max_completion_tokens: 10,
       temperature: 0.1
@@ -806,34 +856,41 @@ Category index:`;
     
   } catch (error) {
     logger.warn('AI-powered skill categorization failed, using fallback', { error: error.message });
-    // Fallback: find best match by keyword similarity
-    const s = String(skill).toLowerCase();
-    let bestIdx = 0;
-    let bestScore = -1;
-    
-    for (let i = 0; i < groups.length; i++) {
-      const groupKeywords = groups[i].keywords.map(k => k.toLowerCase());
-      let score = 0;
-      
-      // Check for exact matches or substring matches
-      for (const keyword of groupKeywords) {
-        if (keyword === s) score += 10;
-        else if (keyword.includes(s) || s.includes(keyword)) score += 5;
-        else {
-          // Token overlap scoring
-          const skillTokens = s.split(/[^a-z0-9]+/).filter(Boolean);
-          const keywordTokens = keyword.split(/[^a-z0-9]+/).filter(Boolean);
-          const overlap = skillTokens.filter(t => keywordTokens.includes(t)).length;
-          score += overlap;
-        }
-      }
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestIdx = i;
+    return similarGroupIndex(groups, skill);
+  }
+}
+
+// Fallback: find best match by keyword similarity
+function similarGroupIndex(groups, skill) {
+  const s = String(skill).toLowerCase();
+  const category = skillCategory(skill);
+  let bestIdx = 0;
+  let bestScore = -1;
+  
+  for (let i = 0; i < groups.length; i++) {
+    const groupKeywords = groups[i].keywords.map(k => k.toLowerCase());
+    let score = 0;
+    
+    // Check for exact matches or substring matches
+    for (const keyword of groupKeywords) {
+      if (keyword === s) score += 10;
+      else if (keyword.includes(s) || s.includes(keyword)) score += 5;
+      else {
+        // Token overlap scoring
+        const skillTokens = s.split(/[^a-z0-9]+/).filter(Boolean);
+        const keywordTokens = keyword.split(/[^a-z0-9]+/).filter(Boolean);
+        const overlap = skillTokens.filter(t => keywordTokens.includes(t)).length;
+        score += overlap;
       }
     }
+    // Same taxonomy category (e.g. databases)
+    if (category) score += 2 * groups[i].keywords.filter(k => skillCategory(k) === category).length;
     
-    return bestIdx;
+    if (score > bestScore) {
+      bestScore = score;
+      bestIdx = i;
+    }
   }
+  
+  return bestIdx;
 }
@@ -1,8 +1,19 @@
+import { interrupt, isGraphInterrupt } from '@langchain/langgraph';
 import { logger } from '../utils/logger.js';
-import { ProcessingError } from '../utils/error-handler.js';
-import inquirer from 'inquirer';
-import chalk from 'chalk';
-import readline from 'readline';
+import { ProcessingError, ValidationError } from '../utils/error-handler.js';
+import { describePatchLocations } from './apply-patches.js';
+import { config } from '../config.js';
+import { isUnsupportedClaim } from '../utils/skill-evidence.js';
+import {
+  EDITABLE_PATCH_TYPES,
+  isPatchEditable,
+  loadDecisionRules,
+  ruleSetUsesSections,
+  decidePatchesByRules,
+  saveDecisionRules
+} from '../utils/decision-rules.js';
+
+const DECISION_ACTIONS = ['approve', 'reject', 'edit'];
 
 export async function approvePatchesNode(state) {
   logger.info('🤔 Requesting user approval for patches...');
@@ -14,30 +25,66 @@ export async function approvePatchesNode(state) {
       return {
         ...state,
         approvedPatches: [],
-        patchApprovalCompleted: new Date().toISOString()
+        patchApprovalCompleted: new Date().toISOString(),
+        current_step: 'approve_patches'
       };
     }
     
-    // Check if auto-apply is enabled
-    if (state.auto_apply) {
+    // Decision file rules go first so they also hold under auto-apply
+    let ruleSet = null;
+    let ruleDecisions = [];
+    let undecided = state.patches;
+    if (state.decisions_file) {
+      ({ ruleSet, decisions: ruleDecisions, undecided } = await decidePatchesFromFile(
+        state.decisions_file,
+        state.patches,
+        state.resume?.content?.jsonResume
+      ));
+      logger.info('Applied decision rules', {
+        file: state.decisions_file,
+        decided: ruleDecisions.map(d => ({ id: d.id, action: d.action, rule: d.rule })),
+        undecidedCount: undecided.length
+      });
+    }
+    
+    let reviewerDecisions = [];
+    if (undecided.length > 0 && state.auto_apply) {
       logger.info('Auto-apply enabled - approving all patches automatically');
-      const approvedPatches = [...state.patches];
-      
-      return {
-        ...state,
-        approvedPatches,
-        patchApprovalCompleted: new Date().toISOString(),
-        autoApplied: true
-      };
+      // Skills nothing in the resume backs up need a reviewer, a decision rule or an explicit opt-in
+      const includeUnsupported = state.auto_apply_unsupported ?? config.patches.autoApplyUnsupported;
+      const skipped = includeUnsupported ? [] : undecided.filter(isUnsupportedClaim);
+      reviewerDecisions = undecided.map(patch => ({ id: patch.id, action: skipped.includes(patch) ? 'reject' : 'approve' }));
+      if (skipped.length > 0) {
+        logger.warn('Auto-apply skipped unsupported claims', { patches: skipped.map(p => ({ id: p.id, value: p.details?.value })) });
+      }
+    } else if (undecided.length > 0) {
+      // Pause the graph until a front-end (CLI, HTTP, editor) resumes it with a
+      // decision set; on resume the node re-runs and interrupt() returns it
+      reviewerDecisions = interrupt({
+        type: 'patch_approval',
+        runId: state.run_id,
+        patches: undecided,
+        decided: ruleDecisions
+      });
     }
     
-    // Present patches to user for approval
-    const approvedPatches = await presentPatchesForApproval(state.patches);
+    if (!Array.isArray(reviewerDecisions)) {
+      throw new ValidationError('Patch decisions must be an array of { id, action, value? }');
+    }
+    
+    const approvedPatches = applyPatchDecisions(state.patches, mergeDecisions(ruleDecisions, reviewerDecisions));
+    
+    if (state.save_decisions_path && !state.auto_apply && reviewerDecisions.length > 0) {
+      await saveDecisionRules(state.save_decisions_path, state.patches, reviewerDecisions, ruleSet);
+      logger.info('Saved patch decisions for replay', { file: state.save_decisions_path, count: reviewerDecisions.length });
+    }
     
     logger.info('Patch approval completed', { 
       totalPatches: state.patches.length,
       approvedCount: approvedPatches.length,
       rejectedCount: state.patches.length - approvedPatches.length,
+      editedCount: approvedPatches.filter(p => p.edited).length,
+      ruleDecidedCount: ruleDecisions.length,
       approvedPatchTypes: approvedPatches.map(p => ({ id: p.id, type: p.type, value: p.details?.value })),
       rejectedPatchIds: state.patches.filter(p => !approvedPatches.find(ap => ap.id === p.id)).map(p => p.id)
     });
@@ -45,282 +92,85 @@ export async function approvePatchesNode(state) {
     return {
       ...state,
       approvedPatches,
-      patchApprovalCompleted: new Date().toISOString()
+      patchApprovalCompleted: new Date().toISOString(),
+      ...(state.auto_apply ? { autoApplied: true } : {}),
+      current_step: 'approve_patches'
     };
   } catch (error) {
+    // Interrupts are control flow, not failures
+    if (isGraphInterrupt(error)) throw error;
     logger.error('Failed to get patch approval', { error: error.message });
     throw new ProcessingError(`Failed to get patch approval: ${error.message}`, { 
+      step: 'approve_patches',
       originalError: error.message 
     });
   }
 }
 
-async function presentPatchesForApproval(patches) {
-  const approvedPatches = [];
-  
-  console.log(chalk.blue('\n📋 Patch Approval Required'));
-  console.log(chalk.gray(`Found ${patches.length} suggested patches to review:\n`));
-  
-  for (let i = 0; i < patches.length; i++) {
-    const patch = patches[i];
-    const isApproved = await presentSinglePatch(patch, i + 1, patches.length);
-    
-    if (isApproved) {
-      approvedPatches.push(patch);
-    }
-  }
-  
-  // Summary
-  console.log(chalk.green(`\n✅ Approval complete: ${approvedPatches.length}/${patches.length} patches approved`));
-  
-  if (approvedPatches.length === 0) {
-    console.log(chalk.yellow('⚠️  No patches were approved. Resume will remain unchanged.'));
-  }
-  
-  return approvedPatches;
-}
-
-async function presentSinglePatch(patch, currentIndex, totalCount) {
-  const priorityColor = getPriorityColor(patch.priority);
-  const priorityIcon = getPriorityIcon(patch.priority);
-  
-  console.log(chalk.blue(`\n--- Patch ${currentIndex}/${totalCount} ---`));
-  console.log(`${priorityIcon} ${priorityColor(patch.description)}`);
-  console.log(chalk.gray(`Type: ${patch.type}`));
-  console.log(chalk.gray(`Impact: ${patch.details.impact}`));
-  console.log(chalk.gray(`Confidence: ${Math.round(patch.confidence * 100)}%`));
-  
-  if (patch.details.value) {
-    console.log(chalk.cyan(`Value: ${patch.details.value}`));
-  }
-  
-  if (patch.details.action) {
-    console.log(chalk.cyan(`Action: ${patch.details.action}`));
-  }
-  
-  // Present approval options with keyboard-friendly choices
-  let action;
-  try {
-    const result = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'What would you like to do with this patch? (Use arrow keys or type number)',
-        choices: [
-          { name: '1. Apply this patch', value: 'apply' },
-          { name: '2. Skip this patch', value: 'skip' },
-          { name: '3. Show more details', value: 'details' },
-          { name: '4. Pause and review all patches', value: 'pause' }
-        ],
-        default: 'apply'
-      }
-    ]);
-    action = result.action;
-  } catch (error) {
-    // Fallback to simple number input if inquirer fails
-    console.log(chalk.yellow('⚠️  Arrow keys not working. Please type the number (1-4):'));
-    action = await getNumberInput(1, 4);
-  }
-  
-  if (action === 'details') {
-    await showPatchDetails(patch);
-    // Re-prompt for action after showing details
-    let finalAction;
-    try {
-      const result = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'finalAction',
-          message: 'What would you like to do with this patch?',
-          choices: [
-            { name: '1. Apply this patch', value: 'apply' },
-            { name: '2. Skip this patch', value: 'skip' }
-          ],
-          default: 'apply'
-        }
-      ]);
-      finalAction = result.finalAction;
-    } catch (error) {
-      // Fallback to simple number input if inquirer fails
-      console.log(chalk.yellow('⚠️  Arrow keys not working. Please type the number (1-2):'));
-      finalAction = await getNumberInput(1, 2);
-    }
-    return finalAction === 'apply';
-  }
-  
-  if (action === 'pause') {
-    return await pauseAndReviewAllPatches(patches, currentIndex - 1);
-  }
-  
-  return action === 'apply';
+// Decide patches by the rules in a decisions file. Returns { ruleSet, decisions, undecided };
+// each decision names the rule that made it (`rule`).
+export async function decidePatchesFromFile(filePath, patches, jsonResume) {
+  const ruleSet = await loadDecisionRules(filePath);
+  const locations = ruleSetUsesSections(ruleSet) ? await describePatchLocations(patches, jsonResume) : {};
+  return { ruleSet, ...decidePatchesByRules(ruleSet, patches, locations) };
 }
 
-async function showPatchDetails(patch) {
-  console.log(chalk.blue('\n📖 Patch Details:'));
-  console.log(chalk.gray('Description:'), patch.description);
-  console.log(chalk.gray('Type:'), patch.type);
-  console.log(chalk.gray('Priority:'), patch.priority);
-  console.log(chalk.gray('Estimated Effort:'), patch.estimatedEffort);
-  console.log(chalk.gray('Confidence:'), `${Math.round(patch.confidence * 100)}%`);
-  console.log(chalk.gray('Impact:'), patch.details.impact);
-  console.log(chalk.gray('Category:'), patch.details.category);
-  
-  if (patch.details.action) {
-    console.log(chalk.gray('Action:'), patch.details.action);
-  }
-  
-  if (patch.details.value) {
-    console.log(chalk.gray('Value:'), patch.details.value);
-  }
-  
-  console.log(chalk.gray('ID:'), patch.id);
+// One decision set from rule and reviewer decisions; the reviewer's decision wins for a patch
+export function mergeDecisions(ruleDecisions, reviewerDecisions) {
+  const answeredIds = new Set(reviewerDecisions.map(d => d?.id));
+  return [
+    ...ruleDecisions.filter(d => !answeredIds.has(d.id)).map(({ rule, ...decision }) => decision),
+    ...reviewerDecisions
+  ];
 }
 
-async function pauseAndReviewAllPatches(patches, currentIndex) {
-  console.log(chalk.yellow('\n⏸️  Pausing for full review...'));
-  
-  let reviewAction;
-  try {
-    const result = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'reviewAction',
-        message: 'What would you like to do?',
-        choices: [
-          { name: '1. Review all remaining patches', value: 'review' },
-          { name: '2. Approve all remaining patches', value: 'approve_all' },
-          { name: '3. Skip all remaining patches', value: 'skip_all' },
-          { name: '4. Continue one by one', value: 'continue' }
-        ]
-      }
-    ]);
-    reviewAction = result.reviewAction;
-  } catch (error) {
-    // Fallback to simple number input if inquirer fails
-    console.log(chalk.yellow('⚠️  Arrow keys not working. Please type the number (1-4):'));
-    const num = await getNumberInput(1, 4);
-    reviewAction = getReviewActionFromNumber(num);
-  }
-  
-  if (reviewAction === 'review') {
-    return await reviewAllRemainingPatches(patches, currentIndex);
-  } else if (reviewAction === 'approve_all') {
-    console.log(chalk.green('✅ All remaining patches approved!'));
-    return true; // This will be handled by the calling function
-  } else if (reviewAction === 'skip_all') {
-    console.log(chalk.yellow('❌ All remaining patches skipped!'));
-    return false; // This will be handled by the calling function
-  } else {
-    console.log(chalk.blue('🔄 Continuing with individual patch review...'));
-    return null; // Continue with individual review
+// Turn a decision set into the approved patch list. Decisions are
+// [{ id, action: 'approve' | 'reject' | 'edit', value? }]; patches without a
+// decision are rejected. Edited patches carry the new value and keep the original.
+export function applyPatchDecisions(patches, decisions) {
+  if (!Array.isArray(decisions)) {
+    throw new ValidationError('Patch decisions must be an array of { id, action, value? }');
   }
-}
 
-async function reviewAllRemainingPatches(patches, currentIndex) {
-  const remainingPatches = patches.slice(currentIndex);
-  const approvedIndices = [];
-  
-  console.log(chalk.blue(`\n📋 Reviewing ${remainingPatches.length} remaining patches:`));
-  
-  for (let i = 0; i < remainingPatches.length; i++) {
-    const patch = remainingPatches[i];
-    const priorityIcon = getPriorityIcon(patch.priority);
-    console.log(`${i + 1}. ${priorityIcon} ${patch.description}`);
-  }
-  
-  const { selectedPatches } = await inquirer.prompt([
-    {
-      type: 'checkbox',
-      name: 'selectedPatches',
-      message: 'Select patches to approve:',
-      choices: remainingPatches.map((patch, index) => ({
-        name: `${patch.description} (${patch.priority} priority)`,
-        value: index,
-        checked: patch.priority === 'high' // Auto-check high priority patches
-      }))
+  const byId = new Map();
+  for (const decision of decisions) {
+    if (!decision || !patches.some(p => p.id === decision.id)) {
+      throw new ValidationError(`Decision references unknown patch ID: ${decision?.id}`, { decision });
     }
-  ]);
-  
-  approvedIndices.push(...selectedPatches);
-  
-  // Update the patches array to mark approved ones
-  for (let i = 0; i < remainingPatches.length; i++) {
-    remainingPatches[i].approved = approvedIndices.includes(i);
-  }
-  
-  console.log(chalk.green(`\n✅ Selected ${approvedIndices.length} patches for approval`));
-  
-  // Return to individual review mode
-  return null;
-}
-
-function getPriorityColor(priority) {
-  switch (priority) {
-    case 'high':
-      return chalk.red;
-    case 'medium':
-      return chalk.yellow;
-    case 'low':
-      return chalk.green;
-    default:
-      return chalk.white;
-  }
-}
-
-function getPriorityIcon(priority) {
-  switch (priority) {
-    case 'high':
-      return '🔴';
-    case 'medium':
-      return '🟡';
-    case 'low':
-      return '🟢';
-    default:
-      return '⚪';
-  }
-}
-
-// Fallback function for number input when inquirer fails
-function getNumberInput(min, max) {
-  return new Promise((resolve) => {
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    const askForNumber = () => {
-      rl.question(`Enter a number (${min}-${max}): `, (input) => {
-        const num = parseInt(input.trim());
-        if (num >= min && num <= max) {
-          rl.close();
-          resolve(getActionFromNumber(num));
-        } else {
-          console.log(chalk.red(`Please enter a number between ${min} and ${max}`));
-          askForNumber();
-        }
+    if (!DECISION_ACTIONS.includes(decision.action)) {
+      throw new ValidationError(`Invalid decision action "${decision.action}" for patch ${decision.id}`, {
+        decision,
+        allowedActions: DECISION_ACTIONS
       });
-    };
-    
-    askForNumber();
-  });
-}
-
-function getActionFromNumber(num) {
-  switch (num) {
-    case 1: return 'apply';
-    case 2: return 'skip';
-    case 3: return 'details';
-    case 4: return 'pause';
-    default: return 'apply';
+    }
+    if (decision.action === 'edit' && !isPatchEditable(patches.find(p => p.id === decision.id))) {
+      throw new ValidationError(`Patch ${decision.id} cannot be edited`, { decision, editableTypes: EDITABLE_PATCH_TYPES });
+    }
+    if (decision.action === 'edit' && (typeof decision.value !== 'string' || !decision.value.trim())) {
+      throw new ValidationError(`Edit decision for patch ${decision.id} requires a non-empty value`, { decision });
+    }
+    byId.set(decision.id, decision);
   }
-}
 
-function getReviewActionFromNumber(num) {
-  switch (num) {
-    case 1: return 'review';
-    case 2: return 'approve_all';
-    case 3: return 'skip_all';
-    case 4: return 'continue';
-    default: return 'continue';
+  const approved = [];
+  for (const patch of patches) {
+    const decision = byId.get(patch.id);
+    if (!decision || decision.action === 'reject') continue;
+    if (decision.action === 'approve') {
+      approved.push(patch);
+      continue;
+    }
+    // Precomputed JSON Patch ops embed the old value; drop them so they are rebuilt from the edit
+    const { jsonPatch, ...rest } = patch;
+    approved.push({
+      ...rest,
+      edited: true,
+      details: {
+        ...patch.details,
+        value: decision.value.trim(),
+        originalValue: patch.details?.value
+      }
+    });
   }
+  return approved;
 }
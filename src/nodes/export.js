@@ -1,9 +1,13 @@
 import { logger } from '../utils/logger.js';
 import { ProcessingError } from '../utils/error-handler.js';
 import { createTempDir, cleanupTempFiles } from '../utils/file-utils.js';
+import { formatFidelityReport } from '../utils/parse-fidelity.js';
+import { canonicalKey, dedupeSkills, findSkill, findSkillsInText, skillCategory } from '../utils/skill-taxonomy.js';
+import { isUnsupportedClaim } from '../utils/skill-evidence.js';
 import fs from 'fs/promises';
 import path from 'node:path';
 import { exec } from 'child_process';
+import straightforwardTheme from 'jsonresume-theme-straightforward';
 import { promisify } from 'node:util';
 
 const execAsync = promisify(exec);
@@ -48,6 +52,11 @@ export async function exportNode(state) {
         await fs.writeFile(p, exportResults.patchReport.content, 'utf8');
         outputFiles.patchReport = p;
       }
+      if (exportResults.parseFidelity?.content) {
+        const p = path.join(outDir, 'parseFidelity.md');
+        await fs.writeFile(p, exportResults.parseFidelity.content, 'utf8');
+        outputFiles.parseFidelity = p;
+      }
       if (exportResults.pdf?.success && exportResults.pdf?.filePath) {
         try {
           const pdfName = path.basename(exportResults.pdf.filePath);
@@ -87,7 +96,8 @@ export async function exportNode(state) {
         files: outputFiles,
         exportedAt: new Date().toISOString(),
         success: true
-      }
+      },
+      current_step: 'export'
     };
   } catch (error) {
     logger.error('Export failed', { error: error.message });
@@ -100,11 +110,17 @@ export async function exportNode(state) {
     }
     
     throw new ProcessingError(`Export failed: ${error.message}`, { 
+      step: 'export',
       originalError: error.message 
     });
   }
 }
 
+// Render with the export theme in-process, for previews that can't wait on Resumed
+export function renderResumeHtml(jsonResume) {
+  return straightforwardTheme.render(jsonResume);
+}
+
 async function generateExports(resume, tempDir) {
   const exports = {};
   
@@ -133,6 +149,16 @@ async function generateExports(resume, tempDir) {
       size: patchReport.length
     };
 
+    // Parse fidelity report, when the resume went through the AI parse
+    if (resume.fidelity) {
+      const fidelityReport = formatFidelityReport(resume.fidelity);
+      exports.parseFidelity = {
+        content: fidelityReport,
+        format: 'markdown',
+        size: fidelityReport.length
+      };
+    }
+
     // Write JSON to temp file for Resumed
     const tmpJsonPath = path.join(tempDir, 'resume.json');
     await fs.writeFile(tmpJsonPath, JSON.stringify(jsonResume, null, 2), 'utf8');
@@ -186,7 +212,7 @@ async function generateExports(resume, tempDir) {
   return exports;
 }
 
-function generateJSONResume(resume) {
+export function generateJSONResume(resume) {
   // If we have a structured JSON Resume from parsing, prefer it to avoid data loss
   const parsedJson = resume?.content?.jsonResume;
   const meta = {
@@ -380,7 +406,10 @@ function generatePatchReport(resume) {
       report += `- **Type:** ${patch.type}\n`;
       report += `- **Priority:** ${patch.priority}\n`;
       report += `- **Impact:** ${patch.details?.impact || 'Unknown'}\n`;
-      report += `- **Applied:** ${patch.appliedAt}\n\n`;
+      report += `- **Applied:** ${patch.appliedAt}\n`;
+      report += formatEditedPatch(patch);
+      report += formatEvidence(patch);
+      report += '\n';
       
       if (patch.result?.changes) {
         report += '**Changes Made:**\n';
@@ -399,7 +428,9 @@ function generatePatchReport(resume) {
       report += `### ${index + 1}. ${patch.description}\n\n`;
       report += `- **Type:** ${patch.type}\n`;
       report += `- **Reason:** ${patch.reason}\n`;
-      report += `- **Failed:** ${patch.failedAt}\n\n`;
+      report += `- **Failed:** ${patch.failedAt}\n`;
+      report += formatEditedPatch(patch);
+      report += '\n';
     });
   }
   
@@ -414,6 +445,21 @@ function generatePatchReport(resume) {
 }
 
 // Helper functions for parsing resume sections
+// Suggested vs. final text for patches the reviewer reworded
+function formatEditedPatch(patch) {
+  if (!patch.edited) return '';
+  return `- **Edited by reviewer:** yes\n`
+    + `- **Suggested Text:** ${patch.details?.originalValue}\n`
+    + `- **Final Text:** ${patch.details?.value}\n`;
+}
+
+// Resume text backing an added skill, or a flag when nothing does
+function formatEvidence(patch) {
+  if (!patch.evidence) return '';
+  if (isUnsupportedClaim(patch)) return '- **Evidence:** none (unsupported claim)\n';
+  return `- **Evidence:** ${patch.evidence.items.map(item => `${item.source} (\`${item.path}\`)`).join('; ')}\n`;
+}
+
 function extractName(text) {
   // Simple name extraction - first line is usually the name
   const lines = text.split('\n').filter(line => line.trim().length > 0);
@@ -539,7 +585,7 @@ function extractGroupedSkills(text) {
         .split(/[,;/]\s*/)
         .map(s => s.replace(/\s*\([^\)]*\)\s*$/, '').trim())
         .filter(Boolean);
-      const deduped = Array.from(new Set(items));
+      const deduped = dedupeSkills(items);
       if (category && deduped.length > 0) {
         groups.push({ name: category, keywords: deduped });
         seenCategory.add(category.toLowerCase());
@@ -562,39 +608,30 @@ function extractGroupedSkills(text) {
   return groups;
 }
 
+// Skills group for each taxonomy category
+const SKILL_GROUPS = {
+  frontend: 'Frontend Development',
+  mobile: 'Frontend Development',
+  backend: 'Backend Development',
+  data: 'Data & Machine Learning',
+  databases: 'Data & Machine Learning', // Put DBs with Data & ML
+  cloud: 'DevOps & Infrastructure',
+  devops: 'DevOps & Infrastructure',
+  practices: 'Software Engineering Practices'
+};
+
 function groupSkillsByHeuristics(keywords) {
-  const buckets = {
-    'Frontend Development': new Set(),
-    'Backend Development': new Set(),
-    'Data & Machine Learning': new Set(),
-    'DevOps & Infrastructure': new Set(),
-    'Software Engineering Practices': new Set(),
-  };
+  const buckets = new Map([...new Set(Object.values(SKILL_GROUPS))].map(name => [name, []]));
 
-  const lower = (s) => s.toLowerCase();
-
-  const isFrontend = (k) => /^(javascript|typescript|react|react\.js|angular|vue|astro|tailwind|html|css|wcag|frontend)/i.test(k);
-  const isBackend = (k) => /^(python|fastapi|flask|node\.js|express\.js|rest|api|graphql|go|golang|ruby|rails|java|spring)/i.test(k);
-  const isDB = (k) => /^(sql|postgres|postgresql|mongodb|mysql|redis|database|datastore)/i.test(k);
-  const isML = (k) => /^(pytorch|tensorflow|scikit|scikit-learn|numpy|pandas|langchain|llm|rAG|vector|embedding|data visualization|statistical analysis|machine learning|data science)/i.test(k);
-  const isDevOps = (k) => /^(docker|kubernetes|gcp|google cloud|aws|azure|ci\/cd|git|terraform|ansible|devops|infrastructure)/i.test(k);
-  const isPractice = (k) => /^(agile|scrum|oop|object-oriented|tdd|test-driven|system architecture|performance optimization|secure coding|software development)/i.test(k);
-
-  keywords.forEach(k => {
-    const key = String(k).trim();
-    if (!key) return;
-    if (isFrontend(key)) return buckets['Frontend Development'].add(k);
-    if (isBackend(key)) return buckets['Backend Development'].add(k);
-    if (isML(key)) return buckets['Data & Machine Learning'].add(k);
-    if (isDB(key)) return buckets['Data & Machine Learning'].add(k); // Put DBs with Data & ML
-    if (isDevOps(key)) return buckets['DevOps & Infrastructure'].add(k);
-    if (isPractice(key)) return buckets['Software Engineering Practices'].add(k);
+  dedupeSkills(keywords.map(k => String(k).trim()).filter(Boolean)).forEach(k => {
+    // Unknown phrases like "React hooks" go with the first skill they mention
+    const category = skillCategory(k) || skillCategory(findSkillsInText(k)[0]);
     // Fallback: put into Backend by default to avoid dropping skills
-    buckets['Backend Development'].add(k);
+    buckets.get(SKILL_GROUPS[category] || 'Backend Development').push(k);
   });
 
-  return Object.entries(buckets)
-    .map(([name, set]) => ({ name, keywords: Array.from(set) }))
+  return [...buckets.entries()]
+    .map(([name, list]) => ({ name, keywords: list }))
     .filter(group => group.keywords.length > 0);
 }
 
@@ -605,9 +642,7 @@ function mergeSkillGroups(groups) {
     if (group && group.name && Array.isArray(group.keywords)) {
       const name = group.name;
       const existing = merged.get(name);
-      const keywords = new Set(existing ? existing.keywords : []);
-      group.keywords.forEach(kw => keywords.add(kw));
-      merged.set(name, { name, keywords: Array.from(keywords) });
+      merged.set(name, { name, keywords: dedupeSkills([...(existing ? existing.keywords : []), ...group.keywords]) });
     }
   });
   return Array.from(merged.values());
@@ -739,7 +774,7 @@ function sanitizeHighlights(highlights) {
 function normalizeAndEnsureSkills(groups, supplementPool, min = 5) {
   const pool = Array.isArray(supplementPool) ? Array.from(new Set(supplementPool.map(String))) : [];
 
-  // Pre-clean within groups (trim, strip trailing punctuation, dedupe case-insensitively)
+  // Pre-clean within groups (trim, strip trailing punctuation, dedupe spellings of the same skill)
   const cleaned = (Array.isArray(groups) ? groups : []).map(g => {
     const set = new Set();
     const keywords = Array.isArray(g.keywords) ? g.keywords : [];
@@ -747,7 +782,7 @@ function normalizeAndEnsureSkills(groups, supplementPool, min = 5) {
       .map(k => String(k || '').trim().replace(/[.,;]+$/, ''))
       .filter(Boolean)
       .filter(k => {
-        const lk = k.toLowerCase();
+        const lk = canonicalKey(k);
         if (set.has(lk)) return false;
         set.add(lk);
         return true;
@@ -759,7 +794,7 @@ function normalizeAndEnsureSkills(groups, supplementPool, min = 5) {
   const seen = new Set();
   cleaned.forEach(g => {
     g.keywords = g.keywords.filter(k => {
-      const lk = k.toLowerCase();
+      const lk = canonicalKey(k);
       if (seen.has(lk)) return false;
       seen.add(lk);
       return true;
@@ -769,10 +804,10 @@ function normalizeAndEnsureSkills(groups, supplementPool, min = 5) {
   // Ensure minimum per group using pool without introducing duplicates
   const addIfPossible = (existing, globalSeen) => {
     const out = Array.isArray(existing) ? [...existing] : [];
-    const local = new Set(out.map(x => String(x).toLowerCase()));
+    const local = new Set(out.map(canonicalKey));
     for (const k of pool) {
       if (out.length >= min) break;
-      const lk = String(k).toLowerCase();
+      const lk = canonicalKey(k);
       if (!local.has(lk) && !globalSeen.has(lk)) {
         out.push(k);
         local.add(lk);
@@ -794,48 +829,17 @@ function normalizeAndEnsureSkills(groups, supplementPool, min = 5) {
 // Determine whether skills contain concrete technologies rather than only abstract categories
 function hasConcreteTech(skills) {
   if (!Array.isArray(skills)) return false;
-  const techPattern = /(python|fastapi|flask|node|node\.js|react|angular|typescript|javascript|tailwind|docker|kubernetes|gcp|aws|azure|postgres|postgresql|mysql|mongodb|redis|pytorch|tensorflow|langchain|supabase|groq|pinecone|graphql|ci\/cd|jwt|golang|go)/i;
-  return skills.some(g => Array.isArray(g.keywords) && g.keywords.some(k => techPattern.test(String(k))));
+  const isTech = k => [findSkill(k)?.name, ...findSkillsInText(String(k))].some(name => name && skillCategory(name) !== 'practices');
+  return skills.some(g => Array.isArray(g.keywords) && g.keywords.some(isTech));
 }
 
-// Mine technologies from work and project descriptions/highlights
+// Mine technologies from work and project descriptions/highlights, by canonical name
 function extractTechFromContent({ work = [], projects = [] }) {
-  const bag = new Set();
-  const add = (s) => {
-    const tokens = String(s || '')
-      .split(/[^A-Za-z0-9+.#/-]+/)
-      .map(t => t.trim())
-      .filter(Boolean);
-    tokens.forEach(t => {
-      const normalized = t.replace(/[,.;]$/, '');
-      const keep = /^(python|fastapi|flask|node\.js|express|react|angular|typescript|javascript|tailwind|html|css|docker|kubernetes|gcp|google|aws|azure|postgres|postgresql|mongodb|mysql|redis|pytorch|tensorflow|scikit|pandas|numpy|langchain|groq|pinecone|supabase|graphql|jwt|oauth|rest|api|kafka|rabbitmq|airflow|cloud run|secret manager|ci|cd)$/i;
-      if (keep.test(normalized)) bag.add(normalized);
-    });
-  };
-
-  work.forEach(w => {
-    add(w.company);
-    add(w.position);
-    add(w.summary);
-    (w.highlights || []).forEach(add);
-  });
-  projects.forEach(p => {
-    add(p.name);
-    add(p.description);
-    (p.highlights || []).forEach(add);
-  });
-
-  // Normalize a few aliases
-  const aliases = new Map([
-    ['google', 'GCP'],
-    ['node.js', 'Node.js'],
-    ['express', 'Express.js'],
-    ['postgresql', 'PostgreSQL'],
-    ['ci', 'CI/CD'],
-    ['cd', 'CI/CD']
-  ]);
-  const out = Array.from(bag).map(v => aliases.get(v.toLowerCase()) || v);
-  return out;
+  const texts = [
+    ...work.flatMap(w => [w.company, w.position, w.summary, ...(w.highlights || [])]),
+    ...projects.flatMap(p => [p.name, p.description, ...(p.highlights || [])])
+  ];
+  return dedupeSkills(texts.flatMap(text => findSkillsInText(text))).filter(name => skillCategory(name) !== 'practices');
 }
 
 // Ensure basics.location renders nicely in themes that expect region/country
@@ -1,6 +1,13 @@
+import fs from 'fs/promises';
+import path from 'node:path';
 import { logger } from '../utils/logger.js';
 import { ProcessingError } from '../utils/error-handler.js';
-import { htmlToText } from '../utils/file-utils.js';
+import { config } from '../config.js';
+import { matchAtsUrl, fetchAtsPosting } from '../utils/ats-adapters.js';
+import { extractJobPosting, jobPostingToText, extractMainText } from '../utils/jd-html.js';
+import { isBrowserFetchAllowed, renderJobPage } from '../utils/jd-browser.js';
+import { extractPdfText } from '../utils/pdf-text.js';
+import { parseJobDescription, structureToSections } from '../utils/jd-parser.js';
 
 export async function fetchJDNode(state) {
   logger.info('📋 Fetching job description...');
@@ -14,33 +21,62 @@ export async function fetchJDNode(state) {
         content,
         fetched: true,
         length: content.length,
-        sections: extractJDSections(content)
+        ...(await describeJob(content))
       };
       logger.info('Job description provided as text input');
       logger.info('JD snippet (text)', { snippet: content.substring(0, 600) });
-      return { ...state, jobDescription: jobData, jd_text: content };
+      return { ...state, jobDescription: jobData, jd_text: content, current_step: 'fetch_jd' };
+    }
+
+    // A saved posting on disk
+    if (state.jd_file) {
+      try {
+        const { posting, text, extraction } = await readJobFile(state.jd_file);
+        if (!text) throw new Error(`${state.jd_file} contains no text`);
+        const jobData = {
+          source: 'file',
+          path: state.jd_file,
+          content: text,
+          fetched: true,
+          length: text.length,
+          extraction,
+          ...(posting && { posting }),
+          ...(await describeJob(text, posting))
+        };
+        logger.info('Job description read from file', { path: state.jd_file, length: text.length, extraction });
+        logger.info('JD snippet (file)', { snippet: text.substring(0, 600) });
+        return { ...state, jobDescription: jobData, jd_text: text, current_step: 'fetch_jd' };
+      } catch (e) {
+        logger.warn('Job description file could not be read', { path: state.jd_file, error: e.message });
+        const jobData = { source: 'file', path: state.jd_file, content: null, fetched: false, error: e.message };
+        return { ...state, jobDescription: jobData, current_step: 'fetch_jd' };
+      }
     }
 
     // Otherwise try URL
     if (state.jd_url && isValidUrl(state.jd_url)) {
       logger.info('Job description is a URL, fetching content...', { url: state.jd_url });
       try {
-        const res = await fetch(state.jd_url, { redirect: 'follow' });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const html = await res.text();
-        const text = htmlToText(html);
-        const trimmed = text.trim();
+        const { posting, text: trimmed, extraction } = await fetchJobPosting(state.jd_url, {
+          browser: state.browser_fetch ?? config.jd.browser.enabled
+        });
         const jobData = {
           source: 'url',
           url: state.jd_url,
           content: trimmed,
           fetched: true,
           length: trimmed.length,
-          sections: extractJDSections(trimmed)
+          extraction,
+          ...(posting && { posting }),
+          ...(await describeJob(trimmed, posting))
         };
-        logger.info('Job description fetched from URL', { length: trimmed.length });
+        logger.info('Job description fetched from URL', {
+          length: trimmed.length,
+          extraction: jobData.extraction,
+          ...(posting && { title: posting.title, company: posting.hiringOrganization })
+        });
         logger.info('JD snippet (url)', { snippet: trimmed.substring(0, 600) });
-        return { ...state, jobDescription: jobData, jd_text: trimmed };
+        return { ...state, jobDescription: jobData, jd_text: trimmed, current_step: 'fetch_jd' };
       } catch (e) {
         logger.warn('URL fetch failed; falling back to prompt text', { error: e.message });
         // Leave jd_text empty to be handled by later nodes or CLI prompt
@@ -51,17 +87,83 @@ export async function fetchJDNode(state) {
           fetched: false,
           error: e.message
         };
-        return { ...state, jobDescription: jobData };
+        return { ...state, jobDescription: jobData, current_step: 'fetch_jd' };
       }
     }
 
     throw new ProcessingError('No job description provided');
   } catch (error) {
     logger.error('Failed to fetch job description', { error: error.message });
-    return { ...state, error: error.message };
+    return { ...state, error: error.message, current_step: 'fetch_jd' };
   }
 }
 
+// ATS-hosted postings come from the board's JSON API; other pages are fetched and
+// read from their JobPosting JSON-LD, or their main content when they have none.
+// With `browser`, pages whose static text is too short are rendered as a last resort.
+async function fetchJobPosting(url, { browser = false } = {}) {
+  const ats = matchAtsUrl(url);
+  if (ats) {
+    try {
+      const posting = await fetchAtsPosting(ats);
+      logger.info('Job posting read from job board API', { ats: ats.adapter.name, ...ats.params });
+      return { posting, text: jobPostingToText(posting), extraction: `ats:${ats.adapter.name}` };
+    } catch (e) {
+      logger.warn('Job board API failed; fetching the page instead', { ats: ats.adapter.name, error: e.message });
+    }
+  }
+
+  const res = await fetch(url, { redirect: 'follow', signal: config.jd.timeout > 0 ? AbortSignal.timeout(config.jd.timeout) : undefined });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const html = await res.text();
+  // Prefer the page's schema.org JobPosting; only scrape the page when it has none
+  const posting = extractJobPosting(html);
+  if (posting?.description) return { posting, text: jobPostingToText(posting), extraction: 'json-ld' };
+  const text = extractMainText(html);
+
+  // Very little static text usually means the posting is rendered by JavaScript
+  if (browser && text.length < config.jd.browser.minTextLength) {
+    if (!isBrowserFetchAllowed(url)) {
+      logger.info('Page text is short but the host is not in the browser allowlist', { url, length: text.length });
+    } else {
+      try {
+        logger.info('Page text is short; rendering it in headless Chromium', { url, length: text.length });
+        const rendered = await renderJobPage(url);
+        if (rendered.posting?.description) {
+          return { posting: rendered.posting, text: jobPostingToText(rendered.posting), extraction: 'browser:json-ld' };
+        }
+        if (rendered.text.length > text.length) {
+          return { posting: rendered.posting || posting, text: rendered.text, extraction: 'browser' };
+        }
+      } catch (e) {
+        logger.warn('Headless browser fetch failed; keeping the static page text', { error: e.message });
+      }
+    }
+  }
+  return { posting, text, extraction: 'main-content' };
+}
+
+// Text and Markdown are used as-is; saved HTML goes through the same cleaner as fetched
+// pages and PDFs through the resume PDF extraction
+async function readJobFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!config.jd.fileFormats.includes(ext)) {
+    throw new Error(`Unsupported job description file: ${ext || 'none'}. Supported formats: ${config.jd.fileFormats.join(', ')}`);
+  }
+  if (ext === '.pdf') {
+    const { method, text } = await extractPdfText(await fs.readFile(filePath), config.pdf.extraction);
+    return { posting: null, text, extraction: `pdf:${method}` };
+  }
+
+  const raw = await fs.readFile(filePath, 'utf8');
+  if (ext === '.html' || ext === '.htm') {
+    const posting = extractJobPosting(raw);
+    if (posting?.description) return { posting, text: jobPostingToText(posting), extraction: 'json-ld' };
+    return { posting, text: extractMainText(raw), extraction: 'main-content' };
+  }
+  return { posting: null, text: raw.trim(), extraction: 'text' };
+}
+
 function isValidUrl(string) {
   try {
     const url = new URL(string);
@@ -71,52 +173,17 @@ function isValidUrl(string) {
   }
 }
 
-function extractJDSections(text) {
-  const sections = {};
-  
-  // Split text into lines
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-  
-  let currentSection = 'overview';
-  let currentContent = [];
-  
-  for (const line of lines) {
-    const lowerLine = line.toLowerCase();
-    
-    // Detect common job description sections
-    if (lowerLine.includes('requirements') || lowerLine.includes('qualifications')) {
-      if (currentContent.length > 0) {
-        sections[currentSection] = currentContent.join('\n').trim();
-      }
-      currentSection = 'requirements';
-      currentContent = [];
-    } else if (lowerLine.includes('responsibilities') || lowerLine.includes('duties')) {
-      if (currentContent.length > 0) {
-        sections[currentSection] = currentContent.join('\n').trim();
-      }
-      currentSection = 'responsibilities';
-      currentContent = [];
-    } else if (lowerLine.includes('skills') || lowerLine.includes('technologies')) {
-      if (currentContent.length > 0) {
-        sections[currentSection] = currentContent.join('\n').trim();
-      }
-      currentSection = 'skills';
-      currentContent = [];
-    } else if (lowerLine.includes('experience') || lowerLine.includes('years')) {
-      if (currentContent.length > 0) {
-        sections[currentSection] = currentContent.join('\n').trim();
-      }
-      currentSection = 'experience';
-      currentContent = [];
-    } else {
-      currentContent.push(line);
-    }
-  }
-  
-  // Add the last section
-  if (currentContent.length > 0) {
-    sections[currentSection] = currentContent.join('\n').trim();
-  }
-  
-  return sections;
+// Structured model of the posting, plus the text sections older consumers read
+async function describeJob(text, posting = null) {
+  const structure = await parseJobDescription(text, posting);
+  logger.info('Job description structured', {
+    method: structure.method,
+    title: structure.title,
+    seniority: structure.seniority,
+    mustHave: structure.mustHave.length,
+    niceToHave: structure.niceToHave.length,
+    techStack: structure.techStack.length,
+    minYearsExperience: structure.minYearsExperience
+  });
+  return { structure, sections: structureToSections(structure, text) };
 }
@@ -1,26 +1,18 @@
-import 'dotenv/config';
 import fs from 'fs/promises';
-import os from 'node:os';
 import path from 'node:path';
-import { execFile } from 'node:child_process';
-import pdf from 'pdf-parse-new';
-import OpenAI from 'openai';
+import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { ProcessingError } from '../utils/error-handler.js';
-
-function normalizePdfText(text) {
-  return (text || '')
-    .replace(/[\u00A0\uFEFF]/g, ' ')
-    .replace(/[\r\t]/g, ' ')
-    .replace(/[ ]{2,}/g, ' ')
-    .replace(/\n\s*/g, '\n')
-    .trim();
-}
+import { ProcessingError, ValidationError } from '../utils/error-handler.js';
+import { validateJsonResume, formatSchemaErrors, checkResumeSchema } from '../utils/resume-schema.js';
+import { extractDocxBlocks, blocksToText } from '../utils/docx-extract.js';
+import { describePdfLayout } from '../utils/pdf-layout.js';
+import { extractPdfText } from '../utils/pdf-text.js';
+import { verifyParseFidelity } from '../utils/parse-fidelity.js';
+import { markdownToBlocks, mapBlocksToResume } from '../utils/markdown-resume.js';
+import { getLLMClient, getModelForTask, isLLMConfigured } from '../llm/client.js';
 
 async function aiParseJsonResume(pdfText) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
-  const client = new OpenAI({ apiKey });
+  const client = getLLMClient();
 
   const system = `You are a resume parser. Return only valid JSON that strictly conforms to JSON Resume v1.0.0 schema.
 Required top-level keys (omit empty): basics, work[], education[], skills[], projects[], meta.
@@ -136,7 +128,7 @@ Resume Text:\n\n${pdfText.substring(0, 150000)}`;
   try {
     // Try structured outputs first
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('parse'),
       messages: [
         { role: 'system', content: system },
         { role: 'user', content: prompt }
@@ -147,7 +139,7 @@ Resume Text:\n\n${pdfText.substring(0, 150000)}`;
   } catch (e) {
     logger.warn('Structured outputs failed, falling back to json_object', { error: e.message });
     const response = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('parse'),
       messages: [
         { role: 'system', content: system },
         { role: 'user', content: prompt }
@@ -162,63 +154,312 @@ Resume Text:\n\n${pdfText.substring(0, 150000)}`;
   try { parsed = JSON.parse(content); } catch (e) { throw new Error('OpenAI did not return valid JSON'); }
   // Ensure structure
   if (!parsed || typeof parsed !== 'object') throw new Error('Invalid JSON structure');
-  parsed.basics = parsed.basics || {};
-  parsed.work = Array.isArray(parsed.work) ? parsed.work : [];
-  parsed.education = Array.isArray(parsed.education) ? parsed.education : [];
-  parsed.skills = Array.isArray(parsed.skills) ? parsed.skills : [];
-  parsed.projects = Array.isArray(parsed.projects) ? parsed.projects : [];
-  return parsed;
+  return ensureResumeSections(parsed);
 }
 
-async function validateWithResumeCLI(jsonResume, allowDisk) {
-  if (!allowDisk) {
-    logger.info('Skipping resume-cli validation (disk disabled)');
-    return;
+// Downstream nodes expect these sections to exist
+function ensureResumeSections(resume) {
+  resume.basics = resume.basics || {};
+  resume.work = Array.isArray(resume.work) ? resume.work : [];
+  resume.education = Array.isArray(resume.education) ? resume.education : [];
+  resume.skills = Array.isArray(resume.skills) ? resume.skills : [];
+  resume.projects = Array.isArray(resume.projects) ? resume.projects : [];
+  return resume;
+}
+
+// Rule-based fallback for runs without a usable LLM. Extracted PDF and DOCX text goes
+// through the same structure rules as Markdown: section titles on their own line,
+// entry header lines (title, employer, location, dates) and bullets as highlights.
+function heuristicParseJsonResume(text) {
+  const { resume, gaps } = mapBlocksToResume(markdownToBlocks(text));
+  if (gaps.length > 0) {
+    logger.warn('Heuristic parse left fields empty', { gaps: gaps.map(gap => `${gap.path}: ${gap.reason}`) });
+  }
+  const jsonResume = ensureResumeSections(resume);
+  jsonResume.meta = { version: 'v1.0.0' };
+  return { jsonResume, gaps };
+}
+
+// AI parse unless the heuristic parser was requested; falls back to the heuristic
+// parser when no LLM is configured or the AI parse fails
+async function parseResumeText(text, state) {
+  const useHeuristic = reason => {
+    const { jsonResume, gaps } = heuristicParseJsonResume(text);
+    state.resume.parser = { method: 'heuristic', reason, gaps };
+    return jsonResume;
+  };
+
+  if (state.heuristic_parse) return useHeuristic('requested');
+  if (!isLLMConfigured()) {
+    logger.warn('LLM not configured; using heuristic resume parser');
+    return useHeuristic('llm_not_configured');
   }
-  // Best-effort local validation via resume-cli; non-fatal on failure
-  const binPath = path.join(process.cwd(), 'node_modules', '.bin', 'resume');
-  const tmpFile = path.join(os.tmpdir(), `resume-validate-${Date.now()}.json`);
   try {
-    await fs.writeFile(tmpFile, JSON.stringify(jsonResume, null, 2), 'utf8');
-    await new Promise((resolve, reject) => {
-      execFile(binPath, ['validate', '--resume', tmpFile], (error, stdout, stderr) => {
-        if (error) {
-          logger.warn('resume-cli validation failed', { error: error.message, stderr });
-          return resolve();
-        }
-        logger.info('resume-cli validation succeeded');
-        resolve();
+    const jsonResume = await aiParseJsonResume(text);
+    state.resume.parser = { method: 'ai' };
+    state.resume.fidelity = await checkParseFidelity(jsonResume, text, state);
+    return jsonResume;
+  } catch (e) {
+    logger.warn('AI resume parsing failed; using heuristic resume parser', { error: e.message });
+    return useHeuristic(`ai_failed: ${e.message}`);
+  }
+}
+
+// The parse prompt asks for verbatim highlights; verify that against the source text
+// and optionally re-prompt the entries that were reworded, cut short or made up
+async function checkParseFidelity(jsonResume, text, state) {
+  let report = verifyParseFidelity(jsonResume, text);
+  const reprompt = state.reprompt_highlights ?? config.parse.repromptHighlights;
+  if (reprompt && report.affectedEntries.length > 0) {
+    const reprompted = await repromptHighlights(jsonResume, report, text);
+    report = { ...verifyParseFidelity(jsonResume, text), reprompted };
+  }
+
+  const summary = { score: report.score, checked: report.highlights, flagged: report.flagged, dropped: report.dropped.length };
+  if (report.flagged > 0 || report.dropped.length > 0) {
+    logger.warn('Parsed highlights differ from the resume text', {
+      ...summary,
+      issues: report.issues.map(issue => `${issue.path}: ${issue.status}`)
+    });
+  } else {
+    logger.info('Parse fidelity verified', summary);
+  }
+  return report;
+}
+
+// Ask again for just the flagged entries' highlights. A new list is kept only when
+// it verifies with fewer issues than the one it replaces.
+async function repromptHighlights(jsonResume, report, text) {
+  const client = getLLMClient();
+  const reprompted = [];
+  for (const pointer of report.affectedEntries) {
+    const [, section, index] = pointer.split('/');
+    const entry = jsonResume[section][index];
+    const flagged = report.issues.filter(issue => issue.entry === pointer);
+    const { highlights, ...identity } = entry;
+    const prompt = `The highlights parsed for this ${section === 'work' ? 'role' : 'project'} were not copied verbatim from the resume text.
+Return JSON { "highlights": string[] } with every bullet that belongs to this entry copied EXACTLY from the resume text (same words, numbers and punctuation), in source order. Do not add bullets from other entries.
+
+Entry:
+${JSON.stringify(identity, null, 2)}
+
+Flagged highlights:
+${flagged.map(issue => `- (${issue.status}) ${issue.highlight}`).join('\n')}
+
+Resume Text:
+
+${text.substring(0, 150000)}`;
+
+    try {
+      const response = await client.chat.completions.create({
+        model: getModelForTask('parse'),
+        messages: [
+          { role: 'system', content: 'You copy resume bullets verbatim. Return only valid JSON.' },
+          { role: 'user', content: prompt }
+        ],
+        response_format: { type: 'json_object' }
       });
+      const candidate = JSON.parse(response.choices?.[0]?.message?.content || '{}').highlights;
+      if (!Array.isArray(candidate) || candidate.length === 0 || candidate.some(h => typeof h !== 'string')) continue;
+
+      const trial = { ...jsonResume, [section]: jsonResume[section].map((item, i) => (String(i) === index ? { ...item, highlights: candidate } : item)) };
+      const remaining = verifyParseFidelity(trial, text).issues.filter(issue => issue.entry === pointer).length;
+      if (remaining < flagged.length) {
+        entry.highlights = candidate;
+        reprompted.push(pointer);
+      }
+    } catch (e) {
+      logger.warn('Re-prompting highlights failed', { entry: pointer, error: e.message });
+    }
+  }
+  logger.info('Re-prompted unfaithful highlights', { entries: report.affectedEntries.length, improved: reprompted.length });
+  return reprompted;
+}
+
+// A JSON Resume file is already structured: validate it and skip extraction and AI parsing
+async function loadJsonResumeFile(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  let resume;
+  try {
+    resume = JSON.parse(raw);
+  } catch (e) {
+    throw new ValidationError(`${filePath} is not valid JSON: ${e.message}`, { step: 'parse_resume', path: filePath });
+  }
+
+  const { valid, errors } = validateJsonResume(resume);
+  if (!valid) {
+    throw new ValidationError(`${filePath} is not a valid JSON Resume (v1.0.0):\n${formatSchemaErrors(errors)}`, {
+      step: 'parse_resume',
+      path: filePath,
+      errors
+    });
+  }
+
+  logger.info('JSON Resume loaded', { path: filePath, size: raw.length });
+  return ensureResumeSections(resume);
+}
+
+async function parsePdfResume(state) {
+  const dataBuffer = await fs.readFile(state.resume.path);
+  const { method, text, layout } = await extractPdfText(dataBuffer, config.pdf.extraction);
+
+  logger.info('PDF parsed successfully', {
+    size: dataBuffer.length,
+    path: state.resume.path,
+    textLength: text.length,
+    extraction: method
+  });
+  if (layout) {
+    logger.info('PDF layout detected', { pages: describePdfLayout(layout) });
+  }
+  state.resume.extraction = { method, layout };
+
+  return parseResumeText(text, state);
+}
+
+// Word documents keep headings and list bullets, which the AI parse maps to sections and highlights
+async function parseDocxResume(state) {
+  const dataBuffer = await fs.readFile(state.resume.path);
+  const { blocks, warnings } = await extractDocxBlocks(dataBuffer);
+  const text = blocksToText(blocks);
+
+  logger.info('DOCX parsed successfully', {
+    size: dataBuffer.length,
+    path: state.resume.path,
+    textLength: text.length,
+    headings: blocks.filter(b => b.type === 'heading').length,
+    bullets: blocks.filter(b => b.type === 'bullet').length
+  });
+  if (warnings.length > 0) {
+    logger.debug('DOCX conversion warnings', { warnings });
+  }
+  if (!text) {
+    throw new ValidationError(`${state.resume.path} contains no text`, { step: 'parse_resume', path: state.resume.path });
+  }
+
+  return parseResumeText(text, state);
+}
+
+// Markdown and plain text are mapped from their own structure (headings -> sections,
+// bullets -> highlights); the AI parse only fills the fields that structure leaves open
+async function parseTextResume(state) {
+  const text = await fs.readFile(state.resume.path, 'utf8');
+  const blocks = markdownToBlocks(text);
+  const { resume, gaps, unmapped } = mapBlocksToResume(blocks);
+  const sections = ['work', 'education', 'skills', 'projects'].filter(key => resume[key]?.length > 0);
+
+  logger.info('Text resume parsed', {
+    path: state.resume.path,
+    textLength: text.length,
+    headings: blocks.filter(b => b.type === 'heading').length,
+    bullets: blocks.filter(b => b.type === 'bullet').length,
+    sections,
+    gaps: gaps.length
+  });
+  if (!text.trim()) {
+    throw new ValidationError(`${state.resume.path} contains no text`, { step: 'parse_resume', path: state.resume.path });
+  }
+
+  let jsonResume;
+  if (sections.length === 0) {
+    // No recognizable section headings: nothing structural to keep
+    logger.info('No resume sections found in text; using AI parse');
+    jsonResume = await parseResumeText(text, state);
+  } else {
+    jsonResume = ensureResumeSections(resume);
+    jsonResume.meta = { version: 'v1.0.0' };
+    state.resume.parser = { method: 'structure', gaps };
+    if (gaps.length > 0 && !state.heuristic_parse) {
+      await fillResumeGaps(jsonResume, gaps, unmapped, text);
+    }
+  }
+  return jsonResume;
+}
+
+// Ask the model for the missing fields only and merge them without touching
+// anything the document structure already provided
+async function fillResumeGaps(jsonResume, gaps, unmapped, text) {
+  if (!isLLMConfigured()) {
+    logger.warn('LLM not configured; leaving resume gaps unfilled', { gaps: gaps.map(g => g.path) });
+    return;
+  }
+  const client = getLLMClient();
+  const prompt = `A resume was parsed from its Markdown structure into the JSON Resume v1.0.0 draft below. Some fields could not be determined.
+Return a JSON object in JSON Resume shape containing ONLY values for the missing fields listed, plus any top-level sections needed for the unmapped text (e.g. certificates, awards, publications, volunteer).
+Rules:
+- Keep array positions aligned with the draft (e.g. a value for /work/1/position goes in work[1]; use {} for entries you do not change).
+- Never rewrite, shorten or add highlights; never change values already present in the draft.
+- Dates must be YYYY, YYYY-MM or YYYY-MM-DD. Do not fabricate data; omit fields you cannot find in the text.
+
+Missing fields:
+${gaps.map(gap => `- ${gap.path}: ${gap.reason}`).join('\n')}
+${unmapped.length > 0 ? `\nUnmapped sections:\n${unmapped.join('\n\n')}\n` : ''}
+Draft:
+${JSON.stringify(jsonResume, null, 2)}
+
+Resume Text:
+
+${text.substring(0, 150000)}`;
+
+  try {
+    const response = await client.chat.completions.create({
+      model: getModelForTask('parse'),
+      messages: [
+        { role: 'system', content: 'You fill gaps in structured resume data. Return only valid JSON.' },
+        { role: 'user', content: prompt }
+      ],
+      response_format: { type: 'json_object' }
     });
+    const fills = JSON.parse(response.choices?.[0]?.message?.content || '{}');
+    mergeMissing(jsonResume, fills);
+    logger.info('Filled resume gaps with AI parse', { gaps: gaps.length });
   } catch (e) {
-    logger.warn('resume-cli validation skipped', { error: e.message });
-  } finally {
-    try { await fs.unlink(tmpFile); } catch {}
+    logger.warn('Could not fill resume gaps; keeping the structural parse', { error: e.message });
+  }
+}
+
+// Copy values from source only where target has none. Existing arrays keep their
+// length so the model cannot add or drop entries the document defined.
+function mergeMissing(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    const existing = target[key];
+    const isEmpty = existing === undefined || existing === '' || (Array.isArray(existing) && existing.length === 0);
+    if (isEmpty) {
+      target[key] = value;
+    } else if (Array.isArray(existing) && Array.isArray(value)) {
+      existing.forEach((item, index) => {
+        if (item && typeof item === 'object' && value[index] && typeof value[index] === 'object') {
+          mergeMissing(item, value[index]);
+        }
+      });
+    } else if (existing && typeof existing === 'object' && !Array.isArray(existing) && value && typeof value === 'object') {
+      mergeMissing(existing, value);
+    }
   }
+  return target;
 }
 
+// Parser per input extension; anything else is treated as a PDF
+const RESUME_PARSERS = {
+  '.json': state => loadJsonResumeFile(state.resume.path),
+  '.docx': parseDocxResume,
+  '.md': parseTextResume,
+  '.markdown': parseTextResume,
+  '.txt': parseTextResume,
+  '.pdf': parsePdfResume
+};
+
 export async function parseResumeNode(state) {
   logger.info('📄 Parsing resume...', { path: state.resume.path });
+  const ext = path.extname(state.resume.path).toLowerCase();
   try {
-    const dataBuffer = await fs.readFile(state.resume.path);
-    const pdfData = await pdf(dataBuffer);
-    const rawText = pdfData.text || '';
-
-    logger.info('PDF parsed successfully', {
-      size: dataBuffer.length,
-      path: state.resume.path,
-      textLength: rawText.length
-    });
-
-    const text = normalizePdfText(rawText);
-    const jsonResume = await aiParseJsonResume(text);
-    // Optional schema validation via resume-cli (local)
-    const allowDisk = Boolean(state.allow_disk);
-    await validateWithResumeCLI(jsonResume, allowDisk);
+    const parse = RESUME_PARSERS[ext] || parsePdfResume;
+    const jsonResume = await parse(state);
 
     state.resume.content = state.resume.content || {};
     state.resume.content.jsonResume = jsonResume;
     state.resume.parsed = true;
+    state.resume.schemaWarnings = checkResumeSchema(jsonResume, { step: 'parse_resume', strict: state.strict_schema ?? config.validation.strict });
 
     logger.info('Resume converted to JSON Resume format', {
       hasBasics: !!jsonResume.basics,
@@ -226,9 +467,16 @@ export async function parseResumeNode(state) {
       hasSkills: Array.isArray(jsonResume.skills) && jsonResume.skills.length > 0
     });
 
-    return state;
+    return { ...state, current_step: 'parse_resume' };
   } catch (err) {
     logger.error('Failed to parse resume', { error: err.message });
-    throw new ProcessingError('Failed to parse resume PDF');
+    // Invalid input files already carry a precise message
+    if (err instanceof ValidationError) throw err;
+    const format = { '.json': 'JSON Resume', '.md': 'Markdown', '.markdown': 'Markdown', '.txt': 'text' }[ext]
+      || ext.slice(1).toUpperCase() || 'PDF';
+    throw new ProcessingError(`Failed to parse resume ${format}`, {
+      step: 'parse_resume',
+      originalError: err.message
+    });
   }
 }
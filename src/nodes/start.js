@@ -8,7 +8,7 @@ export async function startNode(state) {
   try {
     // Validate resume file path
     if (!state.resume_path) {
-      throw new ValidationError('Resume file path is required');
+      throw new ValidationError('Resume file path is required', { step: 'start' });
     }
     
     const fileInfo = await validateFile(state.resume_path);
@@ -45,6 +45,7 @@ export async function startNode(state) {
     return initialState;
   } catch (error) {
     logger.error('Failed to initialize workflow', { error: error.message });
-    throw error;
+    if (error instanceof ValidationError) throw error;
+    throw new ValidationError(error.message, { step: 'start' });
   }
 }
@@ -1,5 +1,8 @@
 import { logger } from '../utils/logger.js';
 import { ProcessingError } from '../utils/error-handler.js';
+import { getLLMClient, getModelForTask, isLLMConfigured } from '../llm/client.js';
+import { canonicalKey, mentionsSkill } from '../utils/skill-taxonomy.js';
+import { annotateSkillEvidence, isUnsupportedClaim } from '../utils/skill-evidence.js';
 
 export async function suggestPatchesNode(state) {
   logger.info('💡 Generating patch suggestions...');
@@ -31,6 +34,9 @@ export async function suggestPatchesNode(state) {
       patches = await aiFilterTopPatches(patches, jobDescription, 15);
     }
     
+    // Skill additions cite the work or project text that backs them up
+    patches = annotateSkillEvidence(patches, resumeJson, resumeSections);
+    
     // Log patch types for debugging
     const patchTypes = patches.reduce((acc, patch) => {
       acc[patch.type] = (acc[patch.type] || 0) + 1;
@@ -41,17 +47,20 @@ export async function suggestPatchesNode(state) {
       patchCount: patches.length,
       highPriorityCount: patches.filter(p => p.priority === 'high').length,
       patchTypes,
+      unsupportedClaims: patches.filter(isUnsupportedClaim).map(p => p.details.value),
       uniqueValues: [...new Set(patches.map(p => p.details.value?.toLowerCase()))].length
     });
     
     return {
       ...state,
       patches,
-      patchGenerationCompleted: new Date().toISOString()
+      patchGenerationCompleted: new Date().toISOString(),
+      current_step: 'suggest_patches'
     };
   } catch (error) {
     logger.error('Failed to generate patches', { error: error.message });
     throw new ProcessingError(`Failed to generate patches: ${error.message}`, { 
+      step: 'suggest_patches',
       originalError: error.message 
     });
   }
@@ -89,14 +98,14 @@ function getResumeSectionsFromJsonResume(json) {
 async function callOpenAIWithSchema(client, messages, jsonSchema) {
   try {
     const res = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('patches'),
       messages,
       response_format: { type: 'json_schema', json_schema: jsonSchema }
     });
     return res.choices[0]?.message?.content || '';
   } catch (e) {
     const res = await client.chat.completions.create({
-      model: process.env.OPENAI_MODEL,
+      model: getModelForTask('patches'),
       messages,
       response_format: { type: 'json_object' }
     });
@@ -169,7 +178,8 @@ async function generatePatches(analysis, resumeSections, jobDescription) {
   if (analysis.keywordAnalysis?.missing) {
     const skillValues = patches
       .filter(p => p.type === 'add_skill')
-      .map(p => p.details.value?.toLowerCase());
+      .map(p => p.details.value)
+      .filter(Boolean);
     
     const keywordPatches = await generateKeywordPatches(
       analysis.keywordAnalysis.missing, 
@@ -193,14 +203,11 @@ async function generatePatches(analysis, resumeSections, jobDescription) {
 // AI-powered patch filtering to select top patches
 async function aiFilterTopPatches(patches, jobDescription, maxPatches) {
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) {
+      throw new Error('LLM provider not configured');
     }
     
-    const client = new OpenAI({ apiKey });
+    const client = getLLMClient();
     
     const patchDescriptions = patches.map((patch, index) => 
       `${index + 1}. ${patch.description} (${patch.priority} priority, ${patch.details.impact})`
@@ -254,14 +261,14 @@ function deduplicatePatches(patches) {
   const uniquePatches = [];
   
   patches.forEach(patch => {
-    // Create a key based on the patch value and type
-    const key = `${patch.type}_${patch.details.value?.toLowerCase() || patch.description.toLowerCase()}`;
+    // Create a key based on the patch value and type; every spelling of a skill shares one key
+    const valueKey = canonicalKey(patch.details.value || patch.description);
+    const key = `${patch.type}_${valueKey}`;
     
-    // Also check for similar values (e.g., "React" vs "react")
-    const valueKey = patch.details.value?.toLowerCase() || patch.description.toLowerCase();
+    // Also check for similar values (e.g., "React" vs "React.js", "Postgres" vs "PostgreSQL")
     const similarKey = patches.some(existing => {
       if (existing === patch) return false;
-      const existingValue = existing.details.value?.toLowerCase() || existing.description.toLowerCase();
+      const existingValue = canonicalKey(existing.details.value || existing.description);
       return valueKey.includes(existingValue) || existingValue.includes(valueKey);
     });
     
@@ -321,10 +328,7 @@ async function generateSkillPatches(skillGaps, currentSkills, jobDescription) {
     try { logger.warn('AI skill filtering failed; using fallback filter', { error: error?.message }); } catch {}
     // Fallback to basic filtering if AI fails
     const fallbackSkills = skillGaps
-      .filter(skill => {
-        const lowerSkill = skill.toLowerCase();
-        return !currentSkills.toLowerCase().includes(lowerSkill) && skill.length >= 3;
-      })
+      .filter(skill => !mentionsSkill(currentSkills, skill) && skill.length >= 3)
       .slice(0, 5);
     
     fallbackSkills.forEach(skill => {
@@ -351,10 +355,8 @@ async function generateSkillPatches(skillGaps, currentSkills, jobDescription) {
 // AI-powered skill filtering
 async function aiFilterSkills(skillGaps, currentSkills, jobDescription) {
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) return [];
-    const client = new OpenAI({ apiKey });
+    if (!isLLMConfigured()) return [];
+    const client = getLLMClient();
     const prompt = `You are an expert resume optimization specialist. Analyze the following:
 
 JOB DESCRIPTION:
@@ -394,7 +396,7 @@ Return ONLY a JSON array of the top 8 skills, like: ["React", "AWS Lambda", "Pos
     for (const s of arr) {
       const v = String(s || '').trim();
       if (!v || isGeneric(v)) continue;
-      const key = v.toLowerCase();
+      const key = canonicalKey(v);
       if (seen.has(key)) continue;
       seen.add(key);
       out.push(v);
@@ -494,9 +496,7 @@ async function generateKeywordPatches(missingKeywords, resumeSections, jobDescri
     
     relevantKeywords.forEach(keyword => {
       // Skip if this keyword is already covered by a skill patch
-      if (existingSkillValues.some(skill => 
-        skill && keyword.toLowerCase().includes(skill) || skill.includes(keyword.toLowerCase())
-      )) {
+      if (existingSkillValues.some(skill => coversKeyword(skill, keyword))) {
         return;
       }
       
@@ -521,17 +521,14 @@ async function generateKeywordPatches(missingKeywords, resumeSections, jobDescri
     const fallbackKeywords = missingKeywords
       .map(k => k.replace(/-/g, ' '))
       .filter(keyword => {
-        const lowerKeyword = keyword.toLowerCase();
-        const resumeText = Object.values(resumeSections).join(' ').toLowerCase();
+        const resumeText = Object.values(resumeSections).join(' ');
         
         // Skip if already covered by skills or resume content
-        if (existingSkillValues.some(skill => 
-          skill && lowerKeyword.includes(skill) || skill.includes(lowerKeyword)
-        )) {
+        if (existingSkillValues.some(skill => coversKeyword(skill, keyword))) {
           return false;
         }
         
-        return !resumeText.includes(lowerKeyword) && keyword.length >= 3;
+        return !mentionsSkill(resumeText, keyword) && keyword.length >= 3;
       })
       .slice(0, 3);
     
@@ -556,19 +553,23 @@ async function generateKeywordPatches(missingKeywords, resumeSections, jobDescri
   return patches;
 }
 
+// A skill patch covers a keyword naming the same skill or containing it ("AWS" covers "AWS Lambda")
+function coversKeyword(skill, keyword) {
+  const skillKey = canonicalKey(skill);
+  const keywordKey = canonicalKey(keyword);
+  return Boolean(skillKey && keywordKey) && (keywordKey.includes(skillKey) || skillKey.includes(keywordKey));
+}
+
 // Generate role-specific experience enhancements
 async function generateRoleSpecificEnhancements(currentExperience, jobDescription) {
   const patches = [];
   
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) {
+      throw new Error('LLM provider not configured');
     }
     
-    const client = new OpenAI({ apiKey });
+    const client = getLLMClient();
     
     const prompt = `You are an expert resume optimization specialist. Analyze the following:
 
@@ -652,14 +653,11 @@ async function generateExperienceAlignmentPatches(currentExperience, jobDescript
   const patches = [];
   
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('OpenAI API key not available');
+    if (!isLLMConfigured()) {
+      throw new Error('LLM provider not configured');
     }
     
-    const client = new OpenAI({ apiKey });
+    const client = getLLMClient();
     
     const prompt = `You are an expert resume optimization specialist. Analyze the following:
 
@@ -746,10 +744,8 @@ Return ONLY a JSON array of patches, like:
 // AI-powered keyword filtering
 async function aiFilterKeywords(missingKeywords, resumeSections, jobDescription) {
   try {
-    const { OpenAI } = await import('openai');
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) return [];
-    const client = new OpenAI({ apiKey });
+    if (!isLLMConfigured()) return [];
+    const client = getLLMClient();
 
     const resumeText = Object.values(resumeSections).join(' ');
     const prompt = `You are an expert resume optimization specialist. Analyze the following:
@@ -790,7 +786,7 @@ Return ONLY a JSON array of the top 5 keywords, like: ["React", "AWS Lambda", "P
     for (const s of arr) {
       const v = String(s || '').trim();
       if (!v || isGeneric(v)) continue;
-      const key = v.toLowerCase();
+      const key = canonicalKey(v);
       if (seen.has(key)) continue;
       seen.add(key);
       out.push(v);
@@ -806,10 +802,8 @@ Return ONLY a JSON array of the top 5 keywords, like: ["React", "AWS Lambda", "P
 // Infer concrete skills directly from JD to ensure coverage of clouds/DBs/MVC
 async function generateJDInferredSkills(jobDescription, currentSkillsText) {
   const patches = [];
-  const { OpenAI } = await import('openai');
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return patches;
-  const client = new OpenAI({ apiKey });
+  if (!isLLMConfigured()) return patches;
+  const client = getLLMClient();
 
   const prompt = `From this job description, extract concrete technologies only (frameworks, clouds, databases, languages, devops). Avoid generic terms like REST, API, Systems Design.
 
@@ -825,11 +819,10 @@ Return a JSON array of unique concrete skills such as ["Python", "Ruby on Rails"
     if (!content) return patches;
     const jsonMatch = content.match(/\[.*\]/s);
     const arr = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-    const existing = String(currentSkillsText || '').toLowerCase();
     (arr || []).forEach(skill => {
       const s = String(skill || '').trim();
       if (!s) return;
-      if (existing.includes(s.toLowerCase())) return;
+      if (mentionsSkill(currentSkillsText, s)) return;
       patches.push({
         id: `jd_skill_${s.toLowerCase().replace(/\s+/g, '_')}`,
         type: 'add_skill',
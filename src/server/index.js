@@ -0,0 +1,227 @@
+import http from 'node:http';
+import fs from 'fs/promises';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, SecurityError, serializeError } from '../utils/error-handler.js';
+import {
+  saveUpload,
+  startRun,
+  getRun,
+  listRuns,
+  describeRun,
+  getAnalysis,
+  getPatches,
+  submitDecisions,
+  renderPreview,
+  getExport,
+  pruneExpired
+} from './runs.js';
+
+const REVIEW_PAGE = new URL('../ui/review.html', import.meta.url);
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+// Body types a page on another site can send without a CORS preflight
+const FORM_CONTENT_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain'];
+const PRUNE_INTERVAL = 60 * 1000;
+
+// HTTP status for each ResumePatchError code; anything else is a 500
+const STATUS_BY_CODE = {
+  VALIDATION_ERROR: 400,
+  SECURITY_ERROR: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+const routes = [
+  ['GET', /^\/(review)?$/, async () => ({
+    status: 200,
+    body: await fs.readFile(REVIEW_PAGE, 'utf8'),
+    headers: { 'Content-Type': 'text/html; charset=utf-8' }
+  })],
+
+  ['GET', /^\/api\/health$/, async () => ({ status: 200, body: { status: 'ok' } })],
+
+  ['POST', /^\/api\/resumes$/, async ({ req, url }) => {
+    // Raw file body; the name (and so the format) comes from ?filename= or X-Filename
+    const type = mediaType(req);
+    if (!type || FORM_CONTENT_TYPES.includes(type)) {
+      throw new ValidationError('Upload the resume as application/octet-stream (or its own media type)', { contentType: type || null });
+    }
+    const filename = url.searchParams.get('filename') || req.headers['x-filename'];
+    if (!filename) {
+      throw new ValidationError('Resume filename is required (?filename= or X-Filename header)');
+    }
+    const upload = await saveUpload(filename, await readBody(req));
+    const { path: _path, ...body } = upload;
+    return { status: 201, body };
+  }],
+
+  ['GET', /^\/api\/runs$/, async () => ({
+    status: 200,
+    body: { runs: await Promise.all(listRuns().map(describeRun)) }
+  })],
+
+  ['POST', /^\/api\/runs$/, async ({ req }) => {
+    const run = startRun(await readJson(req));
+    return { status: 202, body: await describeRun(run) };
+  }],
+
+  ['GET', /^\/api\/runs\/([\w-]+)$/, async ({ params: [runId] }) => ({
+    status: 200,
+    body: await describeRun(await getRun(runId))
+  })],
+
+  ['GET', /^\/api\/runs\/([\w-]+)\/analysis$/, async ({ params: [runId] }) => ({
+    status: 200,
+    body: await getAnalysis(await getRun(runId))
+  })],
+
+  ['GET', /^\/api\/runs\/([\w-]+)\/patches$/, async ({ params: [runId] }) => ({
+    status: 200,
+    body: await getPatches(await getRun(runId))
+  })],
+
+  ['POST', /^\/api\/runs\/([\w-]+)\/approvals$/, async ({ params: [runId], req }) => {
+    const { decisions } = await readJson(req);
+    const run = await submitDecisions(await getRun(runId), decisions);
+    return { status: 202, body: await describeRun(run) };
+  }],
+
+  ['POST', /^\/api\/runs\/([\w-]+)\/preview$/, async ({ params: [runId], req }) => {
+    const { decisions } = await readJson(req);
+    return {
+      status: 200,
+      body: await renderPreview(await getRun(runId), decisions || []),
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    };
+  }],
+
+  ['GET', /^\/api\/runs\/([\w-]+)\/exports\/(\w+)$/, async ({ params: [runId, format] }) => {
+    const file = await getExport(await getRun(runId), format);
+    return {
+      status: 200,
+      body: file.body,
+      headers: {
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`
+      }
+    };
+  }]
+];
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > config.server.maxBodySize) {
+      throw new ValidationError(`Request body exceeds ${config.server.maxBodySize} bytes`, { limit: config.server.maxBodySize });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readJson(req) {
+  if (mediaType(req) !== 'application/json') {
+    throw new ValidationError('Request body must be sent as application/json', { contentType: mediaType(req) || null });
+  }
+  const raw = (await readBody(req)).toString('utf8');
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    throw new ValidationError('Request body must be valid JSON', { originalError: error.message });
+  }
+}
+
+function mediaType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+// Only answer requests addressed to this server by name and, from browsers, sent by its
+// own pages: other sites cannot post uploads or decisions, and DNS rebinding fails the Host check
+function checkRequestSource(req, allowedHosts) {
+  const host = (req.headers.host || '').toLowerCase();
+  let hostname = null;
+  try {
+    hostname = new URL(`http://${host}`).hostname;
+  } catch {
+    // Reported below
+  }
+  if (!hostname || !allowedHosts.includes(hostname)) {
+    throw new SecurityError(`Host ${host || '(none)'} is not allowed`, { host, allowedHosts });
+  }
+  const origin = req.headers.origin;
+  if (origin === undefined) return;
+  let originHost = null;
+  try {
+    originHost = new URL(origin).host;
+  } catch {
+    // "null" and malformed origins are foreign
+  }
+  if (originHost !== host) {
+    throw new SecurityError(`Cross-origin request from ${origin} rejected`, { origin });
+  }
+}
+
+function send(res, { status, body, headers = {} }) {
+  const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...headers
+  });
+  res.end(isRaw ? body : JSON.stringify(body));
+}
+
+async function handleRequest(req, res, allowedHosts) {
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    checkRequestSource(req, allowedHosts);
+    for (const [method, pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match || req.method !== method) continue;
+      send(res, await handler({ params: match.slice(1), req, url }));
+      return;
+    }
+    throw new NotFoundError(`No route for ${req.method} ${url.pathname}`);
+  } catch (error) {
+    const status = STATUS_BY_CODE[error.code] || 500;
+    if (status === 500) {
+      logger.error('API request failed', { method: req.method, path: url.pathname, error: error.message });
+    }
+    send(res, { status, body: { error: serializeError(error) } });
+  }
+}
+
+// `host` is the bind address; a specific one is also accepted as a Host name
+export function createApiServer({ host = config.server.host } = {}) {
+  const bound = host.includes(':') ? `[${host}]` : host;
+  const allowedHosts = [
+    ...LOOPBACK_HOSTS,
+    ...(['0.0.0.0', '[::]'].includes(bound) ? [] : [bound.toLowerCase()]),
+    ...config.server.allowedHosts
+  ];
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, allowedHosts);
+  });
+
+  if (config.server.retentionMs > 0) {
+    const prune = () => pruneExpired().catch(error => logger.warn('Could not drop expired runs', { error: error.message }));
+    const timer = setInterval(prune, PRUNE_INTERVAL);
+    timer.unref();
+    server.on('close', () => clearInterval(timer));
+    prune();
+  }
+  return server;
+}
+
+export function startServer({ host = config.server.host, port = config.server.port } = {}) {
+  const server = createApiServer({ host });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      logger.info(`Resume Patch API listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,295 @@
+import fs from 'fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { resumePatch, submitPatchDecisions, getPendingApproval, getRunState, discardRun } from '../workflow.js';
+import { applyPatchDecisions } from '../nodes/approve-patches.js';
+import { applyPatches, describePatchLocations } from '../nodes/apply-patches.js';
+import { generateJSONResume, renderResumeHtml } from '../nodes/export.js';
+import { isPatchEditable } from '../utils/decision-rules.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, ConflictError, serializeError } from '../utils/error-handler.js';
+
+// Steps after which proposed patches exist in state
+const PATCH_STEPS = ['suggest_patches', 'approve_patches', 'apply_patches', 'export'];
+
+// Downloadable export formats, keyed by the names used in state.output.formats
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', filename: 'resume.json' },
+  text: { contentType: 'text/plain; charset=utf-8', filename: 'summary.txt' },
+  patchReport: { contentType: 'text/markdown; charset=utf-8', filename: 'patchReport.md' },
+  parseFidelity: { contentType: 'text/markdown; charset=utf-8', filename: 'parseFidelity.md' },
+  html: { contentType: 'text/html; charset=utf-8', filename: 'resume.html' },
+  pdf: { contentType: 'application/pdf', filename: 'resume.pdf' }
+};
+
+const uploads = new Map();
+const runs = new Map();
+
+export async function saveUpload(filename, buffer) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (!config.files.supportedFormats.includes(ext)) {
+    throw new ValidationError(`Unsupported file format: ${ext || 'none'}. Supported formats: ${config.files.supportedFormats.join(', ')}`, {
+      filename
+    });
+  }
+  if (buffer.length === 0) {
+    throw new ValidationError('Uploaded resume is empty', { filename });
+  }
+
+  const id = randomUUID();
+  const filePath = path.join(config.server.uploadsDir, `${id}${ext}`);
+  await fs.mkdir(config.server.uploadsDir, { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  const upload = {
+    id,
+    filename: path.basename(filename),
+    size: buffer.length,
+    path: filePath,
+    uploadedAt: new Date().toISOString()
+  };
+  uploads.set(id, upload);
+  logger.info('Resume uploaded', { id, filename: upload.filename, size: upload.size });
+  return upload;
+}
+
+export function startRun({ resumeId, jdText, jdUrl, autoApply = false, autoApplyUnsupported, heuristicParse = false, strictSchema, browserFetch, allowDisk = false } = {}) {
+  const upload = uploads.get(resumeId);
+  if (!upload) {
+    throw new NotFoundError(`Unknown resume ID: ${resumeId}`, { resumeId });
+  }
+  if (!jdText && !jdUrl) {
+    throw new ValidationError('A job description is required: pass jdText or jdUrl');
+  }
+  if (jdUrl) {
+    try {
+      new URL(jdUrl);
+    } catch {
+      throw new ValidationError(`Invalid job posting URL: ${jdUrl}`, { jdUrl });
+    }
+  }
+
+  const id = randomUUID();
+  const run = { id, resumeId, status: 'running', createdAt: new Date().toISOString(), result: null, error: null };
+  runs.set(id, run);
+  track(run, resumePatch(upload.path, {
+    runId: id,
+    text: jdText,
+    job: jdUrl,
+    autoApply: Boolean(autoApply),
+    autoApplyUnsupported,
+    heuristicParse: Boolean(heuristicParse),
+    strictSchema,
+    browserFetch,
+    allowDisk: Boolean(allowDisk),
+    output: path.join(config.server.exportsDir, id)
+  }));
+  return run;
+}
+
+// Follow a workflow invocation and record where it stopped
+function track(run, promise) {
+  run.status = 'running';
+  run.error = null;
+  run.updatedAt = new Date().toISOString();
+  promise
+    .then(result => {
+      run.result = result;
+      run.status = getPendingApproval(result) ? 'awaiting_approval' : 'completed';
+    }, error => {
+      logger.error('Run failed', { runId: run.id, error: error.message });
+      run.error = serializeError(error);
+      run.status = 'failed';
+    })
+    .finally(() => {
+      run.updatedAt = new Date().toISOString();
+    });
+}
+
+// Runs started by this server, or checkpointed on disk by an earlier process
+export async function getRun(runId) {
+  if (runs.has(runId)) return runs.get(runId);
+
+  let state;
+  try {
+    state = await getRunState(runId);
+  } catch {
+    throw new NotFoundError(`Unknown run ID: ${runId}`, { runId });
+  }
+  const run = {
+    id: runId,
+    resumeId: null,
+    status: state.awaitingApproval ? 'awaiting_approval' : 'interrupted',
+    createdAt: null,
+    updatedAt: new Date().toISOString(),
+    result: null,
+    error: null
+  };
+  runs.set(runId, run);
+  return run;
+}
+
+export function listRuns() {
+  return [...runs.values()];
+}
+
+// Forget runs that finished or sat paused for longer than the retention period and
+// delete uploads that no running run still reads, including files left behind by an
+// earlier server process. Checkpoints and exports written with allowDisk stay on disk.
+export async function pruneExpired(now = Date.now()) {
+  const cutoff = now - config.server.retentionMs;
+  const expiredRuns = [...runs.values()].filter(run => run.status !== 'running' && Date.parse(run.updatedAt) < cutoff);
+  for (const run of expiredRuns) {
+    runs.delete(run.id);
+    await discardRun(run.id);
+  }
+
+  const inUse = new Set([...runs.values()].filter(run => run.status === 'running').map(run => run.resumeId));
+  const expiredUploads = [...uploads.values()].filter(upload => !inUse.has(upload.id) && Date.parse(upload.uploadedAt) < cutoff);
+  for (const upload of expiredUploads) {
+    uploads.delete(upload.id);
+    await fs.rm(upload.path, { force: true });
+  }
+  const known = new Set([...uploads.values()].map(upload => path.basename(upload.path)));
+  const leftovers = await fs.readdir(config.server.uploadsDir).catch(() => []);
+  for (const file of leftovers.filter(name => !known.has(name))) {
+    const filePath = path.join(config.server.uploadsDir, file);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isFile() && stats.mtimeMs < cutoff) await fs.rm(filePath, { force: true });
+  }
+
+  if (expiredRuns.length > 0 || expiredUploads.length > 0) {
+    logger.info('Dropped expired runs and uploads', { runs: expiredRuns.map(run => run.id), uploads: expiredUploads.map(upload => upload.id) });
+  }
+  return { runs: expiredRuns.map(run => run.id), uploads: expiredUploads.map(upload => upload.id) };
+}
+
+// Final state when the run stopped, otherwise its latest checkpoint
+async function getRunValues(run) {
+  if (run.result) return run.result;
+  try {
+    return (await getRunState(run.id)).values;
+  } catch {
+    // Nothing checkpointed yet
+    return null;
+  }
+}
+
+export async function describeRun(run) {
+  const values = await getRunValues(run);
+  return {
+    id: run.id,
+    resumeId: run.resumeId,
+    status: run.status,
+    currentStep: values?.current_step || 'start',
+    matchScore: values?.analysis?.matchScore ?? null,
+    patchCount: values?.patches?.length ?? 0,
+    schemaWarnings: values?.resume?.schemaWarnings || [],
+    exports: run.status === 'completed' ? availableExports(run.result.output) : [],
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    error: run.error
+  };
+}
+
+function availableExports(output = {}) {
+  return Object.keys(EXPORT_FORMATS).filter(format =>
+    format === 'pdf' ? Boolean(output.files?.pdf) : Boolean(output.formats?.[format]?.content)
+  );
+}
+
+export async function getAnalysis(run) {
+  const values = await getRunValues(run);
+  if (!values?.analysis) {
+    throw new ConflictError('Analysis is not available yet', { runId: run.id, currentStep: values?.current_step || 'start' });
+  }
+  return {
+    analysis: values.analysis,
+    matchScore: values.analysis.matchScore ?? values.match_score,
+    keywords: values.keywords
+  };
+}
+
+export async function getPatches(run) {
+  const values = await getRunValues(run);
+  if (!PATCH_STEPS.includes(values?.current_step)) {
+    throw new ConflictError('Patches have not been suggested yet', { runId: run.id, currentStep: values?.current_step || 'start' });
+  }
+  const patches = values.patches || [];
+  // Locating skill patches can take an LLM call each, so do it once per run
+  if (!run.locations) {
+    run.locations = await describePatchLocations(patches, values.resume?.content?.jsonResume);
+  }
+  return {
+    awaitingApproval: run.status === 'awaiting_approval',
+    patches: patches.map(patch => ({ ...patch, location: run.locations[patch.id] || [], editable: isPatchEditable(patch) })),
+    approvedPatches: values.approvedPatches || [],
+    // Decisions already made by the run's decisions file rules
+    ruleDecisions: getPendingApproval(run.result)?.decided || []
+  };
+}
+
+// Theme HTML for the resume as it would look with the given decisions applied
+export async function renderPreview(run, decisions) {
+  // Only a paused run still holds the unpatched resume to preview against
+  if (run.status !== 'awaiting_approval') {
+    throw new ConflictError(`Run ${run.id} is not awaiting patch approval`, { runId: run.id, status: run.status });
+  }
+
+  const values = await getRunValues(run);
+  const approvedPatches = applyPatchDecisions(values.patches || [], decisions);
+  // Similarity placement keeps previews free of LLM calls; the final apply may pick another skill group
+  const patched = await applyPatches({ ...values, approvedPatches }, { categorize: false });
+  return renderResumeHtml(generateJSONResume(patched.resume));
+}
+
+export async function submitDecisions(run, decisions) {
+  if (run.status !== 'awaiting_approval') {
+    throw new ConflictError(`Run ${run.id} is not awaiting patch approval`, { runId: run.id, status: run.status });
+  }
+
+  // Claim the run before the first await so a concurrent submit gets a conflict
+  run.status = 'running';
+
+  // Reject a bad decision set here rather than failing the paused run
+  // Decisions may cover rule-decided patches too, to override them
+  try {
+    const patches = (await getRunValues(run))?.patches || [];
+    applyPatchDecisions(patches, decisions);
+  } catch (error) {
+    run.status = 'awaiting_approval';
+    throw error;
+  }
+
+  track(run, submitPatchDecisions(run.id, decisions));
+  return run;
+}
+
+export async function getExport(run, format) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new ValidationError(`Unknown export format: ${format}`, { allowedFormats: Object.keys(EXPORT_FORMATS) });
+  }
+  if (run.status !== 'completed') {
+    throw new ConflictError(`Run ${run.id} has not completed`, { runId: run.id, status: run.status });
+  }
+
+  const output = run.result.output || {};
+  if (format === 'pdf') {
+    // PDFs only survive the export temp dir when written to the run's output directory
+    if (!output.files?.pdf) {
+      throw new NotFoundError('No PDF export for this run (start it with allowDisk enabled)', { runId: run.id, format });
+    }
+    return { ...exportFormat, body: await fs.readFile(output.files.pdf) };
+  }
+
+  const content = output.formats?.[format]?.content;
+  if (!content) {
+    throw new NotFoundError(`No ${format} export for this run`, { runId: run.id, format });
+  }
+  return {
+    ...exportFormat,
+    body: format === 'json' ? JSON.stringify(content, null, 2) : content
+  };
+}
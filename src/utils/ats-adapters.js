@@ -0,0 +1,191 @@
+import { config } from '../config.js';
+import { htmlFragmentToText } from './jd-html.js';
+
+// Job boards whose posting pages render in the browser: read the posting from the
+// board's public JSON API instead and normalize it to the JobPosting fields from jd-html.js
+
+// Headings of Lever lists and similar blocks, by the posting field they fill
+const LIST_FIELDS = [
+  ['qualifications', /require|qualif|must have|you have|you bring|looking for|about you|who you are/i],
+  ['responsibilities', /responsib|you('|’)ll do|you will do|what you('|’)ll|day to day|the role/i],
+  ['skills', /skill|tech stack|technolog|tools/i]
+];
+
+const WORKABLE_TYPES = { full: 'full time', part: 'part time', contract: 'contract', temporary: 'temporary' };
+
+const ADAPTERS = [
+  {
+    name: 'greenhouse',
+    // boards.greenhouse.io/acme/jobs/123, job-boards(.eu).greenhouse.io/acme/jobs/123,
+    // boards.greenhouse.io/embed/job_app?for=acme&token=123
+    match(url) {
+      if (!/(^|\.)greenhouse\.io$/.test(url.hostname)) return null;
+      const embed = url.searchParams.get('for') && url.searchParams.get('token');
+      if (embed) return { board: url.searchParams.get('for'), id: url.searchParams.get('token') };
+      const [, board, id] = url.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/) || [];
+      return board ? { board, id } : null;
+    },
+    async fetch({ board, id }) {
+      const job = await getJson(`${config.jd.ats.greenhouse}/boards/${board}/jobs/${id}`);
+      return {
+        title: job.title,
+        hiringOrganization: job.company_name || board,
+        description: htmlFragmentToText(job.content),
+        location: job.location?.name,
+        datePosted: job.first_published || job.updated_at,
+        url: job.absolute_url
+      };
+    }
+  },
+  {
+    name: 'lever',
+    // jobs.lever.co/acme/<uuid>, jobs.eu.lever.co/acme/<uuid>/apply
+    match(url) {
+      if (!/^jobs\.(eu\.)?lever\.co$/.test(url.hostname)) return null;
+      const [, company, id] = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i) || [];
+      return company ? { company, id, eu: url.hostname.includes('.eu.') } : null;
+    },
+    async fetch({ company, id, eu }) {
+      const base = eu ? config.jd.ats.lever.replace('//api.lever.co', '//api.eu.lever.co') : config.jd.ats.lever;
+      const job = await getJson(`${base}/postings/${company}/${id}`);
+      const posting = {
+        title: job.text,
+        hiringOrganization: company,
+        description: [htmlFragmentToText(job.description), htmlFragmentToText(job.additional)].filter(Boolean).join('\n\n'),
+        location: job.categories?.allLocations?.join('; ') || job.categories?.location,
+        remote: job.workplaceType === 'remote',
+        employmentType: job.categories?.commitment ? [job.categories.commitment] : [],
+        salary: job.salaryRange && formatSalary(job.salaryRange.currency, job.salaryRange.min, job.salaryRange.max, job.salaryRange.interval),
+        datePosted: job.createdAt ? new Date(job.createdAt).toISOString() : null,
+        url: job.hostedUrl
+      };
+      // Lever keeps requirements and responsibilities in titled lists
+      for (const list of job.lists || []) {
+        const items = listItems(list.content);
+        const [field] = LIST_FIELDS.find(([, pattern]) => pattern.test(list.text)) || [];
+        if (field) posting[field] = [...(posting[field] || []), ...items];
+        else posting.description += `\n\n${list.text}\n${items.map(item => `• ${item}`).join('\n')}`;
+      }
+      return posting;
+    }
+  },
+  {
+    name: 'ashby',
+    // jobs.ashbyhq.com/acme/<uuid>
+    match(url) {
+      if (url.hostname !== 'jobs.ashbyhq.com') return null;
+      const [, organization, id] = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i) || [];
+      return organization ? { organization, id } : null;
+    },
+    async fetch({ organization, id }) {
+      // The public posting API only lists a board's jobs
+      const board = await getJson(`${config.jd.ats.ashby}/job-board/${organization}?includeCompensation=true`);
+      const job = (board.jobs || []).find(item => item.id === id);
+      if (!job) throw new Error(`Job ${id} is not on the ${organization} Ashby board`);
+      const salary = job.compensation?.summaryComponents?.find(component => component.compensationType === 'Salary');
+      return {
+        title: job.title,
+        hiringOrganization: organization,
+        description: job.descriptionHtml ? htmlFragmentToText(job.descriptionHtml) : job.descriptionPlain,
+        location: [job.location, ...(job.secondaryLocations || []).map(place => place.location)].filter(Boolean).join('; '),
+        remote: Boolean(job.isRemote) || job.workplaceType === 'Remote',
+        employmentType: job.employmentType ? [job.employmentType.replace(/([a-z])([A-Z])/g, '$1 $2')] : [],
+        salary: salary && formatSalary(salary.currencyCode, salary.minValue, salary.maxValue, salary.interval?.replace(/^1\s+/, '')),
+        datePosted: job.publishedAt,
+        url: job.jobUrl
+      };
+    }
+  },
+  {
+    name: 'workable',
+    // apply.workable.com/acme/j/ABC123/, acme.workable.com/j/ABC123
+    match(url) {
+      const apply = url.hostname === 'apply.workable.com' && url.pathname.match(/^\/([^/]+)\/j\/([0-9A-F]+)/i);
+      if (apply) return { account: apply[1], shortcode: apply[2] };
+      const subdomain = url.hostname.match(/^([^.]+)\.workable\.com$/);
+      const shortcode = subdomain && subdomain[1] !== 'apply' && url.pathname.match(/^\/j\/([0-9A-F]+)/i);
+      return shortcode ? { account: subdomain[1], shortcode: shortcode[1] } : null;
+    },
+    async fetch({ account, shortcode }) {
+      const job = await getJson(`${config.jd.ats.workable}/v2/accounts/${account}/jobs/${shortcode}`);
+      const place = job.location || {};
+      return {
+        title: job.title,
+        hiringOrganization: account,
+        description: htmlFragmentToText(job.description),
+        qualifications: listItems(job.requirements),
+        location: [place.city, place.region, place.country].filter(Boolean).join(', '),
+        remote: Boolean(job.remote) || job.workplace === 'remote',
+        employmentType: job.type ? [WORKABLE_TYPES[job.type] || job.type] : [],
+        datePosted: job.published,
+        url: job.url
+      };
+    }
+  }
+];
+
+// The adapter for a job URL and its parsed parameters, or null for other hosts
+export function matchAtsUrl(jobUrl) {
+  let url;
+  try {
+    url = new URL(jobUrl);
+  } catch {
+    return null;
+  }
+  for (const adapter of ADAPTERS) {
+    const params = adapter.match(url);
+    if (params) return { adapter, params };
+  }
+  return null;
+}
+
+// Fetch and normalize the posting for a matched URL. Fields the board has no
+// equivalent for stay empty so the result has the same shape as a JSON-LD posting.
+export async function fetchAtsPosting({ adapter, params }) {
+  const posting = await adapter.fetch(params);
+  return {
+    title: posting.title || null,
+    hiringOrganization: posting.hiringOrganization || null,
+    description: posting.description || null,
+    responsibilities: posting.responsibilities || [],
+    qualifications: posting.qualifications || [],
+    skills: posting.skills || [],
+    experienceRequirements: null,
+    educationRequirements: null,
+    employmentType: (posting.employmentType || []).map(type => type.toLowerCase()),
+    location: posting.location || null,
+    remote: Boolean(posting.remote),
+    salary: posting.salary || null,
+    datePosted: posting.datePosted || null,
+    validThrough: null,
+    ats: adapter.name,
+    ...(posting.url && { url: posting.url })
+  };
+}
+
+async function getJson(url) {
+  const res = await fetch(url, { headers: { accept: 'application/json' }, signal: config.jd.timeout > 0 ? AbortSignal.timeout(config.jd.timeout) : undefined });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+  return res.json();
+}
+
+function listItems(html) {
+  return htmlFragmentToText(html || '')
+    .split('\n')
+    .map(line => line.replace(/^•\s*/, '').trim())
+    .filter(Boolean);
+}
+
+function formatSalary(currency, min, max, unit) {
+  if (!min && !max) return null;
+  const range = min === max || !max ? `${min}` : [min, max].filter(Boolean).join('-');
+  // Lever intervals look like 'per-year-salary', Ashby's like '1 YEAR'
+  const per = unit ? String(unit).replace(/[-_]/g, ' ').toLowerCase().replace(/^per | (salary|wage)$/g, '') : null;
+  return {
+    currency: currency || null,
+    min: Number(min) || null,
+    max: Number(max) || null,
+    unit: per,
+    text: [currency, range, per && `per ${per}`].filter(Boolean).join(' ')
+  };
+}
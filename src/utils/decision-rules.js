@@ -0,0 +1,182 @@
+import fs from 'fs/promises';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { ValidationError } from './error-handler.js';
+import { logger } from './logger.js';
+
+const RULE_ACTIONS = ['approve', 'reject', 'edit'];
+const DEFAULT_ACTIONS = ['ask', 'approve', 'reject'];
+
+// Patch types whose details.value is written into the resume as-is, so editing it is meaningful
+export const EDITABLE_PATCH_TYPES = ['add_skill', 'add_keyword', 'role_enhancement', 'align_experience', 'enhance_experience'];
+
+export function isPatchEditable(patch) {
+  return EDITABLE_PATCH_TYPES.includes(patch.type) && typeof patch.details?.value === 'string';
+}
+
+// Decision files hold ordered rules; the first rule whose matchers all match a
+// patch decides it. Matchers: id, type, section (top-level JSON Resume key the
+// patch touches) and value (case-insensitive regex on details.value).
+//
+//   default: ask            # ask | approve | reject for unmatched patches
+//   rules:
+//     - { type: add_skill, value: '^kubernetes$', action: approve }
+//     - { section: education, action: reject }
+//     - { id: role_enhance_1, action: edit, replacement: 'Reworded text' }
+export async function loadDecisionRules(filePath) {
+  let raw;
+  try {
+    const text = await fs.readFile(filePath, 'utf8');
+    raw = isYamlFile(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Could not read decisions file ${filePath}: ${error.message}`, {
+      step: 'approve_patches',
+      file: filePath
+    });
+  }
+
+  const { rules = [], default: defaultAction = 'ask' } = Array.isArray(raw) ? { rules: raw } : (raw || {});
+  if (!Array.isArray(rules)) {
+    throw new ValidationError(`Decisions file ${filePath}: "rules" must be a list`, { step: 'approve_patches', file: filePath });
+  }
+  if (!DEFAULT_ACTIONS.includes(defaultAction)) {
+    throw new ValidationError(`Decisions file ${filePath}: "default" must be one of ${DEFAULT_ACTIONS.join(', ')}`, {
+      step: 'approve_patches',
+      file: filePath
+    });
+  }
+
+  return {
+    file: filePath,
+    defaultAction,
+    rawRules: rules,
+    rules: rules.map((rule, index) => compileRule(rule, index, filePath))
+  };
+}
+
+function compileRule(rule, index, filePath) {
+  const fail = message => new ValidationError(`Decisions file ${filePath}, rule ${index + 1}: ${message}`, {
+    step: 'approve_patches',
+    file: filePath,
+    rule
+  });
+
+  if (!rule || typeof rule !== 'object') throw fail('must be an object');
+  if (!RULE_ACTIONS.includes(rule.action)) throw fail(`action must be one of ${RULE_ACTIONS.join(', ')}`);
+  if (!['id', 'type', 'section', 'value'].some(key => rule[key] !== undefined)) {
+    throw fail('needs at least one of id, type, section or value');
+  }
+  if (rule.action === 'edit' && (typeof rule.replacement !== 'string' || !rule.replacement.trim())) {
+    throw fail('edit rules need a non-empty replacement');
+  }
+  const fixedTypes = toList(rule.type)?.filter(type => !EDITABLE_PATCH_TYPES.includes(type)) || [];
+  if (rule.action === 'edit' && fixedTypes.length > 0) {
+    throw fail(`${fixedTypes.join(', ')} patches cannot be edited; edit rules can match ${EDITABLE_PATCH_TYPES.join(', ')}`);
+  }
+
+  let valuePattern = null;
+  if (rule.value !== undefined) {
+    try {
+      valuePattern = new RegExp(String(rule.value), 'i');
+    } catch (error) {
+      throw fail(`invalid value regex: ${error.message}`);
+    }
+  }
+
+  return {
+    index,
+    action: rule.action,
+    replacement: rule.replacement,
+    ids: toList(rule.id),
+    types: toList(rule.type),
+    sections: toList(rule.section),
+    valuePattern
+  };
+}
+
+function toList(value) {
+  if (value === undefined) return null;
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+function isYamlFile(filePath) {
+  return ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+}
+
+export function ruleSetUsesSections(ruleSet) {
+  return ruleSet.rules.some(rule => rule.sections);
+}
+
+// `locations` is describePatchLocations() output; only needed for section rules.
+// An edit rule that matches a patch which cannot be edited is skipped for that patch.
+export function matchDecisionRule(ruleSet, patch, locations = {}) {
+  return ruleSet.rules.find(rule => {
+    if (!ruleMatches(rule, patch, locations)) return false;
+    if (rule.action === 'edit' && !isPatchEditable(patch)) {
+      logger.warn('Skipping edit rule for a patch that cannot be edited', { file: ruleSet.file, rule: rule.index + 1, patchId: patch.id, type: patch.type });
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+function ruleMatches(rule, patch, locations) {
+  if (rule.ids && !rule.ids.includes(patch.id)) return false;
+  if (rule.types && !rule.types.includes(patch.type)) return false;
+  if (rule.valuePattern && !rule.valuePattern.test(String(patch.details?.value ?? ''))) return false;
+  if (rule.sections) {
+    const touched = (locations[patch.id] || []).map(({ path: pointer }) => pointer.split('/')[1]);
+    if (!touched.some(section => rule.sections.includes(section))) return false;
+  }
+  return true;
+}
+
+// Split patches into rule decisions and the ones left for a reviewer
+export function decidePatchesByRules(ruleSet, patches, locations = {}) {
+  const decisions = [];
+  const undecided = [];
+  for (const patch of patches) {
+    const rule = matchDecisionRule(ruleSet, patch, locations);
+    if (rule) {
+      decisions.push(rule.action === 'edit'
+        ? { id: patch.id, action: 'edit', value: rule.replacement, rule: rule.index + 1 }
+        : { id: patch.id, action: rule.action, rule: rule.index + 1 });
+    } else if (ruleSet.defaultAction !== 'ask') {
+      decisions.push({ id: patch.id, action: ruleSet.defaultAction, rule: 'default' });
+    } else {
+      undecided.push(patch);
+    }
+  }
+  return { decisions, undecided };
+}
+
+// Turn reviewer decisions into replayable rules pinned to each patch's ID, type and value
+export function rulesFromDecisions(patches, decisions) {
+  return decisions.map(decision => {
+    const patch = patches.find(p => p.id === decision.id);
+    const rule = { id: decision.id, type: patch?.type };
+    if (typeof patch?.details?.value === 'string') {
+      rule.value = `^${escapeRegExp(patch.details.value)}$`;
+    }
+    rule.action = decision.action;
+    if (decision.action === 'edit') rule.replacement = decision.value;
+    return rule;
+  });
+}
+
+// Write decisions so a later run can replay them; rules from the file the run
+// loaded are kept ahead of the new ones
+export async function saveDecisionRules(filePath, patches, decisions, ruleSet = null) {
+  const content = {
+    default: ruleSet?.defaultAction || 'ask',
+    rules: [...(ruleSet?.rawRules || []), ...rulesFromDecisions(patches, decisions)]
+  };
+  const text = isYamlFile(filePath) ? yaml.dump(content, { lineWidth: 120 }) : `${JSON.stringify(content, null, 2)}\n`;
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, text, 'utf8');
+  return filePath;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,82 @@
+import mammoth from 'mammoth';
+import { htmlToText } from './file-utils.js';
+
+// Paragraphs that start with a typed bullet glyph rather than a Word list
+const BULLET_GLYPH = /^\s*[•●▪◦‣○■□\-*–]\s+/;
+
+// Extract a Word document as ordered blocks that keep its structure:
+// { type: 'heading', level, text } | { type: 'bullet', depth, text } | { type: 'paragraph', text }
+export async function extractDocxBlocks(buffer) {
+  const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+  return { blocks: htmlToBlocks(html), warnings: messages.map(m => m.message) };
+}
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  const tagPattern = /<(\/?)(h[1-6]|p|li|ul|ol)\b[^>]*>/g;
+  let listDepth = 0;
+  let current = null;
+  let lastIndex = 0;
+
+  const flush = () => {
+    if (!current) return;
+    const text = htmlToText(current.html).replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(toBlock(current, text));
+    current = null;
+  };
+
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (current) current.html += html.slice(lastIndex, match.index);
+    lastIndex = tagPattern.lastIndex;
+    const [, closing, tag] = match;
+
+    if (tag === 'ul' || tag === 'ol') {
+      // A nested list ends the parent item's own text
+      if (!closing && current?.tag === 'li') flush();
+      listDepth = Math.max(0, listDepth + (closing ? -1 : 1));
+    } else if (closing) {
+      if (current?.tag === tag) flush();
+    } else if (!(tag === 'p' && current?.tag === 'li')) {
+      flush();
+      current = { tag, html: '', depth: Math.max(0, listDepth - 1) };
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function toBlock(current, text) {
+  if (current.tag.startsWith('h')) {
+    return { type: 'heading', level: Number(current.tag[1]), text };
+  }
+  if (current.tag === 'li') {
+    return { type: 'bullet', depth: current.depth, text };
+  }
+  if (BULLET_GLYPH.test(text)) {
+    return { type: 'bullet', depth: 0, text: text.replace(BULLET_GLYPH, '') };
+  }
+  // Many resumes style section titles as short, fully bold paragraphs instead of headings
+  const isBoldOnly = /^\s*<(strong|b)>[^<]*<\/\1>\s*$/i.test(current.html);
+  if (isBoldOnly && text.length <= 60) {
+    return { type: 'heading', level: 2, text };
+  }
+  return { type: 'paragraph', text };
+}
+
+// Markdown-style text for the AI parser: '#' headings and '•' bullets on their own
+// lines, with bullet text kept verbatim so it can be copied into highlights
+export function blocksToText(blocks) {
+  const lines = [];
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      if (lines.length > 0) lines.push('');
+      lines.push(`${'#'.repeat(block.level)} ${block.text}`);
+    } else if (block.type === 'bullet') {
+      lines.push(`${'  '.repeat(block.depth)}• ${block.text}`);
+    } else {
+      lines.push(block.text);
+    }
+  }
+  return lines.join('\n').trim();
+}
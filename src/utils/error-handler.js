@@ -29,6 +29,30 @@ export class SecurityError extends ResumePatchError {
   }
 }
 
+export class NotFoundError extends ResumePatchError {
+  constructor(message, details = {}) {
+    super(message, 'NOT_FOUND', details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConflictError extends ResumePatchError {
+  constructor(message, details = {}) {
+    super(message, 'CONFLICT', details);
+    this.name = 'ConflictError';
+  }
+}
+
+// JSON-safe error body for API responses and stored run records
+export function serializeError(error) {
+  return {
+    code: error.code || 'UNKNOWN_ERROR',
+    message: error.message,
+    details: error.details || {},
+    timestamp: error.timestamp || new Date().toISOString()
+  };
+}
+
 export function handleError(error, context = '') {
   if (error instanceof ResumePatchError) {
     console.error(`[${error.code}] ${context}: ${error.message}`);
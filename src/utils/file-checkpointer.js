@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'node:path';
+import { MemorySaver } from '@langchain/langgraph';
+import { ValidationError } from './error-handler.js';
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const decoder = new TextDecoder();
+
+// Serialized checkpoints are JSON bytes; keep them as text so run files stay readable
+function toText(value) {
+  return value instanceof Uint8Array ? decoder.decode(value) : value;
+}
+
+function mapValues(obj, fn) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, fn(v)]));
+}
+
+// LangGraph checkpointer that mirrors each run (thread) to `<dir>/<runId>.json`
+// so an interrupted run can continue from its last completed node
+export class FileCheckpointSaver extends MemorySaver {
+  constructor(dir, serde) {
+    super(serde);
+    this.dir = dir;
+    this.loadedThreads = new Set();
+    // LangGraph issues put/putWrites concurrently; persist one snapshot at a time
+    this.persistQueue = Promise.resolve();
+  }
+
+  runFile(threadId) {
+    if (!RUN_ID_PATTERN.test(String(threadId || ''))) {
+      throw new ValidationError(`Invalid run ID: ${threadId}`, { runId: threadId });
+    }
+    return path.join(this.dir, `${threadId}.json`);
+  }
+
+  async hasRun(threadId) {
+    try {
+      await fs.access(this.runFile(threadId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async loadThread(threadId) {
+    if (threadId === undefined || this.loadedThreads.has(threadId)) return;
+    const file = this.runFile(threadId);
+    this.loadedThreads.add(threadId);
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    this.storage[threadId] = data.storage || {};
+    Object.assign(this.writes, data.writes || {});
+  }
+
+  persistThread(threadId) {
+    const run = this.persistQueue.then(() => this.writeRunFile(threadId));
+    this.persistQueue = run.catch(() => {});
+    return run;
+  }
+
+  async writeRunFile(threadId) {
+    const file = this.runFile(threadId);
+    const storage = mapValues(this.storage[threadId], checkpoints =>
+      mapValues(checkpoints, ([checkpoint, metadata, parentId]) => [toText(checkpoint), toText(metadata), parentId])
+    );
+    const writes = {};
+    for (const [key, taskWrites] of Object.entries(this.writes)) {
+      if (JSON.parse(key)[0] !== threadId) continue;
+      writes[key] = mapValues(taskWrites, ([taskId, channel, value]) => [taskId, channel, toText(value)]);
+    }
+
+    // Write to a temp file first so a crash mid-write never corrupts the run
+    await fs.mkdir(this.dir, { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ runId: threadId, updatedAt: new Date().toISOString(), storage, writes }), 'utf8');
+    await fs.rename(tmpFile, file);
+  }
+
+  async getTuple(config) {
+    await this.loadThread(config.configurable?.thread_id);
+    return super.getTuple(config);
+  }
+
+  async *list(config, options) {
+    await this.loadThread(config.configurable?.thread_id);
+    yield* super.list(config, options);
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    await this.loadThread(threadId);
+    const result = await super.put(config, checkpoint, metadata);
+    await this.persistThread(threadId);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    await this.loadThread(threadId);
+    await super.putWrites(config, writes, taskId);
+    await this.persistThread(threadId);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    await fs.rm(this.runFile(threadId), { force: true });
+  }
+}
@@ -0,0 +1,63 @@
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { CHROME_TAGS, CHROME_ATTRS, PAGE_FORM_SHARE, extractJobPosting } from './jd-html.js';
+
+// Whether a URL's host is allowed to be rendered; an empty allowlist allows any host.
+// 'example.com' also covers its subdomains.
+export function isBrowserFetchAllowed(url) {
+  const { allowedDomains } = config.jd.browser;
+  if (allowedDomains.length === 0) return true;
+  const host = new URL(url).hostname.toLowerCase();
+  return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Render a JavaScript-built posting page in headless Chromium and read its visible text:
+// { text, posting } where posting is the rendered page's JobPosting JSON-LD, if any
+export async function renderJobPage(url) {
+  const { timeout, contentTimeout } = config.jd.browser;
+  // puppeteer is heavy to load and only needed for this fallback
+  const { default: puppeteer } = await import('puppeteer');
+  const browser = await puppeteer.launch({ headless: true });
+  try {
+    const page = await browser.newPage();
+    page.setDefaultTimeout(timeout);
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    try {
+      await page.waitForSelector('main, [role="main"], article, h1', { visible: true, timeout: contentTimeout });
+      await page.waitForNetworkIdle({ idleTime: 500, timeout: contentTimeout });
+    } catch {
+      logger.debug('Job page content wait timed out; reading what has rendered', { url });
+    }
+
+    const posting = extractJobPosting(await page.content());
+    const text = await page.evaluate((chromeTags, chromeAttrs, pageFormShare) => {
+      const chrome = new RegExp(chromeAttrs, 'i');
+      // Forms wrapping most of the page are the page itself, not an application form
+      const pageLength = document.body.innerText.length;
+      document.querySelectorAll('form').forEach(form => {
+        if (form.innerText.length <= pageLength * pageFormShare) form.remove();
+      });
+      document.querySelectorAll([
+        ...chromeTags.filter(tag => tag !== 'form'),
+        '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[role="alertdialog"]'
+      ].join(',')).forEach(element => element.remove());
+      document.querySelectorAll('[id], [class], [aria-label]').forEach(element => {
+        const attrs = [element.id, element.getAttribute('class'), element.getAttribute('aria-label')].join(' ');
+        if (chrome.test(attrs)) element.remove();
+      });
+      const articles = [...document.querySelectorAll('article')];
+      const main = document.querySelector('main, [role="main"]')
+        || articles.sort((a, b) => b.innerText.length - a.innerText.length)[0]
+        || document.body;
+      // innerText leaves out hidden elements and keeps block line breaks
+      return main.innerText;
+    }, [...CHROME_TAGS], CHROME_ATTRS.source, PAGE_FORM_SHARE);
+
+    return {
+      text: text.replace(/[ \t\u00A0]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+      posting
+    };
+  } finally {
+    await browser.close();
+  }
+}
@@ -0,0 +1,235 @@
+// Job posting pages: schema.org/JobPosting JSON-LD when the page embeds it,
+// otherwise the main content with navigation, footers and cookie banners removed
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+export const CHROME_TAGS = new Set(['nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog']);
+// A <form> holding more than this share of the content region wraps the page (ASP.NET
+// WebForms) rather than being an application or search form, so it is kept
+export const PAGE_FORM_SHARE = 0.5;
+export const CHROME_ATTRS = /\b(?:cookie|consent|gdpr|onetrust|newsletter|subscribe|share-|social|breadcrumb|skip-link|navbar|site-header|site-footer|modal|popup)/i;
+const BLOCK_TAGS = /<\/?(?:p|div|section|article|main|br|h[1-6]|ul|ol|table|tr|dl|dt|dd|blockquote|pre|hr)\b[^>]*>/gi;
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", rsquo: '’', lsquo: '‘',
+  rdquo: '”', ldquo: '“', ndash: '–', mdash: '—', bull: '•', hellip: '…', middot: '·'
+};
+
+export function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(value) && value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// HTML fragment to text that keeps paragraphs, headings and list items on their own lines
+export function htmlFragmentToText(html) {
+  let source = String(html || '');
+  // JSON-LD descriptions are often HTML escaped once more
+  if (!/<[a-z]/i.test(source) && /&lt;[a-z]/i.test(source)) source = decodeEntities(source);
+  const text = source
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t\f\v\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n(?:• *\n)+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// The first schema.org JobPosting in the page's JSON-LD, normalized to plain fields, or null
+export function extractJobPosting(html) {
+  const scripts = String(html || '').matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, body] of scripts) {
+    let data;
+    try {
+      data = JSON.parse(body.replace(/^\s*(?:<!\[CDATA\[|<!--)|(?:\]\]>|-->)\s*$/g, '').trim());
+    } catch {
+      continue;
+    }
+    const posting = findJobPosting(data);
+    if (posting) return normalizeJobPosting(posting);
+  }
+  return null;
+}
+
+function findJobPosting(node) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJobPosting(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!node || typeof node !== 'object') return null;
+  const types = [].concat(node['@type'] || []);
+  if (types.some(type => String(type).replace(/^.*[/:]/, '') === 'JobPosting')) return node;
+  return findJobPosting(node['@graph'] || node.mainEntity || null);
+}
+
+// Plain text from a JSON-LD value: strings, DefinedTerms ({ name }), or lists of either
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join('\n');
+  if (typeof value === 'object') return textOf(value.name ?? value.description ?? value['@value'] ?? '');
+  return htmlFragmentToText(String(value));
+}
+
+// Lists given as arrays, or as one string with bullets, lines or commas
+function listOf(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value.map(textOf) : textOf(value).split('\n');
+  const lines = items.map(item => item.replace(/^[•*-]\s*/, '').trim()).filter(Boolean);
+  return lines.length === 1 && !Array.isArray(value) && lines[0].includes(',') && !/[.;]/.test(lines[0])
+    ? lines[0].split(',').map(item => item.trim()).filter(Boolean)
+    : lines;
+}
+
+function formatLocation(posting) {
+  const places = [].concat(posting.jobLocation || []).map(place => {
+    const address = place?.address || place;
+    if (typeof address === 'string') return address;
+    return [address?.addressLocality, address?.addressRegion, textOf(address?.addressCountry)].filter(Boolean).join(', ');
+  }).filter(Boolean);
+  const remote = posting.jobLocationType === 'TELECOMMUTE';
+  if (remote) {
+    const regions = [].concat(posting.applicantLocationRequirements || []).map(textOf).filter(Boolean);
+    places.push(regions.length > 0 ? `Remote (${regions.join(', ')})` : 'Remote');
+  }
+  return { location: [...new Set(places)].join('; ') || null, remote };
+}
+
+function formatSalary(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== 'object') return null;
+  const value = baseSalary.value ?? {};
+  const amount = typeof value === 'object' ? value : { value };
+  const salary = {
+    currency: baseSalary.currency || amount.currency || null,
+    min: Number(amount.minValue ?? amount.value) || null,
+    max: Number(amount.maxValue ?? amount.value) || null,
+    unit: (amount.unitText || baseSalary.unitText || '').toLowerCase() || null
+  };
+  if (!salary.min && !salary.max) return null;
+  const range = salary.min === salary.max ? `${salary.min}` : [salary.min, salary.max].filter(Boolean).join('-');
+  salary.text = [salary.currency, range, salary.unit && `per ${salary.unit}`].filter(Boolean).join(' ');
+  return salary;
+}
+
+function normalizeJobPosting(posting) {
+  const { location, remote } = formatLocation(posting);
+  const organization = posting.hiringOrganization;
+  return {
+    title: textOf(posting.title) || null,
+    hiringOrganization: (typeof organization === 'string' ? organization : textOf(organization?.name)) || null,
+    description: textOf(posting.description) || null,
+    responsibilities: listOf(posting.responsibilities),
+    qualifications: listOf(posting.qualifications),
+    skills: listOf(posting.skills),
+    experienceRequirements: textOf(
+      typeof posting.experienceRequirements === 'object' && posting.experienceRequirements?.monthsOfExperience
+        ? `${Math.round(posting.experienceRequirements.monthsOfExperience / 12)}+ years of experience`
+        : posting.experienceRequirements
+    ) || null,
+    educationRequirements: textOf(posting.educationRequirements?.credentialCategory ?? posting.educationRequirements) || null,
+    employmentType: [].concat(posting.employmentType || []).map(type => String(type).replace(/_/g, ' ').toLowerCase()),
+    location,
+    remote,
+    salary: formatSalary(posting.baseSalary || posting.estimatedSalary?.[0] || posting.estimatedSalary),
+    datePosted: posting.datePosted || null,
+    validThrough: posting.validThrough || null
+  };
+}
+
+// Job description text from a normalized posting: header facts, the description, then
+// the structured lists that are not already part of the description
+export function jobPostingToText(posting) {
+  const header = [
+    posting.title,
+    posting.hiringOrganization && `Company: ${posting.hiringOrganization}`,
+    posting.location && `Location: ${posting.location}`,
+    posting.employmentType.length > 0 && `Employment type: ${posting.employmentType.join(', ')}`,
+    posting.salary && `Salary: ${posting.salary.text}`
+  ].filter(Boolean);
+
+  const description = posting.description || '';
+  const inDescription = item => new RegExp(`(^|\\W)${item.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'i').test(description);
+  const blocks = [header.join('\n'), description];
+  const addList = (title, items) => {
+    const missing = items.filter(item => !inDescription(item));
+    if (missing.length > 0) blocks.push(`${title}:\n${missing.map(item => `• ${item}`).join('\n')}`);
+  };
+  addList('Responsibilities', posting.responsibilities);
+  addList('Qualifications', posting.qualifications);
+  addList('Skills', posting.skills);
+  if (posting.experienceRequirements && !inDescription(posting.experienceRequirements)) {
+    blocks.push(`Experience: ${posting.experienceRequirements}`);
+  }
+  if (posting.educationRequirements && !inDescription(posting.educationRequirements)) {
+    blocks.push(`Education: ${posting.educationRequirements}`);
+  }
+  return blocks.filter(Boolean).join('\n\n').trim();
+}
+
+// Page text without site chrome: the <main>/<article> element when there is one,
+// otherwise <body> with navigation, headers, footers, forms and banners removed
+export function extractMainText(html) {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe)\b[\s\S]*?<\/\1>/gi, '');
+  const elements = parseElements(source);
+  const isPageForm = element => element.tag === 'form' && element.end - element.start > (end - start) * PAGE_FORM_SHARE;
+  const isChrome = element => (CHROME_TAGS.has(element.tag) && !isPageForm(element))
+    || /role\s*=\s*["']?(?:navigation|banner|contentinfo|dialog|alertdialog)/i.test(element.attrs)
+    || CHROME_ATTRS.test((element.attrs.match(/\b(?:id|class|aria-label)\s*=\s*["'][^"']*["']/gi) || []).join(' '));
+
+  const main = elements.find(element => element.tag === 'main' || /role\s*=\s*["']?main\b/i.test(element.attrs))
+    || largestElement(elements.filter(element => element.tag === 'article'))
+    || elements.find(element => element.tag === 'body');
+  const [start, end] = main ? [main.start, main.end] : [0, source.length];
+
+  // Remove chrome inside the chosen region, outermost elements only
+  let text = '';
+  let cursor = start;
+  elements
+    .filter(element => element !== main && element.start >= start && element.end <= end && isChrome(element))
+    .sort((a, b) => a.start - b.start)
+    .forEach(element => {
+      if (element.start < cursor) return;
+      text += source.slice(cursor, element.start);
+      cursor = element.end;
+    });
+  text += source.slice(cursor, end);
+  return htmlFragmentToText(text);
+}
+
+function largestElement(elements) {
+  return elements.reduce((best, element) => (!best || element.end - element.start > best.end - best.start ? element : best), null);
+}
+
+// Element ranges from a tolerant tag scan: [{ tag, attrs, start, end }], with end after the closing tag
+function parseElements(html) {
+  const elements = [];
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)\b([^>]*)>/g;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const [, closing, name, attrs] = match;
+    const tag = name.toLowerCase();
+    if (!closing) {
+      if (!VOID_TAGS.has(tag) && !attrs.trim().endsWith('/')) stack.push({ tag, attrs, start: match.index });
+      continue;
+    }
+    const index = stack.map(element => element.tag).lastIndexOf(tag);
+    if (index === -1) continue;
+    // Unclosed children end where their parent does
+    stack.splice(index).forEach(element => elements.push({ ...element, end: tagPattern.lastIndex }));
+  }
+  stack.forEach(element => elements.push({ ...element, end: html.length }));
+  return elements.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,422 @@
+import { logger } from './logger.js';
+import { getLLMClient, getModelForTask, isLLMConfigured } from '../llm/client.js';
+import { dedupeSkills, findSkillsInText, skillCategory } from './skill-taxonomy.js';
+
+// Structured job description model:
+// { title, company, seniority, mustHave[], niceToHave[], responsibilities[], techStack[],
+//   minYearsExperience, yearsRequired: [{ skill, years }], education: { level, fields[], required },
+//   location: { places[], workplace }, compensation: { currency, min, max, period, text } }
+
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'staff', 'principal', 'lead', 'manager', 'director', 'executive'];
+export const EDUCATION_LEVELS = ['high school', 'associate', 'bachelors', 'masters', 'phd'];
+const WORKPLACES = ['onsite', 'hybrid', 'remote'];
+
+const nullable = type => ({ type: [type, 'null'] });
+const strings = { type: 'array', items: { type: 'string' } };
+
+const JD_SCHEMA = {
+  name: 'job_description',
+  strict: true,
+  schema: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'company', 'seniority', 'mustHave', 'niceToHave', 'responsibilities', 'techStack',
+      'minYearsExperience', 'yearsRequired', 'education', 'location', 'compensation'],
+    properties: {
+      title: nullable('string'),
+      company: nullable('string'),
+      seniority: { type: ['string', 'null'], enum: [...SENIORITY_LEVELS, null] },
+      mustHave: strings,
+      niceToHave: strings,
+      responsibilities: strings,
+      techStack: strings,
+      minYearsExperience: nullable('number'),
+      yearsRequired: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['skill', 'years'],
+          properties: { skill: { type: 'string' }, years: { type: 'number' } }
+        }
+      },
+      education: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['level', 'fields', 'required'],
+        properties: {
+          level: { type: ['string', 'null'], enum: [...EDUCATION_LEVELS, null] },
+          fields: strings,
+          required: { type: 'boolean' }
+        }
+      },
+      location: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['places', 'workplace'],
+        properties: {
+          places: strings,
+          workplace: { type: ['string', 'null'], enum: [...WORKPLACES, null] }
+        }
+      },
+      compensation: {
+        type: ['object', 'null'],
+        additionalProperties: false,
+        required: ['currency', 'min', 'max', 'period'],
+        properties: {
+          currency: nullable('string'),
+          min: nullable('number'),
+          max: nullable('number'),
+          period: { type: ['string', 'null'], enum: ['hour', 'day', 'week', 'month', 'year', null] }
+        }
+      }
+    }
+  }
+};
+
+// Structure a job description with a schema-constrained LLM call, falling back to the
+// deterministic parser when no LLM is configured or the call fails.
+// `posting` (JobPosting JSON-LD or a job-board API) fills facts the text leaves out.
+export async function parseJobDescription(text, posting = null) {
+  if (isLLMConfigured()) {
+    try {
+      const structure = await aiParseJobDescription(text);
+      return { ...withPostingFacts(structure, posting), method: 'ai' };
+    } catch (e) {
+      logger.warn('AI job description parse failed; using the rule-based parser', { error: e.message });
+      return { ...withPostingFacts(heuristicParseJobDescription(text), posting), method: 'heuristic', reason: e.message };
+    }
+  }
+  return { ...withPostingFacts(heuristicParseJobDescription(text), posting), method: 'heuristic', reason: 'LLM not configured' };
+}
+
+async function aiParseJobDescription(text) {
+  const client = getLLMClient();
+  const prompt = `Extract the structure of this job description.
+Rules:
+- mustHave: required qualifications, one per item, worded as in the posting. niceToHave: preferred, bonus or "a plus" items.
+- responsibilities: what the person will do, one per item.
+- techStack: concrete languages, frameworks, databases, cloud services and tools named anywhere in the posting.
+- minYearsExperience: overall years of experience required (the lower bound of a range), or null.
+- yearsRequired: years asked for a specific skill, e.g. "3+ years of Go" -> { "skill": "Go", "years": 3 }.
+- seniority from the title and requirements; education.required is false when equivalent experience is accepted or the degree is only preferred.
+- compensation only when the posting states pay; period is the pay interval.
+- Do not invent anything that is not in the text; use null or [] instead.
+
+Job Description:
+
+${text.substring(0, 60000)}`;
+
+  const response = await client.chat.completions.create({
+    model: getModelForTask('jd'),
+    messages: [
+      { role: 'system', content: 'You extract structured data from job postings. Return only JSON matching the schema.' },
+      { role: 'user', content: prompt }
+    ],
+    response_format: { type: 'json_schema', json_schema: JD_SCHEMA }
+  });
+  const content = response.choices?.[0]?.message?.content;
+  if (!content) throw new Error('No content from the model');
+  let parsed;
+  try { parsed = JSON.parse(content); } catch { throw new Error('Model did not return valid JSON'); }
+  return normalizeStructure(parsed);
+}
+
+// Coerce any model output into the model shape so consumers never check types
+function normalizeStructure(raw) {
+  const list = value => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+  const number = value => (Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null);
+  const oneOf = (value, allowed) => (allowed.includes(value) ? value : null);
+  const compensation = raw?.compensation && (number(raw.compensation.min) || number(raw.compensation.max))
+    ? formatCompensation(raw.compensation.currency, number(raw.compensation.min), number(raw.compensation.max), raw.compensation.period)
+    : null;
+  return {
+    title: raw?.title || null,
+    company: raw?.company || null,
+    seniority: oneOf(raw?.seniority, SENIORITY_LEVELS),
+    mustHave: list(raw?.mustHave),
+    niceToHave: list(raw?.niceToHave),
+    responsibilities: list(raw?.responsibilities),
+    techStack: dedupeSkills(list(raw?.techStack)),
+    minYearsExperience: number(raw?.minYearsExperience),
+    yearsRequired: (Array.isArray(raw?.yearsRequired) ? raw.yearsRequired : [])
+      .filter(item => item?.skill && number(item.years))
+      .map(item => ({ skill: String(item.skill).trim(), years: number(item.years) })),
+    education: {
+      level: oneOf(raw?.education?.level, EDUCATION_LEVELS),
+      fields: list(raw?.education?.fields),
+      required: Boolean(raw?.education?.required)
+    },
+    location: {
+      places: list(raw?.location?.places),
+      workplace: oneOf(raw?.location?.workplace, WORKPLACES)
+    },
+    compensation
+  };
+}
+
+function withPostingFacts(structure, posting) {
+  if (!posting) return structure;
+  const merged = { ...structure };
+  merged.title = structure.title || posting.title || null;
+  merged.company = structure.company || posting.hiringOrganization || null;
+  if (merged.location.places.length === 0 && posting.location) {
+    merged.location = { ...merged.location, places: posting.location.split('; ') };
+  }
+  // Job boards list these separately; the text may not repeat them
+  if (merged.mustHave.length === 0) merged.mustHave = posting.qualifications || [];
+  if (merged.responsibilities.length === 0) merged.responsibilities = posting.responsibilities || [];
+  merged.techStack = dedupeSkills([...merged.techStack, ...(posting.skills || [])]);
+  if (!merged.location.workplace && posting.remote) merged.location = { ...merged.location, workplace: 'remote' };
+  if (!merged.compensation && posting.salary) {
+    merged.compensation = formatCompensation(posting.salary.currency, posting.salary.min, posting.salary.max, posting.salary.unit);
+  }
+  return merged;
+}
+
+function formatCompensation(currency, min, max, period) {
+  const interval = ['hour', 'day', 'week', 'month', 'year'].includes(period) ? period : null;
+  const range = min && max && min !== max ? `${min}-${max}` : `${min || max}`;
+  return {
+    currency: currency || null,
+    min: min || null,
+    max: max || null,
+    period: interval,
+    text: [currency, range, interval && `per ${interval}`].filter(Boolean).join(' ')
+  };
+}
+
+// Section headings by the field they fill; checked only on heading lines, never on list items
+const HEADINGS = [
+  ['niceToHave', /nice to have|nice-to-have|preferred|bonus|desired|pluses|(^|\s)a plus|would be great|extra credit/i],
+  ['mustHave', /requirement|qualifications|must have|must-have|what you('|’)ll need|what you need|what we('|’)re looking for|what we look for|you have|you bring|who you are|about you|skills|experience you|minimum/i],
+  ['responsibilities', /responsibilit|what you('|’)ll do|what you will do|the role|your role|duties|day to day|day-to-day|your impact|in this role|you will/i],
+  ['techStack', /tech stack|our stack|technolog|tools we use|tooling/i],
+  ['other', /about (us|the company|the team)|benefits|perks|what we offer|compensation|salary|equal opportunity|how to apply|our values|why join|location/i]
+];
+const DEGREE = /\b(degree|bachelor|master|ph\.?d|doctorate|B\.?S\.?|B\.?A\.?|M\.?S\.?|BSc|MSc|MBA)\b/;
+const NICE_TO_HAVE_ITEM = /\b(preferred|nice to have|a plus|bonus|ideally|desirable)\b/i;
+const TECH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'we', 'you', 'our', 'your', 'this', 'that', 'with', 'for', 'in', 'of', 'to', 'or', 'on',
+  'experience', 'strong', 'excellent', 'ability', 'knowledge', 'understanding', 'familiarity', 'proficiency',
+  'bachelor', 'bachelors', 'master', 'masters', 'degree', 'years', 'year', 'team', 'teams', 'work', 'working',
+  'english', 'us', 'usa', 'eu', 'uk', 'ceo', 'cto', 'phd', 'bs', 'ms', 'ba', 'ma', 'i', 'it', 'am', 'pm', 'api', 'apis'
+]);
+
+// Deterministic parser: splits on heading lines (short lines ending in ':' or Markdown
+// headings or title-like lines followed by a list), then reads facts with patterns
+export function heuristicParseJobDescription(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim());
+  const structure = {
+    title: null,
+    company: null,
+    seniority: null,
+    mustHave: [],
+    niceToHave: [],
+    responsibilities: [],
+    techStack: [],
+    minYearsExperience: null,
+    yearsRequired: [],
+    education: { level: null, fields: [], required: false },
+    location: { places: [], workplace: null },
+    compensation: null
+  };
+
+  let field = null;
+  lines.forEach((line, index) => {
+    if (!line) return;
+    const heading = headingField(line, lines[index + 1]);
+    // The first line names the role unless it already opens a section
+    if (!structure.title && index === lines.findIndex(Boolean) && (!heading || heading === 'other')
+      && line.length <= 80 && !/[.!?]$/.test(line)) {
+      structure.title = line.replace(/^#+\s*/, '');
+      return;
+    }
+    if (heading) {
+      field = heading;
+      return;
+    }
+    const labelled = line.match(/^(title|position|role|company|location|salary|compensation|pay|benefits)\s*:\s*(.+)$/i);
+    if (labelled) {
+      const [, label, value] = labelled;
+      if (/location/i.test(label)) structure.location.places.push(...value.split(/\s*[;|]\s*/));
+      else if (/company/i.test(label)) structure.company = value;
+      else if (/title|position|role/i.test(label)) structure.title = structure.title || value;
+      // A labelled fact after a list ends that list
+      field = 'other';
+      return;
+    }
+    if (!field || field === 'other') return;
+
+    const item = line.replace(/^(?:[•●▪◦*\-–]|\d+[.)])\s*/, '').trim();
+    if (!item) return;
+    if (field === 'techStack') {
+      structure.techStack.push(...item.split(/\s*[,;|]\s*/).map(tech => tech.replace(/^(and|or)\s+/i, '')).filter(Boolean));
+    } else if (field === 'mustHave' && NICE_TO_HAVE_ITEM.test(item)) {
+      structure.niceToHave.push(item);
+    } else {
+      structure[field].push(item);
+    }
+  });
+
+  const requirements = [...structure.mustHave, ...structure.niceToHave];
+  const scanned = requirements.length > 0 ? requirements : lines.filter(Boolean);
+  const years = yearsOfExperience(scanned);
+  structure.minYearsExperience = years.overall;
+  structure.yearsRequired = years.perSkill;
+  const described = [...requirements, ...structure.responsibilities];
+  // Known tools count wherever they appear, e.g. lowercase or at the start of a sentence
+  const known = findSkillsInText(described.join('\n')).filter(name => skillCategory(name) !== 'practices');
+  structure.techStack = dedupeSkills([...structure.techStack, ...techTerms(described), ...known]);
+  structure.seniority = seniorityOf(structure.title, structure.minYearsExperience);
+  structure.education = educationOf(scanned.join('\n'));
+  structure.location.workplace = workplaceOf(text);
+  structure.compensation = compensationOf(text);
+  return structure;
+}
+
+function headingField(line, nextLine) {
+  if (/^(?:[•●▪◦*\-–]|\d+[.)])\s/.test(line) || line.length > 60) return null;
+  const markdown = /^#{1,6}\s/.test(line);
+  const colon = /:\s*$/.test(line);
+  const titleLike = !/[.!?,;]$/.test(line) && line.split(/\s+/).length <= 8 && /^(?:[•●▪◦*\-–]|\d+[.)])\s/.test(nextLine || '');
+  if (!markdown && !colon && !titleLike && line !== line.toUpperCase()) return null;
+  const title = line.replace(/^#+\s*|[:\s]+$/g, '');
+  const match = HEADINGS.find(([, pattern]) => pattern.test(title));
+  return match ? match[0] : (markdown || colon) ? 'other' : null;
+}
+
+// "5+ years of experience" sets the overall minimum; "3+ years with Go" or
+// "2-4 years of Python experience" is a per-skill requirement
+function yearsOfExperience(lines) {
+  let overall = null;
+  const perSkill = [];
+  const pattern = /(\d+)\s*\+?\s*(?:(?:-|–|to)\s*\d+\s*)?(?:years?|yrs?)(?:'|’)?\s*(?:of\s+)?((?:[\w.#+/-]+\s+){0,6}?)(?:(?:professional|hands-on|industry|relevant|commercial|production|practical)\s+)?(?:experience|exp\b)?\s*(?:(?:with|in|using|building|writing|working with|of|as an?)\s+)?([^,.;()]*)/gi;
+  for (const line of lines) {
+    for (const match of line.matchAll(pattern)) {
+      const years = Number(match[1]);
+      if (!years || years > 40) continue;
+      const skill = [match[2], match[3]].map(cleanSkill).find(phrase => phrase && !GENERIC_EXPERIENCE.test(phrase));
+      if (skill) perSkill.push({ skill, years });
+      else if (overall === null || years < overall) overall = years;
+    }
+  }
+  return { overall, perSkill };
+}
+
+// Experience phrases that describe the whole career rather than one skill
+const GENERIC_EXPERIENCE = /^(software|engineering|development|programming|technical|work|full[- ]time|software (engineering|development)|the field)$/i;
+
+function cleanSkill(text) {
+  const skill = String(text || '')
+    .replace(/\b(professional|hands-on|industry|relevant|commercial|production|practical|experience|related|similar|the|a|an|of|in|with|and|or)\b/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return skill.length >= 1 && skill.length <= 40 && skill.split(' ').length <= 4 ? skill : null;
+}
+
+// Tech-looking terms in requirement items: words with capitals, digits or symbols
+// (Go, PostgreSQL, C++, Node.js, AWS), skipping capitalized sentence starts.
+// Adjacent capitalized words stay together ("Protocol Buffers"); degree lines are skipped.
+function techTerms(items) {
+  const terms = [];
+  for (const item of items.filter(item => !DEGREE.test(item))) {
+    let phrase = [];
+    const flush = () => {
+      if (phrase.length > 0) terms.push(phrase.join(' '));
+      phrase = [];
+    };
+    const words = [...item.matchAll(/[A-Za-z][\w]*(?:[.#+/-][\w#+]*)*|[^\sA-Za-z]+/g)].map(match => match[0]);
+    words.forEach((word, index) => {
+      const clean = word.replace(/[.,/-]+$/, '');
+      // Capitals mean nothing at a sentence start, except in short items like "Go" or "React Native"
+      const sentenceStart = (index === 0 || /[.!?:]$/.test(words[index - 1])) && words.length > 3;
+      const technical = /^[A-Za-z]/.test(clean)
+        && (/[A-Z].*[A-Z]|[0-9]|[#+]|\.\w/.test(clean) || (/^[A-Z]/.test(clean) && !sentenceStart))
+        && !TECH_STOPWORDS.has(clean.toLowerCase());
+      if (technical) phrase.push(clean);
+      if (!technical || clean !== word) flush();
+    });
+    flush();
+  }
+  return terms;
+}
+
+function seniorityOf(title, years) {
+  const patterns = [
+    ['intern', /\bintern(ship)?\b/i], ['junior', /\b(junior|jr\.?|entry[- ]level|graduate)\b/i],
+    ['principal', /\bprincipal\b/i], ['staff', /\bstaff\b/i], ['director', /\b(director|head of|vp|vice president)\b/i],
+    ['manager', /\bmanager\b/i], ['lead', /\b(lead|tech lead)\b/i], ['senior', /\b(senior|sr\.?)\b/i], ['mid', /\b(mid[- ]level|intermediate)\b/i]
+  ];
+  const match = patterns.find(([, pattern]) => pattern.test(title || ''));
+  if (match) return match[0];
+  if (years === null) return null;
+  return years < 2 ? 'junior' : years < 5 ? 'mid' : 'senior';
+}
+
+const DEGREE_PATTERNS = {
+  phd: /\b(ph\.?d|doctorate|doctoral)\b/i,
+  masters: /\b(master('|’)?s|master of|m\.s\.|msc|m\.sc|mba)\b|\bMS\b/i,
+  bachelors: /\b(bachelor(('|’)?s)?|b\.s\.|bsc|b\.sc|b\.a\.|undergraduate degree|college degree|university degree)\b|\b(BS|BA)\b/i,
+  associate: /\bassociate('|’)?s degree\b/i,
+  'high school': /\b(high school|ged)\b/i
+};
+
+// Education levels mentioned in the text, lowest first (see EDUCATION_LEVELS)
+export function degreeLevels(text) {
+  return EDUCATION_LEVELS.filter(level => DEGREE_PATTERNS[level].test(text || ''));
+}
+
+function educationOf(text) {
+  // The lowest level mentioned is the requirement ("BS required, MS preferred")
+  const level = degreeLevels(text)[0] || null;
+  const fields = (text.match(/(?:degree|\bB\.?S\.?|\bB\.?A\.?|\bM\.?S\.?|BSc|MSc|bachelor('|’)?s|master('|’)?s) in ([^.;\n]+?)(?:,? or (?:a )?(?:related|equivalent|similar)| or equivalent|\.|;|\n|$)/i)?.[3] || '')
+    .split(/,\s*|\s+or\s+|\s+and\s+/)
+    .map(field => field.trim())
+    .filter(field => field && field.length <= 40);
+  const optional = /equivalent (practical |work )?experience|or equivalent|degree (is )?(preferred|a plus)|preferred:? .*degree/i.test(text);
+  return { level, fields, required: Boolean(level) && !optional };
+}
+
+function workplaceOf(text) {
+  if (/\bhybrid\b/i.test(text)) return 'hybrid';
+  if (/\b(fully remote|remote[- ]first|100% remote|remote (position|role|job|friendly|ok)|work from anywhere|location:\s*remote)\b/i.test(text)) return 'remote';
+  if (/\b(on-?site|in[- ]office|in the office)\b/i.test(text)) return 'onsite';
+  if (/\bremote\b/i.test(text)) return 'remote';
+  return null;
+}
+
+function compensationOf(text) {
+  const amount = '(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?\\s*[kK]?)';
+  const match = String(text || '').match(new RegExp(`([$€£])\\s?${amount}\\s*(?:-|–|to)\\s*[$€£]?\\s?${amount}(?:\\s*(?:USD|EUR|GBP))?\\s*(?:(?:per|/|an?)\\s*(hour|hr|day|week|month|year|yr|annum)|(annually|hourly))?`, 'i'));
+  if (!match) return null;
+  const value = raw => {
+    const number = Number(raw.replace(/[,\s]|\.(?=\d{3}\b)/g, '').replace(/k$/i, ''));
+    return /k$/i.test(raw.trim()) ? number * 1000 : number;
+  };
+  const currency = { $: 'USD', '€': 'EUR', '£': 'GBP' }[match[1]];
+  const unit = (match[4] || match[5] || '').toLowerCase();
+  const period = { hr: 'hour', hourly: 'hour', yr: 'year', annum: 'year', annually: 'year' }[unit] || unit || (value(match[2]) >= 1000 ? 'year' : null);
+  return formatCompensation(currency, value(match[2]), value(match[3]), period);
+}
+
+// Text sections for consumers of the older jobDescription.sections shape
+export function structureToSections(structure, text) {
+  const list = items => items.map(item => `• ${item}`).join('\n');
+  const years = [
+    structure.minYearsExperience !== null && `${structure.minYearsExperience}+ years of experience`,
+    ...structure.yearsRequired.map(({ skill, years }) => `${years}+ years of ${skill}`)
+  ].filter(Boolean);
+  const sections = {
+    overview: [structure.title, structure.company].filter(Boolean).join(' at ') || String(text || '').split('\n').find(Boolean) || '',
+    requirements: list(structure.mustHave),
+    preferred: list(structure.niceToHave),
+    responsibilities: list(structure.responsibilities),
+    skills: structure.techStack.join(', '),
+    experience: years.join('\n'),
+    education: structure.education.level
+      ? `${structure.education.level}${structure.education.fields.length > 0 ? ` in ${structure.education.fields.join(', ')}` : ''}${structure.education.required ? '' : ' (or equivalent)'}`
+      : ''
+  };
+  return Object.fromEntries(Object.entries(sections).filter(([, value]) => value));
+}
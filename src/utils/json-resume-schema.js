@@ -0,0 +1,224 @@
+// JSON Resume v1.0.0 schema (https://github.com/jsonresume/resume-schema/blob/v1.0.0/schema.json),
+// embedded so validation works offline
+const iso8601 = {
+  type: 'string',
+  description: 'e.g. 2014-06-29',
+  pattern: '^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$'
+};
+
+const date = { $ref: '#/definitions/iso8601' };
+const uri = { type: 'string', format: 'uri' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+export const ISO8601_PATTERN = iso8601.pattern;
+
+export const jsonResumeSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Resume Schema',
+  type: 'object',
+  additionalProperties: false,
+  definitions: { iso8601 },
+  properties: {
+    $schema: { type: 'string', format: 'uri' },
+    basics: {
+      type: 'object',
+      additionalProperties: true,
+      properties: {
+        name: { type: 'string' },
+        label: { type: 'string' },
+        image: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        phone: { type: 'string' },
+        url: uri,
+        summary: { type: 'string' },
+        location: {
+          type: 'object',
+          additionalProperties: true,
+          properties: {
+            address: { type: 'string' },
+            postalCode: { type: 'string' },
+            city: { type: 'string' },
+            countryCode: { type: 'string' },
+            region: { type: 'string' }
+          }
+        },
+        profiles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: true,
+            properties: {
+              network: { type: 'string' },
+              username: { type: 'string' },
+              url: uri
+            }
+          }
+        }
+      }
+    },
+    work: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          location: { type: 'string' },
+          description: { type: 'string' },
+          position: { type: 'string' },
+          url: uri,
+          startDate: date,
+          endDate: date,
+          summary: { type: 'string' },
+          highlights: stringList
+        }
+      }
+    },
+    volunteer: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          organization: { type: 'string' },
+          position: { type: 'string' },
+          url: uri,
+          startDate: date,
+          endDate: date,
+          summary: { type: 'string' },
+          highlights: stringList
+        }
+      }
+    },
+    education: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          institution: { type: 'string' },
+          url: uri,
+          area: { type: 'string' },
+          studyType: { type: 'string' },
+          startDate: date,
+          endDate: date,
+          score: { type: 'string' },
+          courses: stringList
+        }
+      }
+    },
+    awards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          title: { type: 'string' },
+          date,
+          awarder: { type: 'string' },
+          summary: { type: 'string' }
+        }
+      }
+    },
+    certificates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          date,
+          url: uri,
+          issuer: { type: 'string' }
+        }
+      }
+    },
+    publications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          publisher: { type: 'string' },
+          releaseDate: date,
+          url: uri,
+          summary: { type: 'string' }
+        }
+      }
+    },
+    skills: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          level: { type: 'string' },
+          keywords: stringList
+        }
+      }
+    },
+    languages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          language: { type: 'string' },
+          fluency: { type: 'string' }
+        }
+      }
+    },
+    interests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          keywords: stringList
+        }
+      }
+    },
+    references: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          reference: { type: 'string' }
+        }
+      }
+    },
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: true,
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          highlights: stringList,
+          keywords: stringList,
+          startDate: date,
+          endDate: date,
+          url: uri,
+          roles: stringList,
+          entity: { type: 'string' },
+          type: { type: 'string' }
+        }
+      }
+    },
+    meta: {
+      type: 'object',
+      additionalProperties: true,
+      properties: {
+        canonical: uri,
+        version: { type: 'string' },
+        lastModified: { type: 'string' }
+      }
+    }
+  }
+};
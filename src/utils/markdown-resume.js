@@ -0,0 +1,486 @@
+// Structure-aware parsing for Markdown and plain-text resumes. Headings become
+// JSON Resume sections and list items become highlights verbatim; anything the
+// structure cannot answer is reported as a gap for the AI parse to fill.
+
+// Glyph bullets from PDF text often have no space after the glyph
+const BULLET = /^(\s*)(?:[-*+]\s+|[•●▪◦‣]\s*|\d{1,2}[.)]\s+)(\S.*)$/;
+const ATX_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// Top-level JSON Resume section for a heading, matched on the lowercased heading text
+const SECTION_ALIASES = [
+  ['summary', /^(professional |career )?(summary|profile|about( me)?|objective|overview)$/],
+  ['work', /^((professional|work|relevant|industry) )?(experience|employment( history)?|work history|career history)$/],
+  ['education', /^(education|academic background|academics)( & training)?$/],
+  ['skills', /^((technical|core|key) )?(skills|competencies|technologies|tech stack|tools)( & (tools|technologies))?$/],
+  ['projects', /^((personal|selected|side|open source) )?projects$/],
+  ['certificates', /^(certifications?|certificates|licenses( & certifications)?)$/],
+  ['awards', /^(awards|honors|honours|awards & honors|achievements)$/],
+  ['volunteer', /^(volunteer(ing)?( experience| work)?)$/],
+  ['publications', /^(publications|papers)$/],
+  ['languages', /^(spoken )?languages$/],
+  ['interests', /^(interests|hobbies)$/]
+];
+
+// Sections whose items are entries with a header, dates and highlights
+const ENTRY_SECTIONS = ['work', 'volunteer', 'education', 'projects'];
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+const DATE = String.raw`(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}|(?:spring|summer|fall|autumn|winter)\s+\d{4}|\d{1,2}\/\d{4}|\d{4}-\d{2}|\d{4})`;
+const DATE_RANGE = new RegExp(String.raw`\(?\s*(${DATE})\s*(?:-|–|—|to)\s*(${DATE}|present|current|now|today)\s*\)?`, 'i');
+const SINGLE_DATE = new RegExp(String.raw`\(?\b(${DATE})\b\)?`, 'i');
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|director|lead|intern|analyst|designer|scientist|consultant|architect|specialist|officer|head|vp|president|founder|administrator|coordinator|associate|assistant|researcher|teacher|instructor|owner|principal|staff|technician|advisor|contractor)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|school|institute|academy|polytechnic|bootcamp)\b/i;
+const DEGREE = /^(bachelor'?s?|master'?s?|doctor(ate)?|associate'?s?|b\.?\s?s\.?c?\.?|m\.?\s?s\.?c?\.?|b\.?\s?a\.?|m\.?\s?a\.?|ph\.?\s?d\.?|mba|b\.?\s?eng\.?|m\.?\s?eng\.?|diploma|certificate)(?=[\s,]|$)/i;
+// "Austin, TX", "Berlin, Germany" or "Remote": the part after the comma has to be a
+// state/province code or a country, so "Senior Engineer, Acme Corp" is not a place
+const REGION = String.raw`(?:[A-Z]{2}|USA|U\.S\.A?\.|UK|U\.K\.|UAE|United States|United Kingdom|Canada|Mexico|Brazil|Argentina|Chile|Colombia|`
+  + String.raw`Ireland|Germany|France|Spain|Portugal|Italy|Netherlands|Belgium|Switzerland|Austria|Sweden|Norway|Denmark|Finland|`
+  + String.raw`Poland|Czechia|Czech Republic|Romania|Greece|Ukraine|Turkey|Israel|India|Pakistan|China|Hong Kong|Taiwan|Japan|`
+  + String.raw`South Korea|Korea|Singapore|Malaysia|Indonesia|Philippines|Vietnam|Thailand|Australia|New Zealand|`
+  + String.raw`South Africa|Nigeria|Kenya|Egypt)`;
+const LOCATION = new RegExp(String.raw`^([A-Z][\w.' -]*?),\s*(${REGION})$|^[Rr]emote$`);
+const TRAILING_LOCATION = new RegExp(String.raw`,\s*([A-Z][\w.' -]*?,\s*${REGION})$`);
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE = /\+?\d[\d\s().-]{8,}\d/;
+const URL = /\b(?:https?:\/\/)?(?:www\.)?[\w-]+(\.[\w-]+)*\.[a-z]{2,}(\/[^\s|,)]*)?/i;
+
+// Ordered blocks in the same shape as extractDocxBlocks:
+// { type: 'heading', level, text } | { type: 'bullet', depth, text } | { type: 'paragraph', text }
+export function markdownToBlocks(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '  ').split('\n');
+  const blocks = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+      continue;
+    }
+    // Front matter, rules, HTML comments and table dividers carry no resume content
+    if (!trimmed || /^([-*_=]\s*){3,}$/.test(trimmed) || /^<!--.*-->$/.test(trimmed) || /^\|?[\s:|-]+\|?$/.test(trimmed)) {
+      continue;
+    }
+    if (inFence) {
+      blocks.push({ type: 'paragraph', text: trimmed });
+      continue;
+    }
+
+    const atx = trimmed.match(ATX_HEADING);
+    if (atx) {
+      blocks.push({ type: 'heading', level: atx[1].length, text: cleanInline(atx[2]) });
+      continue;
+    }
+    // Setext headings: a line underlined with === or ---
+    const underline = lines[i + 1]?.trim() || '';
+    if (/^=+$/.test(underline) || (/^-+$/.test(underline) && !BULLET.test(line))) {
+      blocks.push({ type: 'heading', level: underline.startsWith('=') ? 1 : 2, text: cleanInline(trimmed) });
+      i++;
+      continue;
+    }
+
+    const bullet = line.match(BULLET);
+    if (bullet) {
+      blocks.push({ type: 'bullet', depth: Math.floor(bullet[1].length / 2), text: cleanInline(bullet[2]) });
+      continue;
+    }
+    // Continuation of a wrapped list item: indented, or starting lowercase when
+    // extraction dropped the indent
+    const previous = blocks[blocks.length - 1];
+    if (previous?.type === 'bullet' && (/^\s{2,}/.test(line) || /^[a-z]/.test(trimmed))) {
+      previous.text = `${previous.text} ${cleanInline(trimmed)}`;
+      continue;
+    }
+    // Plain-text and extracted PDF resumes put a known section title on its own line
+    if (isPlainSectionTitle(trimmed)) {
+      blocks.push({ type: 'heading', level: 2, text: cleanInline(trimmed.replace(/:$/, '')) });
+      continue;
+    }
+    blocks.push({ type: 'paragraph', text: cleanInline(trimmed) });
+  }
+  return blocks;
+}
+
+function isPlainSectionTitle(line) {
+  return line.length <= 40 && Boolean(sectionFor(line.replace(/:$/, '')));
+}
+
+// Strip emphasis and code markers; links keep their URL so contact details survive
+function cleanInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, url) => {
+      const bare = url.replace(/^mailto:|^tel:/, '');
+      return label.trim() === bare || label.trim() === url ? bare : `${label} (${bare})`;
+    })
+    .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function sectionFor(headingText) {
+  const key = headingText.toLowerCase().replace(/\band\b/g, '&').replace(/[^a-z& ]/g, '').replace(/\s+/g, ' ').trim();
+  return SECTION_ALIASES.find(([, pattern]) => pattern.test(key))?.[0] || null;
+}
+
+// Map blocks to a draft JSON Resume. Returns { resume, gaps, unmapped } where gaps
+// are { path, reason } for fields the structure left open and unmapped holds the
+// text of sections without a JSON Resume equivalent.
+export function mapBlocksToResume(blocks) {
+  const resume = { basics: {} };
+  const gaps = [];
+  const unmapped = [];
+  const header = [];
+  const sections = [];
+  let current = null;
+
+  for (const block of blocks) {
+    // Sub-headings inside a section (e.g. "### Languages" under Skills) stay in it
+    const isSectionLevel = block.type === 'heading' && (!current || block.level <= current.level);
+    const section = isSectionLevel ? sectionFor(block.text) : null;
+    if (section) {
+      current = { key: section, title: block.text, level: block.level, blocks: [] };
+      sections.push(current);
+    } else if (isSectionLevel && current) {
+      // A heading at section level we cannot map, e.g. "Speaking"
+      current = { key: null, title: block.text, level: block.level, blocks: [] };
+      sections.push(current);
+    } else if (current) {
+      current.blocks.push(block);
+    } else {
+      header.push(block);
+    }
+  }
+
+  mapHeader(header, resume.basics);
+  for (const section of sections) {
+    if (!section.key) {
+      unmapped.push(`${section.title}\n${section.blocks.map(b => b.text).join('\n')}`);
+      continue;
+    }
+    if (section.key === 'summary') {
+      resume.basics.summary = section.blocks.map(b => b.text).join(' ');
+      continue;
+    }
+    const items = ENTRY_SECTIONS.includes(section.key)
+      ? splitEntries(section).map(entry => SECTION_MAPPERS[section.key](entry))
+      : SECTION_MAPPERS[section.key](section.blocks);
+    resume[section.key] = (resume[section.key] || []).concat(items);
+  }
+
+  if (!resume.basics.name) gaps.push({ path: '/basics/name', reason: 'no name line before the first section' });
+  for (const key of ['work', 'volunteer', 'education', 'projects']) {
+    (resume[key] || []).forEach((item, index) => {
+      for (const field of REQUIRED_FIELDS[key]) {
+        if (!item[field]) gaps.push({ path: `/${key}/${index}/${field}`, reason: `could not tell the ${field} from the entry header` });
+      }
+    });
+  }
+  unmapped.forEach(text => gaps.push({ path: '/', reason: `unmapped section "${text.split('\n')[0]}"` }));
+
+  return { resume, gaps, unmapped };
+}
+
+const REQUIRED_FIELDS = {
+  work: ['name', 'position', 'startDate'],
+  volunteer: ['organization', 'position'],
+  education: ['institution'],
+  projects: ['name']
+};
+
+function mapHeader(blocks, basics) {
+  for (const block of blocks) {
+    const segments = block.text.split(/\s+[|·•◆]\s+|\s{2,}|\s+[–—]\s+/).map(s => s.trim()).filter(Boolean);
+    const contact = segments.filter(segment => addContact(segment, basics));
+    if (contact.length > 0) continue;
+
+    if (!basics.name && block.type === 'heading') {
+      basics.name = block.text;
+    } else if (!basics.name && block.text.length <= 60 && !/[.!?]$/.test(block.text)) {
+      basics.name = block.text;
+    } else if (!basics.label && block.text.length <= 80 && !/[.!?]$/.test(block.text)) {
+      basics.label = block.text;
+    } else {
+      basics.summary = basics.summary ? `${basics.summary} ${block.text}` : block.text;
+    }
+  }
+}
+
+// Returns true when the segment was contact information
+function addContact(segment, basics) {
+  const email = segment.match(EMAIL);
+  if (email && !basics.email) {
+    basics.email = email[0];
+    return true;
+  }
+  const phone = segment.match(PHONE);
+  if (phone && phone[0].replace(/\D/g, '').length >= 10 && !basics.phone) {
+    basics.phone = phone[0].trim();
+    return true;
+  }
+  // "GitHub (https://github.com/jane)" from a Markdown link, or "Web: jane.dev"
+  const link = segment.replace(/^[^()]*\((https?:\/\/[^)]+)\)$/, '$1').replace(/^[\w ]+:\s*/, '');
+  const url = link.match(URL);
+  if (url && url[0].length >= link.length - 2) {
+    const href = /^https?:\/\//.test(url[0]) ? url[0] : `https://${url[0]}`;
+    const network = /github\.com/i.test(href) ? 'GitHub' : /linkedin\.com/i.test(href) ? 'LinkedIn' : null;
+    if (network) {
+      const username = href.replace(/\/$/, '').split('/').pop();
+      basics.profiles = [...(basics.profiles || []), { network, username, url: href }];
+    } else if (!basics.url) {
+      basics.url = href;
+    }
+    return true;
+  }
+  const location = segment.match(LOCATION);
+  if (location && !basics.location) {
+    basics.location = location[1] ? { city: location[1].trim(), region: location[2].trim() } : { address: segment };
+    return true;
+  }
+  return false;
+}
+
+// Split a section into entries. Sub-headings delimit entries when the section
+// has them; otherwise a header line after an entry's bullets starts the next one.
+function splitEntries(section) {
+  const usesHeadings = section.blocks.some(b => b.type === 'heading');
+  const entries = [];
+  let entry = null;
+
+  section.blocks.forEach((block, index) => {
+    // Without bullets, the next entry shows as a line with dates or a line followed by one
+    const next = section.blocks[index + 1];
+    const looksLikeHeader = DATE_RANGE.test(block.text)
+      || (next?.type === 'paragraph' && DATE_RANGE.test(next.text) && next.text.replace(DATE_RANGE, '').trim().length < 5);
+    const startsEntry = usesHeadings
+      ? block.type === 'heading'
+      : block.type === 'paragraph' && (!entry || entry.bullets.length > 0 || (entry.dates && looksLikeHeader));
+    if (startsEntry || !entry) {
+      entry = { lines: [], summary: [], bullets: [], dates: null };
+      entries.push(entry);
+    }
+
+    if (block.type === 'bullet') {
+      entry.bullets.push(block);
+    } else if (block.type === 'heading' || isHeaderLine(block.text, entry)) {
+      const range = block.text.match(DATE_RANGE);
+      if (range && !entry.dates) entry.dates = range;
+      // A lone date such as "Summer 2016" or a graduation year
+      const single = !range && block.text.match(SINGLE_DATE);
+      if (single && !entry.date) entry.date = single;
+      entry.lines.push(block.text);
+    } else {
+      entry.summary.push(block.text);
+    }
+  });
+  return entries.filter(e => e.lines.length > 0 || e.bullets.length > 0);
+}
+
+// Short lines before an entry's bullets describe the entry; prose is its summary
+function isHeaderLine(text, entry) {
+  if (entry.bullets.length > 0 || entry.summary.length > 0) return false;
+  return DATE_RANGE.test(text) || (text.length <= 100 && !/[.!?]$/.test(text));
+}
+
+// Header lines without the dates, split into their separated parts
+function headerParts(entry) {
+  const withoutDates = line => {
+    const text = line.replace(DATE_RANGE, ' ');
+    return entry.dates ? text : text.replace(SINGLE_DATE, ' ');
+  };
+  return entry.lines
+    .flatMap(line => withoutDates(line).split(/\s+[|·•@–—-]\s+|\s+at\s+|\s{2,}/))
+    .flatMap(splitCommaPart)
+    .map(part => part.replace(/^[\s,;:()]+|[\s,;:(]+$/g, '').trim())
+    .filter(Boolean);
+}
+
+// "Engineer, Acme Corp, Austin, TX" -> ['Engineer', 'Acme Corp', 'Austin, TX'], keeping "Acme, Inc." whole
+function splitCommaPart(part) {
+  if (isLocation(part)) return [part];
+  const location = part.match(TRAILING_LOCATION);
+  const head = location ? part.slice(0, location.index) : part;
+  const pieces = head.split(/,\s+/).reduce((out, piece) => {
+    const previous = out[out.length - 1];
+    // Company suffixes, and team codes after a title ("Lead Engineer, QA")
+    if (previous && (/^(inc|llc|ltd|corp|co|gmbh|plc)\.?$/i.test(piece) || (/^[A-Z]{2,3}$/.test(piece) && TITLE_WORDS.test(previous)))) {
+      out[out.length - 1] += `, ${piece}`;
+    } else {
+      out.push(piece);
+    }
+    return out;
+  }, []);
+  return [...pieces, ...(location ? [location[1]] : [])];
+}
+
+// Titles come first: "Lead Engineer, QA" is a position, not a place
+function isLocation(part) {
+  return LOCATION.test(part) && !TITLE_WORDS.test(part);
+}
+
+// Entries with a single date use it as the start (jobs) or end (graduation)
+function entryDates(entry, singleField = 'startDate') {
+  if (!entry.dates) {
+    const date = entry.date && toIsoDate(entry.date[1]);
+    return date ? { [singleField]: date } : {};
+  }
+  const endDate = toIsoDate(entry.dates[2]);
+  return { startDate: toIsoDate(entry.dates[1]), ...(endDate && { endDate }) };
+}
+
+export function toIsoDate(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text || /^(present|current|now|today)$/.test(text)) return undefined;
+  const season = text.match(/^(spring|summer|fall|autumn|winter)\s+(\d{4})$/);
+  if (season) return season[2];
+  const named = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/);
+  if (named && MONTHS[named[1]]) return `${named[2]}-${MONTHS[named[1]]}`;
+  const slashed = text.match(/^(\d{1,2})\/(\d{4})$/);
+  if (slashed) return `${slashed[2]}-${slashed[1].padStart(2, '0')}`;
+  return /^\d{4}(-\d{2})?$/.test(text) ? text : undefined;
+}
+
+function highlightsOf(entry) {
+  return entry.bullets.map(b => b.text);
+}
+
+function mapWorkEntry(entry, orgField = 'name') {
+  const item = {};
+  for (const part of headerParts(entry)) {
+    if (TITLE_WORDS.test(part) && !item.position) item.position = part;
+    else if (isLocation(part) && !item.location) item.location = part;
+    else if (!item[orgField]) item[orgField] = part;
+    else if (!item.position) item.position = part;
+  }
+  Object.assign(item, entryDates(entry));
+  if (entry.summary.length > 0) item.summary = entry.summary.join(' ');
+  if (entry.bullets.length > 0) item.highlights = highlightsOf(entry);
+  return item;
+}
+
+function mapEducationEntry(entry) {
+  const item = {};
+  const parts = headerParts(entry).filter(part => !isLocation(part));
+  const institution = parts.find(part => INSTITUTION_WORDS.test(part) && !DEGREE.test(part));
+  if (institution) item.institution = institution;
+  for (const part of parts) {
+    if (part === institution) continue;
+    if (DEGREE.test(part) && !item.studyType) {
+      Object.assign(item, splitDegree(part));
+    } else if (!item.institution) {
+      item.institution = part;
+    } else if (!item.area) {
+      item.area = part;
+    }
+  }
+  Object.assign(item, entryDates(entry, 'endDate'));
+  // Education has no highlights in JSON Resume; keep grades and coursework
+  for (const text of [...entry.summary, ...highlightsOf(entry)]) {
+    const score = text.match(/^(?:gpa|grade|score)\s*[:\-]?\s*(.+)$/i);
+    const courses = text.match(/^(?:relevant )?course(?:work|s)\s*[:\-]\s*(.+)$/i);
+    if (score) item.score = score[1].trim();
+    else if (courses) item.courses = splitList(courses[1]);
+  }
+  return item;
+}
+
+// "B.S. in Computer Science", "Bachelor of Arts in History", "BA Economics"
+function splitDegree(text) {
+  const [studyType, area] = text.split(/\s+in\s+/);
+  if (area) return { studyType: studyType.trim(), area: area.trim() };
+  const abbreviation = text.match(DEGREE)[0];
+  const rest = text.slice(abbreviation.length).trim();
+  if (rest && !/^(bachelor|master|doctor|associate|diploma|certificate)/i.test(abbreviation) && !/^of\b/i.test(rest)) {
+    return { studyType: abbreviation, area: rest.replace(/^[,:]\s*/, '') };
+  }
+  return { studyType: text };
+}
+
+function mapProjectEntry(entry) {
+  const item = {};
+  const parts = headerParts(entry);
+  for (const part of parts) {
+    const url = part.match(/^\(?(https?:\/\/\S+?)\)?$/);
+    if (url) item.url = url[1];
+    else if (!item.name) item.name = part.replace(/\s*\((https?:\/\/[^)]+)\)$/, (_, href) => { item.url = href; return ''; });
+    else if (!item.description) item.description = part;
+  }
+  Object.assign(item, entryDates(entry));
+  if (entry.summary.length > 0) item.description = entry.summary.join(' ');
+  if (entry.bullets.length > 0) item.highlights = highlightsOf(entry);
+  return item;
+}
+
+function splitList(text) {
+  return text.split(/\s*[,;]\s*|\s+[|·•]\s+/).map(s => s.replace(/\.$/, '').trim()).filter(Boolean);
+}
+
+// "Category: a, b, c" lines become skill groups; sub-headings name the group of the items below them
+function mapSkills(blocks) {
+  const groups = [];
+  let heading = null;
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      heading = { name: block.text, keywords: [] };
+      groups.push(heading);
+      continue;
+    }
+    const labelled = block.text.match(/^([^:]{2,60}):\s*(.+)$/);
+    if (labelled) {
+      groups.push({ name: labelled[1].trim(), keywords: splitList(labelled[2]) });
+    } else if (heading) {
+      heading.keywords.push(...splitList(block.text));
+    } else {
+      let general = groups.find(group => group.name === 'Skills');
+      if (!general) {
+        general = { name: 'Skills', keywords: [] };
+        groups.push(general);
+      }
+      general.keywords.push(...splitList(block.text));
+    }
+  }
+  return groups.filter(group => group.keywords.length > 0);
+}
+
+function datedItems(blocks, nameField) {
+  return blocks.filter(b => b.type !== 'heading').map(block => {
+    const date = block.text.match(SINGLE_DATE);
+    const parts = block.text.replace(SINGLE_DATE, ' ').split(/\s+[|·–—-]\s+|,\s+/).map(s => s.trim()).filter(Boolean);
+    const item = { [nameField]: parts[0] || block.text };
+    if (date && toIsoDate(date[1])) item.date = toIsoDate(date[1]);
+    return { item, rest: parts.slice(1) };
+  });
+}
+
+const SECTION_MAPPERS = {
+  // Like the AI parse, set the employer on both name and company for themes and downstream nodes
+  work: entry => {
+    const item = mapWorkEntry(entry);
+    return item.name ? { name: item.name, company: item.name, ...item } : item;
+  },
+  volunteer: entry => mapWorkEntry(entry, 'organization'),
+  education: mapEducationEntry,
+  projects: mapProjectEntry,
+  skills: mapSkills,
+  certificates: blocks => datedItems(blocks, 'name').map(({ item, rest }) => (rest[0] ? { ...item, issuer: rest[0] } : item)),
+  awards: blocks => datedItems(blocks, 'title').map(({ item, rest }) => (rest[0] ? { ...item, awarder: rest[0] } : item)),
+  publications: blocks => datedItems(blocks, 'name').map(({ item, rest }) => {
+    const { date, ...rest0 } = item;
+    return { ...rest0, ...(date && { releaseDate: date }), ...(rest[0] && { publisher: rest[0] }) };
+  }),
+  languages: blocks => blocks.filter(b => b.type !== 'heading').flatMap(b => splitList(b.text)).map(text => {
+    const match = text.match(/^([^(:–—-]+?)\s*(?:\(([^)]+)\)|[:–—-]\s*(.+))?$/);
+    const fluency = match?.[2] || match?.[3];
+    return fluency ? { language: match[1].trim(), fluency: fluency.trim() } : { language: text };
+  }),
+  interests: blocks => blocks.filter(b => b.type !== 'heading').flatMap(b => splitList(b.text)).map(name => ({ name }))
+};
@@ -0,0 +1,224 @@
+import { EDUCATION_LEVELS, degreeLevels } from './jd-parser.js';
+import { canonicalKey, canonicalSkillName, findSkillsInText, impliedSkills, mentionsSkill } from './skill-taxonomy.js';
+
+// Weighted resume/job match: every job requirement is worth its keyword weight times
+// its importance, requirements are scored per category, and the categories that
+// apply to the job share the overall score
+
+const CATEGORY_WEIGHTS = { skills: 0.5, experience: 0.2, education: 0.1, domain: 0.2 };
+const IMPORTANCE_MULTIPLIERS = { 'must-have': 2, standard: 1, 'nice-to-have': 0.5 };
+// Share of a requirement credited when the resume only has a related skill: one from the
+// same keyword cluster, or a sibling under the same parent skill (MySQL for PostgreSQL)
+const RELATED_CREDIT = 0.5;
+// Weight of requirements that come from the structured job description rather than keywords
+const DEFAULT_WEIGHT = 0.5;
+
+// Must-have when a required item names the term, nice-to-have when only preferred items do
+function importanceOf(term, structure) {
+  if (!structure) return 'standard';
+  if ((structure.mustHave || []).some(item => mentionsSkill(item, term))) return 'must-have';
+  if ((structure.niceToHave || []).some(item => mentionsSkill(item, term))) return 'nice-to-have';
+  return 'standard';
+}
+
+// Skill and domain requirements: extracted keywords first, then structured-JD terms they missed
+function keywordRequirements(jobKeywords, structure) {
+  const requirements = [];
+  const seen = new Set();
+  const add = (phrase, weight, cluster, category) => {
+    const key = canonicalKey(phrase);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const importance = importanceOf(phrase, structure);
+    requirements.push({ category, requirement: phrase, key, cluster: cluster || null, importance, max: weight * IMPORTANCE_MULTIPLIERS[importance] });
+  };
+  for (const keyword of jobKeywords) {
+    const weight = Number.isFinite(keyword.weight) && keyword.weight > 0 ? Math.min(keyword.weight, 1) : DEFAULT_WEIGHT;
+    add(keyword.phrase, weight, keyword.cluster, keyword.category === 'domain' ? 'domain' : 'skills');
+  }
+  (structure?.techStack || []).forEach(term => add(term, DEFAULT_WEIGHT, null, 'skills'));
+  // Years asked for in a field rather than a tool ("5+ years in data engineering")
+  (structure?.yearsRequired || []).forEach(({ skill }) => add(skill, DEFAULT_WEIGHT, null, 'domain'));
+  return requirements;
+}
+
+function scoreKeyword(requirement, resume) {
+  if (resume.keys.has(requirement.key) || mentionsSkill(resume.text, requirement.requirement)) {
+    return { credit: 1, status: 'matched', detail: 'Found in resume' };
+  }
+  // Skills the resume's more specific skills imply (FastAPI → Python)
+  const implying = resume.implied.get(requirement.key);
+  if (implying) {
+    return { credit: 1, status: 'matched', detail: `Implied by ${implying.slice(0, 3).join(', ')}`, matchedBy: implying.slice(0, 3) };
+  }
+  const related = [
+    ...(requirement.cluster ? resume.clusters.get(requirement.cluster.toLowerCase()) || [] : []),
+    // Siblings: resume skills under the same parent skill
+    ...impliedSkills(requirement.requirement).flatMap(parent => resume.implied.get(canonicalKey(parent)) || [])
+  ].filter((name, index, all) => all.indexOf(name) === index);
+  if (related.length > 0) {
+    const via = requirement.cluster && resume.clusters.has(requirement.cluster.toLowerCase()) ? `${requirement.cluster} ` : '';
+    return { credit: RELATED_CREDIT, status: 'related', detail: `Related ${via}experience: ${related.slice(0, 3).join(', ')}`, matchedBy: related.slice(0, 3) };
+  }
+  return { credit: 0, status: 'missing', detail: 'Not found in resume' };
+}
+
+function experienceRequirement(experienceMatch) {
+  if (!experienceMatch?.requiredYears) return null;
+  const { requiredYears, resumeYears } = experienceMatch;
+  const credit = resumeYears ? Math.min(1, resumeYears / requiredYears) : 0;
+  return {
+    category: 'experience',
+    requirement: `${requiredYears}+ years of experience`,
+    importance: 'must-have',
+    max: IMPORTANCE_MULTIPLIERS['must-have'],
+    credit,
+    status: credit === 1 ? 'matched' : credit > 0 ? 'partial' : 'missing',
+    detail: resumeYears ? `Resume covers ${resumeYears} years` : 'No dated work history found'
+  };
+}
+
+function educationRequirement(education, resumeJson, resumeSections) {
+  if (!education?.level) return null;
+  const resumeText = [
+    ...(resumeJson?.education || []).map(entry => [entry.studyType, entry.area].filter(Boolean).join(' ')),
+    resumeSections?.education || ''
+  ].join('\n');
+  const resumeLevel = degreeLevels(resumeText).pop() || null;
+  const met = resumeLevel && EDUCATION_LEVELS.indexOf(resumeLevel) >= EDUCATION_LEVELS.indexOf(education.level);
+  const importance = education.required ? 'must-have' : 'nice-to-have';
+  // Without the degree, an optional requirement still gets half for equivalent experience
+  const credit = met ? 1 : education.required ? 0 : 0.5;
+  return {
+    category: 'education',
+    requirement: `${education.level} degree${education.fields?.length > 0 ? ` in ${education.fields.join(' or ')}` : ''}`,
+    importance,
+    max: IMPORTANCE_MULTIPLIERS[importance],
+    credit,
+    status: met ? 'matched' : credit > 0 ? 'partial' : 'missing',
+    detail: resumeLevel ? `Resume lists a ${resumeLevel} degree` : 'No degree found in resume'
+  };
+}
+
+// Result shape:
+// { score, categories: { skills: { score, weight, earned, possible, matched, total }, ... },
+//   explanations: [{ category, requirement, importance, status, gained, lost, detail, matchedBy? }] }
+// gained/lost are percentage points of the overall score, so the gains add up to score * 100
+export function scoreMatch({ jobKeywords = [], resumeKeywords = [], structure = null, experienceMatch = null, resumeJson = null, resumeSections = {} }) {
+  const resume = {
+    text: [Object.values(resumeSections || {}).join('\n'), ...(resumeJson?.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])])]
+      .filter(Boolean)
+      .join('\n'),
+    keys: new Set(),
+    // Parent skill key → the resume skills that imply it
+    implied: new Map(),
+    clusters: new Map()
+  };
+  const resumeSkills = [
+    ...resumeKeywords.map(keyword => keyword.phrase),
+    ...(resumeJson?.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])]),
+    ...findSkillsInText(resume.text)
+  ].filter(Boolean);
+  resumeSkills.forEach(skill => {
+    resume.keys.add(canonicalKey(skill));
+    impliedSkills(skill).forEach(parent => {
+      const key = canonicalKey(parent);
+      const children = resume.implied.get(key) || [];
+      const name = canonicalSkillName(skill);
+      if (!children.includes(name)) resume.implied.set(key, [...children, name]);
+    });
+  });
+  resumeKeywords.forEach(keyword => {
+    if (!keyword.cluster) return;
+    const cluster = keyword.cluster.toLowerCase();
+    resume.clusters.set(cluster, [...(resume.clusters.get(cluster) || []), keyword.phrase]);
+  });
+
+  const items = [
+    ...keywordRequirements(jobKeywords, structure).map(requirement => ({ ...requirement, ...scoreKeyword(requirement, resume) })),
+    experienceRequirement(experienceMatch),
+    educationRequirement(structure?.education, resumeJson, resumeSections)
+  ].filter(Boolean);
+
+  // Categories without requirements drop out and the others share their weight
+  const applicable = Object.keys(CATEGORY_WEIGHTS).filter(category => items.some(item => item.category === category && item.max > 0));
+  const totalWeight = applicable.reduce((sum, category) => sum + CATEGORY_WEIGHTS[category], 0);
+
+  const categories = {};
+  const explanations = [];
+  let score = 0;
+  for (const category of applicable) {
+    const categoryItems = items.filter(item => item.category === category);
+    const possible = categoryItems.reduce((sum, item) => sum + item.max, 0);
+    const earned = categoryItems.reduce((sum, item) => sum + item.max * item.credit, 0);
+    const weight = CATEGORY_WEIGHTS[category] / totalWeight;
+    categories[category] = {
+      score: round(earned / possible),
+      weight: round(weight),
+      earned: round(earned),
+      possible: round(possible),
+      matched: categoryItems.filter(item => item.status === 'matched').length,
+      total: categoryItems.length
+    };
+    score += weight * (earned / possible);
+
+    categoryItems.forEach(item => {
+      const points = (weight * item.max * 100) / possible;
+      explanations.push({
+        category,
+        requirement: item.requirement,
+        importance: item.importance,
+        status: item.status,
+        gained: round(points * item.credit, 1),
+        lost: round(points * (1 - item.credit), 1),
+        detail: item.detail,
+        ...(item.matchedBy && { matchedBy: item.matchedBy })
+      });
+    });
+  }
+
+  explanations.sort((a, b) => (b.gained + b.lost) - (a.gained + a.lost));
+  return { score: round(score), categories, explanations };
+}
+
+// Missing and partly matched skill requirements, biggest loss first
+export function rankedGaps(scoring, category = 'skills') {
+  return scoring.explanations
+    .filter(item => item.category === category && item.status !== 'matched')
+    .sort((a, b) => b.lost - a.lost)
+    .map(item => item.requirement);
+}
+
+// Total years covered by dated work entries, counting overlapping roles once.
+// An end date that is missing, "Present" or otherwise unreadable counts as today.
+export function yearsFromWorkHistory(work) {
+  const spans = (Array.isArray(work) ? work : [])
+    .filter(entry => entry?.startDate)
+    .map(entry => [Date.parse(entry.startDate), endOfRole(entry.endDate)])
+    .filter(([start, end]) => Number.isFinite(start) && end > start)
+    .sort((a, b) => a[0] - b[0]);
+  if (spans.length === 0) return null;
+
+  let total = 0;
+  let [currentStart, currentEnd] = spans[0];
+  for (const [start, end] of spans.slice(1)) {
+    if (start > currentEnd) {
+      total += currentEnd - currentStart;
+      [currentStart, currentEnd] = [start, end];
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  }
+  total += currentEnd - currentStart;
+  return Math.round((total / (365.25 * 24 * 3600 * 1000)) * 10) / 10;
+}
+
+function endOfRole(endDate) {
+  const end = endDate ? Date.parse(endDate) : NaN;
+  return Number.isFinite(end) ? end : Date.now();
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
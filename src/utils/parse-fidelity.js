@@ -0,0 +1,196 @@
+// Checks that parsed highlights were copied from the resume text rather than
+// rewritten by the model, and that no source bullet went missing
+
+const BULLET_LINE = /^\s*[•●▪■◦‣⁃∙➢►*\-–]\s*(\S.*)$/;
+const HIGHLIGHT_SECTIONS = ['work', 'projects'];
+
+// Below this word overlap a highlight has no recognizable source
+const PARAPHRASE_SIMILARITY = 0.4;
+// Source bullets with less of their wording anywhere in the parsed resume were dropped
+const DROPPED_COVERAGE = 0.6;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s•●▪*-]+|[\s.;,]+$/g, '')
+    .trim();
+}
+
+function tokens(text) {
+  return new Set(normalize(text).match(/[a-z0-9][a-z0-9+#.%$/-]*[a-z0-9%+#]|[a-z0-9]/g) || []);
+}
+
+function numbers(text) {
+  const found = String(text || '').match(/\$?\d[\d,.]*%?/g) || [];
+  return new Set(found.map(n => n.replace(/[.,]+$/, '')));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function coverage(part, whole) {
+  if (part.size === 0) return 1;
+  let found = 0;
+  part.forEach(token => { if (whole.has(token)) found++; });
+  return found / part.size;
+}
+
+// Source bullets with their wrapped continuation lines joined back on
+export function extractSourceBullets(text) {
+  const bullets = [];
+  let current = null;
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(BULLET_LINE);
+    if (match) {
+      current = { text: match[1].trim() };
+      bullets.push(current);
+    } else if (current && line.trim() && (/^\s{2,}/.test(line) || /^[a-z(]/.test(line.trim()))) {
+      current.text += ` ${line.trim()}`;
+    } else {
+      current = null;
+    }
+  }
+  return bullets.map(bullet => bullet.text);
+}
+
+// Classify one highlight against the source: verbatim, truncated, paraphrased or invented
+function classifyHighlight(highlight, source) {
+  const text = normalize(highlight);
+  if (source.bullets.some(bullet => bullet.normalized === text)) return { status: 'verbatim' };
+
+  const highlightTokens = tokens(highlight);
+  let best = null;
+  for (const candidate of source.candidates) {
+    const score = similarity(highlightTokens, candidate.tokens);
+    if (!best || score > best.score) best = { ...candidate, score };
+  }
+
+  if (best && best.normalized.includes(text) && text.length < best.normalized.length * 0.9) {
+    return { status: 'truncated', source: best.text, similarity: round(best.score) };
+  }
+  // Not a whole bullet, but copied exactly from running text (e.g. PDFs without bullet glyphs)
+  if (source.normalized.includes(text)) return { status: 'verbatim' };
+
+  const unsupported = [...numbers(highlight)].filter(n => !source.numbers.has(n));
+  if (unsupported.length > 0) {
+    return { status: 'invented', source: best?.text, similarity: round(best?.score || 0), unsupportedNumbers: unsupported };
+  }
+  if (best && coverage(highlightTokens, best.tokens) === 1 && text.length < best.normalized.length * 0.85) {
+    return { status: 'truncated', source: best.text, similarity: round(best.score) };
+  }
+  if (best && best.score >= PARAPHRASE_SIMILARITY) {
+    const missingNumbers = [...numbers(best.text)].filter(n => !numbers(highlight).has(n));
+    return {
+      status: 'paraphrased',
+      source: best.text,
+      similarity: round(best.score),
+      ...(missingNumbers.length > 0 && { missingNumbers })
+    };
+  }
+  return { status: 'invented', source: best?.text, similarity: round(best?.score || 0) };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Every string in the parsed resume, for deciding whether a source bullet was used anywhere
+function collectStrings(value, out = []) {
+  if (typeof value === 'string') out.push(value);
+  else if (Array.isArray(value)) value.forEach(item => collectStrings(item, out));
+  else if (value && typeof value === 'object') Object.values(value).forEach(item => collectStrings(item, out));
+  return out;
+}
+
+// Report shape:
+// { highlights, verbatim, flagged, score, issues: [{ path, entry, status, highlight, source, similarity }],
+//   dropped: [{ text }], affectedEntries: ['/work/0', ...] }
+export function verifyParseFidelity(jsonResume, sourceText) {
+  const bullets = extractSourceBullets(sourceText).map(text => ({ text, normalized: normalize(text), tokens: tokens(text) }));
+  const lines = String(sourceText || '')
+    .split('\n')
+    // Other lines long enough to hold a bullet; wrapped bullet lines are already in `bullets`
+    .filter(line => line.trim().length >= 20 && !BULLET_LINE.test(line) && !/^\s{2,}|^\s*[a-z(]/.test(line))
+    .map(text => ({ text: text.trim(), normalized: normalize(text), tokens: tokens(text) }));
+  const source = {
+    bullets,
+    candidates: [...bullets, ...lines],
+    normalized: normalize(sourceText),
+    numbers: numbers(sourceText)
+  };
+
+  const issues = [];
+  let checked = 0;
+  for (const section of HIGHLIGHT_SECTIONS) {
+    (jsonResume?.[section] || []).forEach((entry, index) => {
+      (entry?.highlights || []).forEach((highlight, position) => {
+        checked++;
+        const result = classifyHighlight(highlight, source);
+        if (result.status !== 'verbatim') {
+          issues.push({ path: `/${section}/${index}/highlights/${position}`, entry: `/${section}/${index}`, highlight, ...result });
+        }
+      });
+    });
+  }
+
+  const parsedTokens = tokens(collectStrings(jsonResume).join(' '));
+  const highlights = HIGHLIGHT_SECTIONS.flatMap(section => (jsonResume?.[section] || []).flatMap(entry => entry?.highlights || []));
+  const highlightTokens = highlights.map(tokens);
+  const dropped = bullets
+    .filter(bullet => !highlightTokens.some(h => similarity(bullet.tokens, h) >= PARAPHRASE_SIMILARITY))
+    .filter(bullet => coverage(bullet.tokens, parsedTokens) < DROPPED_COVERAGE)
+    .map(bullet => ({ text: bullet.text }));
+
+  return {
+    highlights: checked,
+    verbatim: checked - issues.length,
+    flagged: issues.length,
+    score: checked === 0 ? 1 : round((checked - issues.length) / checked),
+    issues,
+    dropped,
+    affectedEntries: [...new Set(issues.map(issue => issue.entry))]
+  };
+}
+
+const STATUS_LABELS = {
+  paraphrased: 'Paraphrased',
+  truncated: 'Truncated',
+  invented: 'Not found in source'
+};
+
+export function formatFidelityReport(report) {
+  let markdown = '# Parse Fidelity Report\n\n';
+  markdown += `- **Highlights checked:** ${report.highlights}\n`;
+  markdown += `- **Verbatim:** ${report.verbatim} (${Math.round(report.score * 100)}%)\n`;
+  markdown += `- **Flagged:** ${report.flagged}\n`;
+  markdown += `- **Source bullets dropped:** ${report.dropped.length}\n`;
+  if (report.reprompted?.length > 0) {
+    markdown += `- **Re-prompted entries:** ${report.reprompted.join(', ')}\n`;
+  }
+
+  if (report.issues.length > 0) {
+    markdown += '\n## Flagged Highlights\n\n';
+    report.issues.forEach(issue => {
+      markdown += `### ${issue.path} - ${STATUS_LABELS[issue.status] || issue.status}\n\n`;
+      markdown += `- **Parsed:** ${issue.highlight}\n`;
+      if (issue.source && issue.similarity > 0) markdown += `- **Closest source (${Math.round(issue.similarity * 100)}% similar):** ${issue.source}\n`;
+      if (issue.unsupportedNumbers) markdown += `- **Numbers not in source:** ${issue.unsupportedNumbers.join(', ')}\n`;
+      if (issue.missingNumbers) markdown += `- **Source numbers missing:** ${issue.missingNumbers.join(', ')}\n`;
+      markdown += '\n';
+    });
+  }
+
+  if (report.dropped.length > 0) {
+    markdown += '\n## Dropped Source Bullets\n\n';
+    report.dropped.forEach(bullet => { markdown += `- ${bullet.text}\n`; });
+  }
+  return markdown;
+}
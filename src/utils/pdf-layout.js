@@ -0,0 +1,211 @@
+import { PdfReader } from 'pdfreader';
+
+// pdfreader reports positions in page units of 16pt (a US Letter page is 38.25 wide)
+// and item widths in points
+const POINTS_PER_UNIT = 16;
+const SAME_LINE = 0.3;
+const COLUMN_TOLERANCE = 0.5;
+// A column must hold at least this share of the text on its side of a gutter
+const MIN_COLUMN_SHARE = 0.15;
+// Includes the private-use glyphs that Word's Symbol and Wingdings bullets map to
+const BULLET_GLYPHS = /^[•●▪■◦‣⁃·∙➢►–*\uF0A7\uF0B7\uF076\uF0D8\uF0FC-](?=\s|$)/;
+
+// Read every text item with its position: [{ page, width, height, items: [{ text, x, y, width }] }]
+export function readPdfItems(buffer) {
+  // pdf2json reads the whole underlying ArrayBuffer, so hand it a buffer that
+  // does not share Node's pool with unrelated data
+  const own = Buffer.from(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+  return new Promise((resolve, reject) => {
+    const pages = [];
+    new PdfReader().parseBuffer(own, (error, item) => {
+      if (error) return reject(error instanceof Error ? error : new Error(error.parserError || String(error)));
+      if (!item) return resolve(pages);
+      if (item.page) {
+        pages.push({ page: item.page, width: item.width, height: item.height, items: [] });
+      } else if (item.text !== undefined && pages.length > 0) {
+        const page = pages[pages.length - 1];
+        const text = String(item.text);
+        const width = item.w / POINTS_PER_UNIT;
+        page.items.push({
+          text,
+          x: item.x,
+          y: item.y,
+          // Fall back to a rough per-character width when pdf2json has none
+          width: width > 0 && width < page.width ? width : text.length * 0.3
+        });
+      }
+    });
+  });
+}
+
+// Positional extraction: detect columns per page from x-coordinates and emit text in
+// reading order. Returns { text, layout } where layout is the per-page diagnostic.
+export async function extractPdfLayout(buffer) {
+  const pages = await readPdfItems(buffer);
+  const layoutPages = [];
+  const pageTexts = [];
+
+  for (const page of pages) {
+    const items = page.items.filter(item => item.text.trim());
+    const boundaries = findColumnBoundaries(items, 0, page.width);
+    const { lines, spanning } = orderLines(items, boundaries);
+    pageTexts.push(lines.join('\n'));
+    layoutPages.push({
+      page: page.page,
+      columns: boundaries.length + 1,
+      boundaries: boundaries.map(x => Math.round(x * 100) / 100),
+      spanningLines: spanning,
+      items: items.length
+    });
+  }
+
+  return {
+    text: pageTexts.join('\n\n').replace(/\n{3,}/g, '\n\n').trim(),
+    layout: {
+      pages: layoutPages,
+      columns: Math.max(1, ...layoutPages.map(p => p.columns)),
+      multiColumn: layoutPages.some(p => p.columns > 1)
+    }
+  };
+}
+
+// One line per page for logs and the CLI, e.g. "page 1: 2 columns (split at x=13.9), 2 full-width lines"
+export function describePdfLayout(layout) {
+  return layout.pages.map(page => {
+    const columns = page.columns === 1
+      ? 'single column'
+      : `${page.columns} columns (split at x=${page.boundaries.join(', ')})`;
+    return `page ${page.page}: ${columns}, ${page.spanningLines} full-width lines, ${page.items} text items`;
+  });
+}
+
+// Column starts are x positions where many items begin; a start counts as a column
+// when the items on each side of it carry a fair share of the text and overlap
+// vertically. Splits recursively so three-column layouts are found too.
+function findColumnBoundaries(items, minX, maxX) {
+  const span = maxX - minX;
+  if (items.length < 6 || span <= 0) return [];
+
+  const starts = new Map();
+  for (const item of items) {
+    const key = Math.round(item.x / COLUMN_TOLERANCE) * COLUMN_TOLERANCE;
+    starts.set(key, (starts.get(key) || 0) + 1);
+  }
+  const candidates = [...starts.entries()]
+    .filter(([x, count]) => x > minX + span * 0.2 && x < minX + span * 0.8 && count >= 3)
+    .sort((a, b) => b[1] - a[1]);
+
+  for (const [start] of candidates) {
+    const boundary = start - COLUMN_TOLERANCE;
+    const left = items.filter(item => item.x + item.width <= boundary + COLUMN_TOLERANCE);
+    const right = items.filter(item => item.x >= boundary);
+    if (!isColumnSplit(items, left, right, start)) continue;
+
+    return [
+      ...findColumnBoundaries(left, minX, boundary),
+      boundary,
+      ...findColumnBoundaries(right, boundary, maxX)
+    ];
+  }
+  return [];
+}
+
+function isColumnSplit(items, left, right, start) {
+  const chars = list => list.reduce((sum, item) => sum + item.text.length, 0);
+  const total = chars(items);
+  if (chars(left) < total * MIN_COLUMN_SHARE || chars(right) < total * MIN_COLUMN_SHARE) return false;
+  // Items crossing the gap are full-width headers; too many means there is no gutter
+  if (items.length - left.length - right.length > items.length * 0.25) return false;
+  // A real column is left-aligned; right-aligned dates have ragged starts
+  const aligned = right.filter(item => Math.abs(item.x - start) <= COLUMN_TOLERANCE * 2).length;
+  if (aligned < right.length * 0.4) return false;
+
+  const range = list => [Math.min(...list.map(i => i.y)), Math.max(...list.map(i => i.y))];
+  const [leftTop, leftBottom] = range(left);
+  const [rightTop, rightBottom] = range(right);
+  const overlap = Math.min(leftBottom, rightBottom) - Math.max(leftTop, rightTop);
+  return overlap > 0 && overlap >= Math.min(leftBottom - leftTop, rightBottom - rightTop) * 0.5;
+}
+
+// Reading order: full-width lines split the page into bands; within a band each
+// column is read top to bottom before the next one
+function orderLines(items, boundaries) {
+  const columnOf = item => {
+    const index = boundaries.findIndex(boundary => item.x < boundary);
+    const column = index === -1 ? boundaries.length : index;
+    const end = boundaries[column];
+    return end !== undefined && item.x + item.width > end + COLUMN_TOLERANCE ? -1 : column;
+  };
+
+  const rows = groupRows([...items].sort((a, b) => a.y - b.y || a.x - b.x));
+  const lines = [];
+  let spanning = 0;
+  let band = boundaries.map(() => []).concat([[]]);
+
+  const flushBand = () => {
+    band.forEach(columnRows => {
+      if (columnRows.length === 0) return;
+      if (lines.length > 0) lines.push('');
+      lines.push(...rowsToLines(columnRows));
+    });
+    band = band.map(() => []);
+  };
+
+  for (const row of rows) {
+    if (boundaries.length > 0 && row.some(item => columnOf(item) === -1)) {
+      flushBand();
+      lines.push(...rowsToLines([row]));
+      spanning++;
+      continue;
+    }
+    // Split the row by column; each part continues that column's text
+    const parts = new Map();
+    for (const item of row) {
+      const column = columnOf(item);
+      parts.set(column, [...(parts.get(column) || []), item]);
+    }
+    parts.forEach((part, column) => band[column].push(part));
+  }
+  flushBand();
+  return { lines, spanning };
+}
+
+function groupRows(items) {
+  const rows = [];
+  for (const item of items) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row[0].y - item.y) <= SAME_LINE) row.push(item);
+    else rows.push([item]);
+  }
+  return rows.map(row => row.sort((a, b) => a.x - b.x));
+}
+
+// Join each row's items, keep bullets as '•', mark wrapped bullet lines with an
+// indent and leave a blank line where the vertical gap suggests a new block
+function rowsToLines(rows) {
+  const lines = [];
+  const gaps = rows.slice(1).map((row, i) => row[0].y - rows[i][0].y);
+  const spacing = gaps.length > 0 ? [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 0;
+  const columnStart = Math.min(...rows.map(row => row[0].x));
+  let previousBullet = false;
+
+  rows.forEach((row, index) => {
+    let text = '';
+    let end = null;
+    for (const item of row) {
+      const gap = end === null ? 0 : item.x - end;
+      text += end !== null && gap > 0.1 && !text.endsWith(' ') ? ` ${item.text}` : item.text;
+      end = item.x + item.width;
+    }
+    text = text.replace(/\s+/g, ' ').trim();
+
+    const isBullet = BULLET_GLYPHS.test(text);
+    if (isBullet) text = text.replace(BULLET_GLYPHS, '•').replace(/^•\s*/, '• ');
+    if (index > 0 && spacing > 0 && gaps[index - 1] > spacing * 1.6) lines.push('');
+
+    const isContinuation = !isBullet && previousBullet && row[0].x > columnStart + 0.2 && lines[lines.length - 1] !== '';
+    lines.push(isContinuation ? `  ${text}` : text);
+    previousBullet = isBullet || isContinuation;
+  });
+  return lines;
+}
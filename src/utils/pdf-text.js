@@ -0,0 +1,49 @@
+import pdf from 'pdf-parse-new';
+import { logger } from './logger.js';
+import { extractPdfLayout } from './pdf-layout.js';
+
+function normalizePdfText(text) {
+  return (text || '')
+    .replace(/[\u00A0\uFEFF]/g, ' ')
+    .replace(/[\r\t]/g, ' ')
+    .replace(/[ ]{2,}/g, ' ')
+    .replace(/\n\s*/g, '\n')
+    .trim();
+}
+
+// Positional text keeps its line breaks, bullet glyphs and wrapped-bullet indents
+function normalizeLayoutText(text) {
+  return (text || '')
+    .replace(/[\u00A0\uFEFF]/g, ' ')
+    .replace(/[ ]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Plain text from pdf-parse-new reads multi-column pages straight across, so pages
+// with columns use the positional (pdfreader) extraction. Modes from config.pdf.extraction:
+// 'auto' (layout only when columns are detected), 'layout' (always) or 'text' (never).
+export async function extractPdfText(dataBuffer, mode) {
+  let layoutResult = null;
+  if (mode !== 'text') {
+    try {
+      layoutResult = await extractPdfLayout(dataBuffer);
+    } catch (e) {
+      if (mode === 'layout') throw e;
+      logger.warn('Positional PDF extraction failed; using plain text', { error: e.message });
+    }
+  }
+  if (layoutResult && (mode === 'layout' || layoutResult.layout.multiColumn)) {
+    return { method: 'layout', text: normalizeLayoutText(layoutResult.text), layout: layoutResult.layout };
+  }
+
+  try {
+    const pdfData = await pdf(dataBuffer);
+    return { method: 'text', text: normalizePdfText(pdfData.text), layout: layoutResult?.layout || null };
+  } catch (e) {
+    // pdfreader can read some files pdf-parse-new rejects
+    const fallback = layoutResult || await extractPdfLayout(dataBuffer).catch(() => { throw e; });
+    logger.warn('pdf-parse-new failed; using positional extraction', { error: e.message });
+    return { method: 'layout', text: normalizeLayoutText(fallback.text), layout: fallback.layout };
+  }
+}
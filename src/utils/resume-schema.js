@@ -0,0 +1,67 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { jsonResumeSchema, ISO8601_PATTERN } from './json-resume-schema.js';
+import { logger } from './logger.js';
+import { ValidationError } from './error-handler.js';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateSchema = ajv.compile(jsonResumeSchema);
+
+// Validate against the JSON Resume v1.0.0 schema. Each error names the JSON
+// Pointer of the offending value, e.g. { path: '/work/0/startDate', message }.
+export function validateJsonResume(resume) {
+  const valid = validateSchema(resume);
+  const errors = (validateSchema.errors || []).map(describeSchemaError);
+  return { valid: Boolean(valid), errors };
+}
+
+function describeSchemaError(error) {
+  const base = error.instancePath || '';
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return {
+        path: `${base}/${error.params.additionalProperty}`,
+        keyword: 'unknownKey',
+        message: 'is not a JSON Resume property'
+      };
+    case 'pattern':
+      return {
+        path: base,
+        keyword: error.params.pattern === ISO8601_PATTERN ? 'date' : 'pattern',
+        message: error.params.pattern === ISO8601_PATTERN
+          ? 'must be an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)'
+          : error.message
+      };
+    case 'type':
+      return { path: base || '/', keyword: 'type', message: `must be of type ${error.params.type}` };
+    default:
+      return { path: base || '/', keyword: error.keyword, message: error.message };
+  }
+}
+
+// One line per error for log and CLI output
+export function formatSchemaErrors(errors, limit = 10) {
+  const lines = errors.slice(0, limit).map(error => `  ${error.path}: ${error.message}`);
+  if (errors.length > limit) lines.push(`  ...and ${errors.length - limit} more`);
+  return lines.join('\n');
+}
+
+// Validate a resume produced by a workflow step. Violations are returned as warnings
+// tagged with the step, e.g. { step: 'apply_patches', path: '/work/0/startDate', keyword, message };
+// in strict mode they fail the step instead.
+export function checkResumeSchema(resume, { step, strict = false }) {
+  const { valid, errors } = validateJsonResume(resume);
+  if (valid) {
+    logger.info('Resume matches the JSON Resume schema', { step });
+    return [];
+  }
+  if (strict) {
+    throw new ValidationError(`Resume after ${step} is not a valid JSON Resume (v1.0.0):\n${formatSchemaErrors(errors)}`, {
+      step,
+      errors
+    });
+  }
+  logger.warn(`Resume after ${step} has ${errors.length} JSON Resume schema violation(s):\n${formatSchemaErrors(errors)}`);
+  return errors.map(error => ({ step, ...error }));
+}
@@ -0,0 +1,149 @@
+// Built-in skill taxonomy used by skill-taxonomy.js. Each entry has a canonical name,
+// a category (the skills group it belongs in), spelling variants, and the broader
+// skills it implies (FastAPI → Python). `ambiguous` lists the names that are also ordinary
+// words ("Go", "express"); in free text they only count when capitalized.
+//
+// Categories: frontend, mobile, backend, databases, data, cloud, devops, practices
+export const SKILL_CATALOG = [
+  // Languages
+  { name: 'JavaScript', category: 'frontend', aliases: ['js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', category: 'frontend', aliases: ['ts'], parents: ['JavaScript'] },
+  { name: 'Python', category: 'backend', aliases: ['python3', 'py'] },
+  { name: 'Go', category: 'backend', aliases: ['golang'], ambiguous: ['Go'] },
+  { name: 'Java', category: 'backend', aliases: [], ambiguous: ['Java'] },
+  { name: 'Kotlin', category: 'backend', aliases: [] },
+  { name: 'Scala', category: 'backend', aliases: [] },
+  { name: 'Ruby', category: 'backend', aliases: [], ambiguous: ['Ruby'] },
+  { name: 'PHP', category: 'backend', aliases: [] },
+  { name: 'C#', category: 'backend', aliases: ['csharp', 'c sharp'] },
+  { name: 'C++', category: 'backend', aliases: ['cpp'] },
+  { name: 'C', category: 'backend', aliases: [], ambiguous: ['C'] },
+  { name: 'Rust', category: 'backend', aliases: [], ambiguous: ['Rust'] },
+  { name: 'Elixir', category: 'backend', aliases: [] },
+  { name: 'Swift', category: 'mobile', aliases: [], ambiguous: ['Swift'] },
+  { name: 'R', category: 'data', aliases: [], ambiguous: ['R'] },
+  { name: 'SQL', category: 'databases', aliases: [] },
+  { name: 'Bash', category: 'devops', aliases: ['shell scripting'] },
+
+  // Frontend
+  { name: 'HTML', category: 'frontend', aliases: ['html5'] },
+  { name: 'CSS', category: 'frontend', aliases: ['css3'] },
+  { name: 'Sass', category: 'frontend', aliases: ['scss'], parents: ['CSS'] },
+  { name: 'Tailwind CSS', category: 'frontend', aliases: ['tailwind', 'tailwindcss'], parents: ['CSS'] },
+  { name: 'React', category: 'frontend', aliases: ['react.js', 'reactjs'], parents: ['JavaScript'] },
+  { name: 'Redux', category: 'frontend', aliases: ['redux toolkit'], parents: ['React'] },
+  { name: 'Next.js', category: 'frontend', aliases: ['nextjs'], parents: ['React'] },
+  { name: 'Vue.js', category: 'frontend', aliases: ['vue', 'vuejs', 'vue 3'], parents: ['JavaScript'] },
+  { name: 'Nuxt', category: 'frontend', aliases: ['nuxt.js', 'nuxtjs'], parents: ['Vue.js'] },
+  { name: 'Angular', category: 'frontend', aliases: ['angular 2+', 'angularjs'], parents: ['TypeScript'] },
+  { name: 'Svelte', category: 'frontend', aliases: ['sveltekit'], parents: ['JavaScript'] },
+  { name: 'Astro', category: 'frontend', aliases: [] },
+  { name: 'Webpack', category: 'frontend', aliases: [] },
+  { name: 'Vite', category: 'frontend', aliases: [] },
+  { name: 'WCAG', category: 'frontend', aliases: ['web accessibility'] },
+
+  // Mobile
+  { name: 'React Native', category: 'mobile', aliases: [], parents: ['React'] },
+  { name: 'Flutter', category: 'mobile', aliases: [], parents: ['Dart'] },
+  { name: 'Dart', category: 'mobile', aliases: [] },
+  { name: 'iOS', category: 'mobile', aliases: [] },
+  { name: 'Android', category: 'mobile', aliases: [] },
+
+  // Backend
+  { name: 'Node.js', category: 'backend', aliases: ['node', 'nodejs'], parents: ['JavaScript'], ambiguous: ['node'] },
+  { name: 'Express.js', category: 'backend', aliases: ['express', 'expressjs'], parents: ['Node.js'], ambiguous: ['express'] },
+  { name: 'NestJS', category: 'backend', aliases: ['nest.js'], parents: ['Node.js', 'TypeScript'] },
+  { name: 'Django', category: 'backend', aliases: [], parents: ['Python'] },
+  { name: 'Flask', category: 'backend', aliases: [], parents: ['Python'] },
+  { name: 'FastAPI', category: 'backend', aliases: ['fast api'], parents: ['Python'] },
+  { name: 'Ruby on Rails', category: 'backend', aliases: ['rails', 'ror'], parents: ['Ruby'], ambiguous: ['rails'] },
+  { name: 'Spring Boot', category: 'backend', aliases: ['spring', 'spring framework'], parents: ['Java'], ambiguous: ['spring'] },
+  { name: 'Laravel', category: 'backend', aliases: [], parents: ['PHP'] },
+  { name: '.NET', category: 'backend', aliases: ['dotnet', 'asp.net', 'asp.net core', '.net core'], parents: ['C#'] },
+  { name: 'Gin', category: 'backend', aliases: [], parents: ['Go'], ambiguous: ['Gin'] },
+  { name: 'Phoenix', category: 'backend', aliases: [], parents: ['Elixir'], ambiguous: ['Phoenix'] },
+  { name: 'GraphQL', category: 'backend', aliases: ['apollo graphql'] },
+  { name: 'REST', category: 'backend', aliases: ['rest api', 'rest apis', 'restful', 'restful apis'] },
+  { name: 'gRPC', category: 'backend', aliases: [] },
+  { name: 'Protocol Buffers', category: 'backend', aliases: ['protobuf', 'protobufs'] },
+  { name: 'Kafka', category: 'backend', aliases: ['apache kafka'] },
+  { name: 'RabbitMQ', category: 'backend', aliases: ['rabbit mq'] },
+  { name: 'Microservices', category: 'backend', aliases: ['microservice architecture'] },
+  { name: 'OAuth', category: 'backend', aliases: ['oauth2', 'oauth 2.0'] },
+  { name: 'JWT', category: 'backend', aliases: ['json web tokens'] },
+
+  // Databases
+  { name: 'PostgreSQL', category: 'databases', aliases: ['postgres', 'psql', 'postgre sql'], parents: ['SQL'] },
+  { name: 'MySQL', category: 'databases', aliases: ['mariadb'], parents: ['SQL'] },
+  { name: 'SQL Server', category: 'databases', aliases: ['mssql', 'microsoft sql server'], parents: ['SQL'] },
+  { name: 'SQLite', category: 'databases', aliases: [], parents: ['SQL'] },
+  { name: 'MongoDB', category: 'databases', aliases: ['mongo'] },
+  { name: 'Redis', category: 'databases', aliases: [] },
+  { name: 'Elasticsearch', category: 'databases', aliases: ['elastic search', 'opensearch'] },
+  { name: 'DynamoDB', category: 'databases', aliases: ['dynamo db'], parents: ['AWS'] },
+  { name: 'Cassandra', category: 'databases', aliases: ['apache cassandra'] },
+  { name: 'Supabase', category: 'databases', aliases: [], parents: ['PostgreSQL'] },
+  { name: 'Pinecone', category: 'databases', aliases: [] },
+
+  // Data & machine learning
+  { name: 'pandas', category: 'data', aliases: [], parents: ['Python'] },
+  { name: 'NumPy', category: 'data', aliases: [], parents: ['Python'] },
+  { name: 'scikit-learn', category: 'data', aliases: ['sklearn', 'scikit'], parents: ['Python'] },
+  { name: 'PyTorch', category: 'data', aliases: ['torch'], parents: ['Python'] },
+  { name: 'TensorFlow', category: 'data', aliases: [] },
+  { name: 'Keras', category: 'data', aliases: [], parents: ['Python'] },
+  { name: 'LangChain', category: 'data', aliases: [] },
+  { name: 'Apache Spark', category: 'data', aliases: ['spark'], ambiguous: ['spark'] },
+  { name: 'PySpark', category: 'data', aliases: [], parents: ['Apache Spark', 'Python'] },
+  { name: 'Airflow', category: 'data', aliases: ['apache airflow'] },
+  { name: 'dbt', category: 'data', aliases: ['data build tool'], parents: ['SQL'] },
+  { name: 'Snowflake', category: 'data', aliases: [] },
+  { name: 'BigQuery', category: 'data', aliases: ['big query'], parents: ['GCP', 'SQL'] },
+  { name: 'Machine Learning', category: 'data', aliases: ['ml'] },
+  { name: 'LLMs', category: 'data', aliases: ['llm', 'large language models'] },
+  { name: 'RAG', category: 'data', aliases: ['retrieval augmented generation', 'retrieval-augmented generation'] },
+  { name: 'Data Visualization', category: 'data', aliases: [] },
+
+  // Cloud
+  { name: 'AWS', category: 'cloud', aliases: ['amazon web services'] },
+  { name: 'AWS Lambda', category: 'cloud', aliases: ['lambda'], parents: ['AWS'], ambiguous: ['lambda'] },
+  { name: 'Amazon ECS', category: 'cloud', aliases: ['ecs'], parents: ['AWS'] },
+  { name: 'Amazon EKS', category: 'cloud', aliases: ['eks'], parents: ['AWS', 'Kubernetes'] },
+  { name: 'Amazon S3', category: 'cloud', aliases: ['s3'], parents: ['AWS'] },
+  { name: 'Amazon EC2', category: 'cloud', aliases: ['ec2'], parents: ['AWS'] },
+  { name: 'GCP', category: 'cloud', aliases: ['google cloud', 'google cloud platform'] },
+  { name: 'Cloud Run', category: 'cloud', aliases: ['google cloud run'], parents: ['GCP'] },
+  { name: 'GKE', category: 'cloud', aliases: ['google kubernetes engine'], parents: ['GCP', 'Kubernetes'] },
+  { name: 'Azure', category: 'cloud', aliases: ['microsoft azure'] },
+  { name: 'AKS', category: 'cloud', aliases: ['azure kubernetes service'], parents: ['Azure', 'Kubernetes'] },
+  { name: 'Firebase', category: 'cloud', aliases: [], parents: ['GCP'] },
+  { name: 'Vercel', category: 'cloud', aliases: [] },
+
+  // DevOps & infrastructure
+  { name: 'Docker', category: 'devops', aliases: [] },
+  { name: 'Kubernetes', category: 'devops', aliases: ['k8s'] },
+  { name: 'Helm', category: 'devops', aliases: ['helm charts'], parents: ['Kubernetes'], ambiguous: ['Helm'] },
+  { name: 'Terraform', category: 'devops', aliases: [] },
+  { name: 'Ansible', category: 'devops', aliases: [] },
+  { name: 'CI/CD', category: 'devops', aliases: ['cicd', 'ci cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'GitHub Actions', category: 'devops', aliases: [], parents: ['CI/CD'] },
+  { name: 'Jenkins', category: 'devops', aliases: [], parents: ['CI/CD'] },
+  { name: 'GitLab CI', category: 'devops', aliases: ['gitlab ci/cd'], parents: ['CI/CD'] },
+  { name: 'Git', category: 'devops', aliases: [] },
+  { name: 'GitHub', category: 'devops', aliases: [], parents: ['Git'] },
+  { name: 'GitLab', category: 'devops', aliases: [], parents: ['Git'] },
+  { name: 'Linux', category: 'devops', aliases: [] },
+  { name: 'Prometheus', category: 'devops', aliases: [] },
+  { name: 'Grafana', category: 'devops', aliases: [] },
+  { name: 'Datadog', category: 'devops', aliases: [] },
+
+  // Practices
+  { name: 'Agile', category: 'practices', aliases: ['agile methodologies'], ambiguous: ['agile'] },
+  { name: 'Scrum', category: 'practices', aliases: [] },
+  { name: 'TDD', category: 'practices', aliases: ['test-driven development', 'test driven development'] },
+  { name: 'OOP', category: 'practices', aliases: ['object-oriented programming', 'object oriented programming'] },
+  { name: 'System Design', category: 'practices', aliases: ['system architecture', 'systems design'] },
+  { name: 'Unit Testing', category: 'practices', aliases: ['unit tests'] },
+  { name: 'Jest', category: 'practices', aliases: [], parents: ['JavaScript', 'Unit Testing'] },
+  { name: 'pytest', category: 'practices', aliases: [], parents: ['Python', 'Unit Testing'] }
+];
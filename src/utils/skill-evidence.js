@@ -0,0 +1,69 @@
+import { findSkillsInText, mentionsSkill, relatedSkills } from './skill-taxonomy.js';
+
+// Evidence for skill patches: the work and project text that mentions the skill, or
+// a closely related one. A skill the resume never shows being used is an unsupported claim.
+
+export const UNSUPPORTED_CLAIM = 'unsupported claim';
+export const EVIDENCE_PATCH_TYPES = ['add_skill', 'add_keyword'];
+const MAX_EVIDENCE = 3;
+
+// Text units that can back a skill: [{ path, source, text }]
+function evidenceSources(jsonResume, resumeSections) {
+  const sources = [];
+  (jsonResume?.work || []).forEach((entry, index) => {
+    const source = ['work', [entry.position, entry.name || entry.company].filter(Boolean).join(' at ')].filter(Boolean).join(': ');
+    if (entry.summary) sources.push({ path: `/work/${index}/summary`, source, text: entry.summary });
+    (entry.highlights || []).forEach((text, position) => sources.push({ path: `/work/${index}/highlights/${position}`, source, text }));
+  });
+  (jsonResume?.projects || []).forEach((entry, index) => {
+    const source = ['project', entry.name].filter(Boolean).join(': ');
+    if (entry.description) sources.push({ path: `/projects/${index}/description`, source, text: entry.description });
+    (entry.highlights || []).forEach((text, position) => sources.push({ path: `/projects/${index}/highlights/${position}`, source, text }));
+  });
+  if (sources.length > 0) return sources;
+
+  // Text-only resumes: one source per experience or project line
+  for (const section of ['experience', 'projects']) {
+    String(resumeSections?.[section] || '')
+      .split('\n')
+      .map(line => line.replace(/^[\s•*-]+/, '').trim())
+      .filter(Boolean)
+      .forEach((text, line) => sources.push({ path: `${section}:${line + 1}`, source: section, text }));
+  }
+  return sources;
+}
+
+// { status: 'direct' | 'related' | 'none', items: [{ path, source, text, match, skill? }] }
+// Direct mentions come first; related items name the related skill they mention.
+export function findSkillEvidence(skill, jsonResume, resumeSections = {}) {
+  const sources = evidenceSources(jsonResume, resumeSections).filter(source => typeof source.text === 'string');
+  const direct = sources
+    .filter(source => mentionsSkill(source.text, skill))
+    .map(source => ({ ...source, match: 'direct' }));
+  const related = relatedSkills(skill);
+  const indirect = related.length === 0 ? [] : sources
+    .filter(source => !direct.some(item => item.path === source.path))
+    .map(source => ({ ...source, skill: findSkillsInText(source.text).find(name => related.includes(name)) }))
+    .filter(source => source.skill)
+    .map(source => ({ ...source, match: 'related' }));
+
+  const items = [...direct, ...indirect].slice(0, MAX_EVIDENCE);
+  return { status: direct.length > 0 ? 'direct' : indirect.length > 0 ? 'related' : 'none', items };
+}
+
+// Attach evidence to add_skill/add_keyword patches; those without any are labeled as unsupported claims
+export function annotateSkillEvidence(patches, jsonResume, resumeSections) {
+  return patches.map(patch => {
+    if (!EVIDENCE_PATCH_TYPES.includes(patch.type) || !patch.details?.value) return patch;
+    const evidence = findSkillEvidence(patch.details.value, jsonResume, resumeSections);
+    return {
+      ...patch,
+      evidence,
+      ...(evidence.status === 'none' && { label: UNSUPPORTED_CLAIM })
+    };
+  });
+}
+
+export function isUnsupportedClaim(patch) {
+  return patch?.label === UNSUPPORTED_CLAIM;
+}
@@ -0,0 +1,200 @@
+import { readFileSync } from 'fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { config } from '../config.js';
+import { ValidationError } from './error-handler.js';
+import { SKILL_CATALOG } from './skill-catalog.js';
+
+// Skill names resolved through one taxonomy: canonical names, spelling variants,
+// implied parent skills and categories. Lookups are synchronous; the built-in
+// catalog and the optional RESUME_PATCH_SKILL_TAXONOMY file are read on first use.
+
+export const SKILL_CATEGORIES = ['frontend', 'mobile', 'backend', 'databases', 'data', 'cloud', 'devops', 'practices'];
+
+let taxonomy = null;
+
+// Lookup key for a skill spelling: case, dots, dashes and a ".js" suffix don't matter
+export function skillKey(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\.js\b/g, 'js')
+    .replace(/[\s._/-]+/g, ' ')
+    .replace(/ js\b/g, 'js')
+    .trim();
+}
+
+function readTaxonomyFile(filePath) {
+  let raw;
+  try {
+    const text = readFileSync(filePath, 'utf8');
+    raw = /\.ya?ml$/i.test(path.extname(filePath)) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Could not read skill taxonomy ${filePath}: ${error.message}`, { file: filePath });
+  }
+  const entries = Array.isArray(raw) ? raw : raw?.skills;
+  if (!Array.isArray(entries)) {
+    throw new ValidationError(`Skill taxonomy ${filePath} must be a list of skills`, { file: filePath });
+  }
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new ValidationError(`Skill taxonomy ${filePath}, entry ${index + 1}: needs a name`, { file: filePath, entry });
+    }
+    if (entry.category && !SKILL_CATEGORIES.includes(entry.category)) {
+      throw new ValidationError(`Skill taxonomy ${filePath}, entry ${index + 1}: category must be one of ${SKILL_CATEGORIES.join(', ')}`, {
+        file: filePath,
+        entry
+      });
+    }
+  });
+  return entries;
+}
+
+function buildTaxonomy() {
+  const entries = new Map();
+  const extra = config.skills.taxonomyFile ? readTaxonomyFile(config.skills.taxonomyFile) : [];
+  // Later entries with the same name extend the earlier ones
+  for (const raw of [...SKILL_CATALOG, ...extra]) {
+    const key = skillKey(raw.name);
+    const existing = entries.get(key);
+    entries.set(key, {
+      name: existing?.name || raw.name.trim(),
+      category: raw.category || existing?.category || null,
+      aliases: [...new Set([...(existing?.aliases || []), ...(raw.aliases || [])])],
+      parents: raw.parents || existing?.parents || [],
+      ambiguous: [...new Set([...(existing?.ambiguous || []), ...(raw.ambiguous || [])])]
+    });
+  }
+
+  // Canonical names win over another skill's alias
+  const index = new Map();
+  entries.forEach(entry => index.set(skillKey(entry.name), entry));
+  entries.forEach(entry => entry.aliases.forEach(alias => {
+    if (!index.has(skillKey(alias))) index.set(skillKey(alias), entry);
+  }));
+  return { entries, index, patterns: null };
+}
+
+function getTaxonomy() {
+  taxonomy ??= buildTaxonomy();
+  return taxonomy;
+}
+
+// The taxonomy entry for a skill name or alias, or null for unknown skills
+export function findSkill(term) {
+  return getTaxonomy().index.get(skillKey(term)) || null;
+}
+
+export function canonicalSkillName(term) {
+  return findSkill(term)?.name || String(term || '').trim();
+}
+
+// Key shared by every spelling of the same skill
+export function canonicalKey(term) {
+  return skillKey(canonicalSkillName(term));
+}
+
+export function sameSkill(a, b) {
+  return canonicalKey(a) === canonicalKey(b);
+}
+
+export function skillCategory(term) {
+  return findSkill(term)?.category || null;
+}
+
+// Broader skills a skill implies, transitively (Next.js → React, JavaScript)
+export function impliedSkills(term) {
+  const out = [];
+  const visit = name => {
+    for (const parent of findSkill(name)?.parents || []) {
+      const canonical = canonicalSkillName(parent);
+      if (out.includes(canonical) || sameSkill(canonical, term)) continue;
+      out.push(canonical);
+      visit(canonical);
+    }
+  };
+  visit(term);
+  return out;
+}
+
+// Closely related skills: parents, children, and siblings in the same category under a
+// shared parent (MySQL for PostgreSQL, but not Node.js for React)
+export function relatedSkills(term) {
+  const entry = findSkill(term);
+  if (!entry) return [];
+  const parents = impliedSkills(entry.name);
+  const directParents = entry.parents.map(canonicalKey);
+  const related = [...parents];
+  for (const other of getTaxonomy().entries.values()) {
+    if (other === entry || related.includes(other.name)) continue;
+    const isChild = impliedSkills(other.name).some(name => sameSkill(name, entry.name));
+    const isSibling = other.category === entry.category && other.parents.some(parent => directParents.includes(canonicalKey(parent)));
+    if (isChild || isSibling) related.push(other.name);
+  }
+  return related;
+}
+
+// First spelling of each skill, in order
+export function dedupeSkills(skills) {
+  const seen = new Set();
+  return skills.filter(skill => {
+    const key = canonicalKey(skill);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// One- and two-letter names also stop at "&", "-" and "/" so "R&D", "C-level" and
+// "Go-to-market" are not skills
+const SHORT_TERM_LENGTH = 2;
+
+function termPattern(term, flags = 'gi') {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[\\s-]+');
+  return term.length <= SHORT_TERM_LENGTH
+    ? new RegExp(`(^|[^\\w+#&])(${escaped})(?![\\w+#&/-]|\\.\\w)`, flags)
+    : new RegExp(`(^|[^\\w+#])(${escaped})(?![\\w+#]|\\.\\w)`, flags);
+}
+
+function getPatterns() {
+  const current = getTaxonomy();
+  current.patterns ??= [...current.entries.values()].flatMap(entry => [entry.name, ...entry.aliases].map(term => ({
+    entry,
+    pattern: termPattern(term),
+    ambiguous: entry.ambiguous.some(word => word.toLowerCase() === term.toLowerCase())
+  })));
+  return current.patterns;
+}
+
+// Canonical names of the taxonomy skills mentioned in free text, in order of appearance.
+// The longest mention wins ("React Native" is not also "React").
+export function findSkillsInText(text) {
+  const source = String(text || '');
+  const mentions = [];
+  for (const { entry, pattern, ambiguous } of getPatterns()) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const start = match.index + match[1].length;
+      if (ambiguous && !/^[A-Z]/.test(match[2])) continue;
+      mentions.push({ name: entry.name, start, end: start + match[2].length });
+    }
+  }
+  mentions.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const found = [];
+  let covered = -1;
+  for (const mention of mentions) {
+    if (mention.start < covered) continue;
+    covered = mention.end;
+    if (!found.includes(mention.name)) found.push(mention.name);
+  }
+  return found;
+}
+
+// Whether the text mentions the skill under any of its names
+export function mentionsSkill(text, term) {
+  if (findSkill(term)) return findSkillsInText(text).some(name => sameSkill(name, term));
+  const name = String(term || '').trim();
+  // Unknown short terms only count with their own casing
+  return Boolean(name) && termPattern(name, name.length <= SHORT_TERM_LENGTH ? '' : 'i').test(String(text || ''));
+}
@@ -1,12 +1,19 @@
-import { StateGraph, END } from '@langchain/langgraph';
+import { StateGraph, END, MemorySaver, Command } from '@langchain/langgraph';
+import { randomUUID } from 'node:crypto';
 import { startNode } from './nodes/start.js';
 import { fetchJDNode } from './nodes/fetch-jd.js';
 import { parseResumeNode } from './nodes/parse-resume.js';
 import { analyzeNode } from './nodes/analyze.js';
 import { suggestPatchesNode } from './nodes/suggest-patches.js';
-import { approvePatchesNode } from './nodes/approve-patches.js';
+import { approvePatchesNode, decidePatchesFromFile, mergeDecisions } from './nodes/approve-patches.js';
 import { applyPatchesNode } from './nodes/apply-patches.js';
 import { exportNode } from './nodes/export.js';
+import { ProcessingError, ValidationError } from './utils/error-handler.js';
+import { FileCheckpointSaver } from './utils/file-checkpointer.js';
+import { config } from './config.js';
+
+// In-memory checkpoints for runs that may not touch the disk
+const memoryCheckpointer = new MemorySaver();
 
 // Public state shape expected by tests and external consumers
 export const ResumeState = {
@@ -19,21 +26,23 @@ export const ResumeState = {
   error: { messages: [], retryCount: 0 }
 };
 
-// Create the workflow graph
-export function createWorkflow() {
+// Create the workflow graph; pass a checkpointer to make runs resumable
+export function createWorkflow({ checkpointer } = {}) {
   // Initialize graph with proper state structure for LangGraph.js
   const workflow = new StateGraph({
     channels: {
+      run_id: { reducer: (_l, r) => r, default: () => null },
       resume_path: { reducer: (_l, r) => r, default: () => null },
       jd_url: { reducer: (_l, r) => r, default: () => null },
       jd_text: { reducer: (_l, r) => r, default: () => null },
+      jd_file: { reducer: (_l, r) => r, default: () => null },
       jobDescription: { reducer: (_l, r) => r, default: () => null },
       resume: { reducer: (_l, r) => r, default: () => null },
       resume_json: { reducer: (_l, r) => r, default: () => null },
       analysis: { reducer: (_l, r) => r, default: () => null },
       keywords: { reducer: (l = [], r) => l.concat(r || []), default: () => [] },
       match_score: { reducer: (_l, r) => r, default: () => 0.0 },
-      patches: { reducer: (l = [], r) => l.concat(r || []), default: () => [] },
+      patches: { reducer: (_l, r) => r || [], default: () => [] },
       approvedPatches: { reducer: (_l, r) => r, default: () => [] },
       final_resume: { reducer: (_l, r) => r, default: () => null },
       processing_log: { reducer: (l = [], r) => l.concat(r || []), default: () => [] },
@@ -45,6 +54,13 @@ export function createWorkflow() {
       output_path: { reducer: (_l, r) => r, default: () => null },
       allow_disk: { reducer: (_l, r) => r, default: () => false },
       auto_apply: { reducer: (_l, r) => r, default: () => false },
+      auto_apply_unsupported: { reducer: (_l, r) => r, default: () => null },
+      decisions_file: { reducer: (_l, r) => r, default: () => null },
+      save_decisions_path: { reducer: (_l, r) => r, default: () => null },
+      heuristic_parse: { reducer: (_l, r) => r, default: () => false },
+      reprompt_highlights: { reducer: (_l, r) => r, default: () => null },
+      strict_schema: { reducer: (_l, r) => r, default: () => null },
+      browser_fetch: { reducer: (_l, r) => r, default: () => null },
       output: { reducer: (_l, r) => r, default: () => null }
     }
   });
@@ -189,7 +205,7 @@ export function createWorkflow() {
   workflow.addEdge("handle_error", END);
 
   // Compile the workflow and return the compiled version
-  return workflow.compile();
+  return workflow.compile({ checkpointer });
 }
 
 // Enhanced error handling node with logging
@@ -236,16 +252,93 @@ async function retryFetchNode(state) {
   };
 }
 
+function getCheckpointer(allowDisk) {
+  return allowDisk ? new FileCheckpointSaver(config.checkpoints.dir) : memoryCheckpointer;
+}
+
+// Locate an existing run: in-memory runs from this process first, then run files
+async function findCheckpointer(runId) {
+  if (memoryCheckpointer.storage[runId]) return memoryCheckpointer;
+  const fileCheckpointer = new FileCheckpointSaver(config.checkpoints.dir);
+  if (await fileCheckpointer.hasRun(runId)) return fileCheckpointer;
+  throw new ValidationError(`No checkpointed run found for ID ${runId}`, { runId, step: 'start' });
+}
+
+// Payload of the approve_patches interrupt ({ type, runId, patches }) if the run is paused there
+export function getPendingApproval(result) {
+  const pending = (result?.__interrupt__ || []).find(i => i.value?.type === 'patch_approval');
+  return pending ? pending.value : null;
+}
+
+// Answer approval interrupts with the caller's review handler. Without a handler
+// the run stays paused so another front-end can submit decisions later.
+async function answerApprovalInterrupts(workflow, result, runConfig, reviewPatches) {
+  let current = result;
+  let pending = getPendingApproval(current);
+  while (pending && reviewPatches) {
+    const decisions = await reviewPatches(pending.patches, pending);
+    current = await workflow.invoke(new Command({ resume: decisions }), runConfig);
+    pending = getPendingApproval(current);
+  }
+  if (pending) {
+    console.log(`⏸️  Run ${current.run_id} paused: ${pending.patches.length} patches awaiting approval`);
+  }
+  return current;
+}
+
+// Validate the final state of a run and report timings
+async function finalizeRun(result, checkpointer) {
+  if (result.errors && result.errors.length > 0) {
+    console.error('Workflow completed with errors');
+    throw new Error(`Workflow failed: ${result.errors.join(', ')}`);
+  }
+
+  // fetch_jd reports failures in state rather than throwing; surface them here
+  if (!result.jd_text) {
+    throw new ProcessingError('Failed to fetch job description', {
+      step: 'fetch_jd',
+      originalError: result.jobDescription?.error || null
+    });
+  }
+  
+  const totalTime = Date.now() - result.start_time;
+  console.log(`✅ Resume optimization completed successfully in ${totalTime}ms!`);
+  
+  // Log performance metrics
+  if (result.processing_log) {
+    console.log('📊 Processing log:', result.processing_log);
+  }
+
+  // Completed runs have nothing left to resume; don't retain resume data
+  if (!config.checkpoints.keepCompleted) {
+    await checkpointer.deleteThread(result.run_id);
+  }
+  
+  return result;
+}
+
 // Main function to run the workflow with improved state management
 export async function resumePatch(resumePath, options) {
-  const workflow = createWorkflow();
+  const runId = options.runId || randomUUID();
+  const allowDisk = Boolean(options.allowDisk);
+  const checkpointer = getCheckpointer(allowDisk);
+  const workflow = createWorkflow({ checkpointer });
   
   const initialState = {
+    run_id: runId,
     resume_path: resumePath,
     jd_url: options.job || null,
     jd_text: options.text || null,
-    allow_disk: Boolean(options.allowDisk),
+    jd_file: options.jdFile || null,
+    allow_disk: allowDisk,
     auto_apply: Boolean(options.autoApply),
+    auto_apply_unsupported: options.autoApplyUnsupported ?? null,
+    decisions_file: options.decisionsFile || null,
+    save_decisions_path: options.saveDecisions || null,
+    heuristic_parse: Boolean(options.heuristicParse),
+    reprompt_highlights: options.repromptHighlights ?? null,
+    strict_schema: options.strictSchema ?? null,
+    browser_fetch: options.browserFetch ?? null,
     resume: null,
     resume_json: null,
     keywords: [],
@@ -264,24 +357,89 @@ export async function resumePatch(resumePath, options) {
 
   try {
     console.log('🚀 Starting resume optimization workflow...');
-    const result = await workflow.invoke(initialState);
-    
-    if (result.errors && result.errors.length > 0) {
-      console.error('Workflow completed with errors');
-      throw new Error(`Workflow failed: ${result.errors.join(', ')}`);
+    if (allowDisk) {
+      console.log(`🔖 Run ID: ${runId} (continue an interrupted run with: resume-patch resume ${runId})`);
     }
-    
-    const totalTime = Date.now() - result.start_time;
-    console.log(`✅ Resume optimization completed successfully in ${totalTime}ms!`);
-    
-    // Log performance metrics
-    if (result.processing_log) {
-      console.log('📊 Processing log:', result.processing_log);
+    const runConfig = { configurable: { thread_id: runId } };
+    const initialResult = await workflow.invoke(initialState, runConfig);
+    const result = await answerApprovalInterrupts(workflow, initialResult, runConfig, options.reviewPatches);
+    if (getPendingApproval(result)) return result;
+    return await finalizeRun(result, checkpointer);
+  } catch (error) {
+    console.error('Workflow failed:', error);
+    throw error;
+  }
+}
+
+// Decisions for a paused run's pending patches from a decisions file. Patches the
+// rules leave undecided go to `reviewPatches` when there is one; otherwise it fails.
+async function decisionsFromFile(filePath, snapshot, reviewPatches) {
+  const pending = snapshot.tasks.flatMap(task => task.interrupts || []).find(i => i.value?.type === 'patch_approval')?.value;
+  const { decisions, undecided } = await decidePatchesFromFile(filePath, pending.patches, snapshot.values?.resume?.content?.jsonResume);
+  let reviewed = [];
+  if (undecided.length > 0) {
+    if (!reviewPatches) {
+      throw new ValidationError(
+        `Decisions file ${filePath} leaves ${undecided.length} patches undecided (${undecided.map(p => p.id).join(', ')}); add rules for them or set "default: approve" or "default: reject"`,
+        { step: 'approve_patches', file: filePath, undecided: undecided.map(p => p.id) }
+      );
+    }
+    reviewed = await reviewPatches(undecided, { ...pending, patches: undecided });
+  }
+  return mergeDecisions(decisions, reviewed);
+}
+
+// Continue a checkpointed run from its last completed node. Pass `decisions`
+// (or a `decisionsFile` of rules) to answer a pending approval, or `reviewPatches`
+// to prompt for them.
+export async function resumeRun(runId, options = {}) {
+  const checkpointer = await findCheckpointer(runId);
+  const workflow = createWorkflow({ checkpointer });
+  const runConfig = { configurable: { thread_id: runId } };
+
+  try {
+    const snapshot = await workflow.getState(runConfig);
+    const pending = snapshot.tasks.map(task => task.name).join(', ') || 'end';
+    console.log(`🔁 Resuming run ${runId} at ${pending} (last completed step: ${snapshot.values?.current_step})`);
+
+    let input = null;
+    if (options.decisions || options.decisionsFile) {
+      if (!snapshot.tasks.some(task => task.interrupts?.length > 0)) {
+        throw new ValidationError(`Run ${runId} is not awaiting patch approval`, { runId, step: 'approve_patches' });
+      }
+      const decisions = options.decisions || await decisionsFromFile(options.decisionsFile, snapshot, options.reviewPatches);
+      input = new Command({ resume: decisions });
     }
-    
-    return result;
+
+    // A null input continues from the latest checkpoint, replaying any saved node writes
+    const initialResult = await workflow.invoke(input, runConfig);
+    const result = await answerApprovalInterrupts(workflow, initialResult, runConfig, options.reviewPatches);
+    if (getPendingApproval(result)) return result;
+    return await finalizeRun(result, checkpointer);
   } catch (error) {
     console.error('Workflow failed:', error);
     throw error;
   }
 }
+
+// Resume a run paused at approve_patches with [{ id, action, value? }]
+export async function submitPatchDecisions(runId, decisions) {
+  return resumeRun(runId, { decisions });
+}
+
+// Drop an in-memory run's checkpoints; runs checkpointed to disk are left alone
+export async function discardRun(runId) {
+  if (memoryCheckpointer.storage[runId]) await memoryCheckpointer.deleteThread(runId);
+}
+
+// Latest checkpointed state of a run that has not completed
+export async function getRunState(runId) {
+  const checkpointer = await findCheckpointer(runId);
+  const workflow = createWorkflow({ checkpointer });
+  const snapshot = await workflow.getState({ configurable: { thread_id: runId } });
+  return {
+    values: snapshot.values,
+    pendingSteps: snapshot.tasks.map(task => task.name),
+    awaitingApproval: snapshot.tasks.some(task => task.interrupts?.length > 0)
+  };
+}
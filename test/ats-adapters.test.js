@@ -0,0 +1,169 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { config } from '../src/config.js';
+import { fetchAtsPosting, matchAtsUrl } from '../src/utils/ats-adapters.js';
+
+const LEVER_ID = '5ac21346-8e0c-4494-8e7a-3eb92ff77902';
+const ASHBY_ID = '0b3a6b61-7a2f-4bd6-9d55-8f8e1c9f3d10';
+
+// Board API payloads by request path, trimmed to the fields the adapters read
+const ROUTES = {
+  '/greenhouse/boards/acme/jobs/4012345': {
+    title: 'Backend Engineer',
+    company_name: 'Acme',
+    location: { name: 'Remote - US' },
+    first_published: '2024-05-01T12:00:00-04:00',
+    absolute_url: 'https://boards.greenhouse.io/acme/jobs/4012345',
+    // Greenhouse returns the description HTML entity-escaped
+    content: '&lt;h2&gt;About the role&lt;/h2&gt;&lt;p&gt;Build payment APIs in Go &amp;amp; PostgreSQL.&lt;/p&gt;'
+      + '&lt;ul&gt;&lt;li&gt;5+ years&lt;/li&gt;&lt;li&gt;On-call &amp;lt;1 week a month&lt;/li&gt;&lt;/ul&gt;'
+  },
+  [`/lever/postings/acme/${LEVER_ID}`]: {
+    text: 'Data Engineer',
+    categories: { commitment: 'Full-time', location: 'Berlin', allLocations: ['Berlin', 'Remote - EU'] },
+    workplaceType: 'hybrid',
+    description: '<div>We move data &amp; models.</div>',
+    additional: '<p>Visa support available.</p>',
+    lists: [
+      { text: 'Requirements', content: '<li>Python</li><li>Airflow &amp; dbt</li>' },
+      { text: 'What you\'ll do', content: '<li>Own the pipelines</li>' },
+      { text: 'Perks', content: '<li>Bike leasing</li>' }
+    ],
+    salaryRange: { currency: 'EUR', interval: 'per-year-salary', min: 70000, max: 90000 },
+    createdAt: Date.UTC(2024, 4, 1),
+    hostedUrl: `https://jobs.lever.co/acme/${LEVER_ID}`
+  },
+  '/ashby/job-board/acme?includeCompensation=true': {
+    jobs: [{
+      id: ASHBY_ID,
+      title: 'Product Designer',
+      location: 'New York',
+      secondaryLocations: [{ location: 'Remote' }],
+      workplaceType: 'Hybrid',
+      employmentType: 'FullTime',
+      descriptionHtml: '<p>Design tools for &lt;builders&gt;.</p>',
+      publishedAt: '2024-04-01T00:00:00.000Z',
+      jobUrl: `https://jobs.ashbyhq.com/acme/${ASHBY_ID}`,
+      compensation: {
+        summaryComponents: [{ compensationType: 'Salary', currencyCode: 'USD', minValue: 120000, maxValue: 150000, interval: '1 YEAR' }]
+      }
+    }]
+  },
+  '/workable/v2/accounts/acme/jobs/AB12CD34EF': {
+    title: 'Support Lead',
+    description: '<p>Help customers succeed.</p>',
+    requirements: '<ul><li>3 years in support</li><li>Zendesk</li></ul>',
+    location: { city: 'Lisbon', region: 'Lisbon', country: 'Portugal' },
+    remote: true,
+    type: 'full',
+    published: '2024-03-01',
+    url: 'https://apply.workable.com/acme/j/AB12CD34EF/'
+  },
+  '/workable/v2/accounts/acme/jobs/BADF00D': '{"title": "Support Lead",'
+};
+
+let server;
+let saved;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = ROUTES[req.url];
+    if (body === undefined) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end('{"error":"Not found"}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  saved = { ...config.jd.ats };
+  Object.assign(config.jd.ats, {
+    greenhouse: `${base}/greenhouse`,
+    lever: `${base}/lever`,
+    ashby: `${base}/ashby`,
+    workable: `${base}/workable`
+  });
+});
+
+after(async () => {
+  Object.assign(config.jd.ats, saved);
+  await new Promise(resolve => server.close(resolve));
+});
+
+function fetchUrl(url) {
+  const ats = matchAtsUrl(url);
+  assert.ok(ats, `no adapter for ${url}`);
+  return fetchAtsPosting(ats);
+}
+
+test('matchAtsUrl recognizes each board URL form', () => {
+  const match = url => {
+    const ats = matchAtsUrl(url);
+    return ats && { name: ats.adapter.name, ...ats.params };
+  };
+  assert.deepEqual(match('https://boards.greenhouse.io/acme/jobs/4012345?gh_src=x'), { name: 'greenhouse', board: 'acme', id: '4012345' });
+  assert.deepEqual(match('https://job-boards.eu.greenhouse.io/acme/jobs/4012345'), { name: 'greenhouse', board: 'acme', id: '4012345' });
+  assert.deepEqual(match('https://boards.greenhouse.io/embed/job_app?for=acme&token=4012345'), { name: 'greenhouse', board: 'acme', id: '4012345' });
+  assert.deepEqual(match(`https://jobs.eu.lever.co/acme/${LEVER_ID}/apply`), { name: 'lever', company: 'acme', id: LEVER_ID, eu: true });
+  assert.deepEqual(match(`https://jobs.ashbyhq.com/acme/${ASHBY_ID}`), { name: 'ashby', organization: 'acme', id: ASHBY_ID });
+  assert.deepEqual(match('https://apply.workable.com/acme/j/AB12CD34EF/'), { name: 'workable', account: 'acme', shortcode: 'AB12CD34EF' });
+  assert.deepEqual(match('https://acme.workable.com/j/AB12CD34EF'), { name: 'workable', account: 'acme', shortcode: 'AB12CD34EF' });
+  assert.equal(match('https://greenhouse.io.example.com/acme/jobs/1'), null);
+  assert.equal(match('https://jobs.lever.co/acme'), null);
+  assert.equal(match('not a url'), null);
+});
+
+test('Greenhouse content is unescaped before it is read as HTML', async () => {
+  const posting = await fetchUrl('https://boards.greenhouse.io/acme/jobs/4012345');
+  assert.equal(posting.title, 'Backend Engineer');
+  assert.equal(posting.hiringOrganization, 'Acme');
+  assert.equal(posting.description, 'About the role\n\nBuild payment APIs in Go & PostgreSQL.\n\n• 5+ years\n• On-call <1 week a month');
+  assert.equal(posting.location, 'Remote - US');
+  assert.equal(posting.ats, 'greenhouse');
+  assert.equal(posting.url, 'https://boards.greenhouse.io/acme/jobs/4012345');
+});
+
+test('Lever lists fill qualifications and responsibilities', async () => {
+  const posting = await fetchUrl(`https://jobs.lever.co/acme/${LEVER_ID}`);
+  assert.equal(posting.title, 'Data Engineer');
+  assert.deepEqual(posting.qualifications, ['Python', 'Airflow & dbt']);
+  assert.deepEqual(posting.responsibilities, ['Own the pipelines']);
+  // Lists without a known heading stay in the description
+  assert.equal(posting.description, 'We move data & models.\n\nVisa support available.\n\nPerks\n• Bike leasing');
+  assert.equal(posting.location, 'Berlin; Remote - EU');
+  assert.deepEqual(posting.employmentType, ['full-time']);
+  assert.deepEqual(posting.salary, { currency: 'EUR', min: 70000, max: 90000, unit: 'year', text: 'EUR 70000-90000 per year' });
+  assert.equal(posting.datePosted, '2024-05-01T00:00:00.000Z');
+  assert.equal(posting.remote, false);
+});
+
+test('Ashby postings are picked out of the board listing', async () => {
+  const posting = await fetchUrl(`https://jobs.ashbyhq.com/acme/${ASHBY_ID}`);
+  assert.equal(posting.title, 'Product Designer');
+  assert.equal(posting.description, 'Design tools for <builders>.');
+  assert.equal(posting.location, 'New York; Remote');
+  assert.deepEqual(posting.employmentType, ['full time']);
+  assert.equal(posting.salary.text, 'USD 120000-150000 per year');
+  assert.equal(posting.remote, false);
+
+  await assert.rejects(fetchUrl('https://jobs.ashbyhq.com/acme/11111111-2222-3333-4444-555555555555'), /is not on the acme Ashby board/);
+});
+
+test('Workable requirements become qualifications', async () => {
+  const posting = await fetchUrl('https://apply.workable.com/acme/j/AB12CD34EF/');
+  assert.equal(posting.title, 'Support Lead');
+  assert.equal(posting.description, 'Help customers succeed.');
+  assert.deepEqual(posting.qualifications, ['3 years in support', 'Zendesk']);
+  assert.equal(posting.location, 'Lisbon, Lisbon, Portugal');
+  assert.equal(posting.remote, true);
+  assert.deepEqual(posting.employmentType, ['full time']);
+});
+
+test('missing postings and malformed responses reject', async () => {
+  await assert.rejects(fetchUrl('https://boards.greenhouse.io/acme/jobs/999'), /HTTP 404/);
+  await assert.rejects(fetchUrl(`https://jobs.lever.co/other/${LEVER_ID}`), /HTTP 404/);
+  await assert.rejects(fetchUrl('https://apply.workable.com/acme/j/BADF00D/'), SyntaxError);
+});
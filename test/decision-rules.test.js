@@ -0,0 +1,194 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ValidationError } from '../src/utils/error-handler.js';
+import {
+  decidePatchesByRules,
+  loadDecisionRules,
+  matchDecisionRule,
+  ruleSetUsesSections,
+  rulesFromDecisions,
+  saveDecisionRules
+} from '../src/utils/decision-rules.js';
+
+const PATCHES = [
+  { id: 'skill_kubernetes', type: 'add_skill', details: { value: 'Kubernetes' } },
+  { id: 'skill_c++', type: 'add_skill', details: { value: 'C++ (17)' } },
+  { id: 'role_enhance_1', type: 'role_enhancement', details: { value: 'Led the payments team' } },
+  { id: 'edu_1', type: 'add_content', details: { value: 'Dean\'s list' } }
+];
+// describePatchLocations() output for PATCHES
+const LOCATIONS = {
+  skill_kubernetes: [{ op: 'add', path: '/skills/1/keywords/-' }],
+  'skill_c++': [{ op: 'add', path: '/skills/0/keywords/-' }],
+  role_enhance_1: [{ op: 'add', path: '/work/0/highlights/-' }],
+  edu_1: [{ op: 'add', path: '/education/0/courses/-' }]
+};
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-patch-rules-'));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+async function rulesFile(name, content) {
+  const filePath = path.join(tempDir, name);
+  await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content), 'utf8');
+  return filePath;
+}
+
+test('the first matching rule decides a patch', async () => {
+  const ruleSet = await loadDecisionRules(await rulesFile('order.json', {
+    rules: [
+      { type: 'add_skill', value: '^kubernetes$', action: 'approve' },
+      { type: 'add_skill', action: 'reject' },
+      { value: 'kubernetes', action: 'edit', replacement: 'K8s' }
+    ]
+  }));
+  const { decisions, undecided } = decidePatchesByRules(ruleSet, PATCHES);
+  assert.deepEqual(decisions, [
+    { id: 'skill_kubernetes', action: 'approve', rule: 1 },
+    { id: 'skill_c++', action: 'reject', rule: 2 }
+  ]);
+  assert.deepEqual(undecided.map(p => p.id), ['role_enhance_1', 'edu_1']);
+});
+
+test('every matcher in a rule must match', async () => {
+  const ruleSet = await loadDecisionRules(await rulesFile('all.json', [
+    { id: ['skill_kubernetes', 'role_enhance_1'], type: 'add_skill', action: 'approve' }
+  ]));
+  assert.equal(matchDecisionRule(ruleSet, PATCHES[0]).index, 0);
+  assert.equal(matchDecisionRule(ruleSet, PATCHES[1]), null);
+  assert.equal(matchDecisionRule(ruleSet, PATCHES[2]), null);
+});
+
+test('section rules match the top-level key a patch touches', async () => {
+  const ruleSet = await loadDecisionRules(await rulesFile('sections.json', {
+    default: 'approve',
+    rules: [{ section: ['education', 'work'], action: 'reject' }]
+  }));
+  assert.ok(ruleSetUsesSections(ruleSet));
+  const { decisions } = decidePatchesByRules(ruleSet, PATCHES, LOCATIONS);
+  assert.deepEqual(decisions.map(d => [d.id, d.action, d.rule]), [
+    ['skill_kubernetes', 'approve', 'default'],
+    ['skill_c++', 'approve', 'default'],
+    ['role_enhance_1', 'reject', 1],
+    ['edu_1', 'reject', 1]
+  ]);
+  // Without locations a section rule cannot match
+  assert.equal(matchDecisionRule(ruleSet, PATCHES[2]), null);
+});
+
+test('invalid rules are rejected with the rule number', async () => {
+  const invalid = async (rules, message) => {
+    const filePath = await rulesFile('invalid.json', { rules });
+    await assert.rejects(loadDecisionRules(filePath), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.match(error.message, message);
+      assert.equal(error.details.step, 'approve_patches');
+      return true;
+    });
+  };
+  await invalid([{ type: 'add_skill', action: 'approve' }, { value: '(unclosed', action: 'reject' }], /rule 2: invalid value regex/);
+  await invalid([{ type: 'add_skill', action: 'edit' }], /rule 1: edit rules need a non-empty replacement/);
+  await invalid([{ type: 'add_skill', action: 'edit', replacement: '  ' }], /rule 1: edit rules need a non-empty replacement/);
+  await invalid([{ action: 'approve' }], /rule 1: needs at least one of id, type, section or value/);
+  await invalid([{ type: 'add_skill', action: 'skip' }], /rule 1: action must be one of approve, reject, edit/);
+  await invalid([{ type: ['add_skill', 'add_content'], action: 'edit', replacement: 'x' }], /rule 1: add_content patches cannot be edited/);
+});
+
+test('edit rules replace the patch value', async () => {
+  const ruleSet = await loadDecisionRules(await rulesFile('edit.json', [
+    { id: 'role_enhance_1', action: 'edit', replacement: 'Led a team of 6 on payments' }
+  ]));
+  assert.deepEqual(decidePatchesByRules(ruleSet, PATCHES).decisions, [
+    { id: 'role_enhance_1', action: 'edit', value: 'Led a team of 6 on payments', rule: 1 }
+  ]);
+});
+
+test('edit rules pass over patches that cannot be edited', async () => {
+  const ruleSet = await loadDecisionRules(await rulesFile('edit-any.json', [
+    { value: '^(Dean|Led)', action: 'edit', replacement: 'Reworded' },
+    { id: 'edu_1', action: 'reject' }
+  ]));
+  assert.deepEqual(decidePatchesByRules(ruleSet, PATCHES).decisions, [
+    { id: 'role_enhance_1', action: 'edit', value: 'Reworded', rule: 1 },
+    { id: 'edu_1', action: 'reject', rule: 2 }
+  ]);
+});
+
+test('YAML and JSON files load the same rules', async () => {
+  const yamlPath = await rulesFile('rules.yml', [
+    'default: reject',
+    'rules:',
+    "  - { type: add_skill, value: '^kubernetes$', action: approve }",
+    '  - section: work',
+    '    action: edit',
+    '    replacement: Reworded text',
+    ''
+  ].join('\n'));
+  const jsonPath = await rulesFile('rules.json', {
+    default: 'reject',
+    rules: [
+      { type: 'add_skill', value: '^kubernetes$', action: 'approve' },
+      { section: 'work', action: 'edit', replacement: 'Reworded text' }
+    ]
+  });
+  const fromYaml = decidePatchesByRules(await loadDecisionRules(yamlPath), PATCHES, LOCATIONS);
+  const fromJson = decidePatchesByRules(await loadDecisionRules(jsonPath), PATCHES, LOCATIONS);
+  assert.deepEqual(fromYaml, fromJson);
+  assert.deepEqual(fromYaml.decisions.map(d => d.action), ['approve', 'reject', 'edit', 'reject']);
+
+  // A .json file is never read as YAML
+  await assert.rejects(loadDecisionRules(await rulesFile('yaml-content.json', 'default: reject\n')), /Could not read decisions file/);
+  await assert.rejects(loadDecisionRules(path.join(tempDir, 'missing.yaml')), ValidationError);
+  await assert.rejects(loadDecisionRules(await rulesFile('default.yaml', 'default: maybe\n')), /"default" must be one of ask, approve, reject/);
+  await assert.rejects(loadDecisionRules(await rulesFile('rules.yaml', 'rules: approve\n')), /"rules" must be a list/);
+});
+
+test('rulesFromDecisions pins each decision to its patch', () => {
+  const rules = rulesFromDecisions(PATCHES, [
+    { id: 'skill_c++', action: 'approve' },
+    { id: 'role_enhance_1', action: 'edit', value: 'Reworded' }
+  ]);
+  assert.deepEqual(rules, [
+    { id: 'skill_c++', type: 'add_skill', value: '^C\\+\\+ \\(17\\)$', action: 'approve' },
+    { id: 'role_enhance_1', type: 'role_enhancement', value: '^Led the payments team$', action: 'edit', replacement: 'Reworded' }
+  ]);
+});
+
+test('saved decisions replay to the same decisions, after the rules already loaded', async () => {
+  const existing = await loadDecisionRules(await rulesFile('existing.yaml', [
+    'default: ask',
+    'rules:',
+    '  - { section: education, action: reject }',
+    ''
+  ].join('\n')));
+  const reviewed = [
+    { id: 'skill_kubernetes', action: 'approve' },
+    { id: 'skill_c++', action: 'reject' },
+    { id: 'role_enhance_1', action: 'edit', value: 'Led the payments team of 6' }
+  ];
+
+  for (const name of ['saved.yaml', 'nested/saved.json']) {
+    const filePath = await saveDecisionRules(path.join(tempDir, name), PATCHES, reviewed, existing);
+    const ruleSet = await loadDecisionRules(filePath);
+    assert.equal(ruleSet.defaultAction, 'ask');
+    assert.deepEqual(ruleSet.rawRules[0], { section: 'education', action: 'reject' });
+
+    const { decisions, undecided } = decidePatchesByRules(ruleSet, PATCHES, LOCATIONS);
+    // edu_1 still falls to the section rule loaded before the review
+    assert.deepEqual(decisions.map(({ rule, ...decision }) => decision), [...reviewed, { id: 'edu_1', action: 'reject' }]);
+    assert.deepEqual(undecided, []);
+  }
+
+  // A changed value no longer matches the pinned rule
+  const ruleSet = await loadDecisionRules(path.join(tempDir, 'saved.yaml'));
+  assert.equal(matchDecisionRule(ruleSet, { ...PATCHES[0], details: { value: 'Kubernetes operators' } }), null);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, extractMainText, htmlFragmentToText } from '../src/utils/jd-html.js';
+
+test('decodeEntities decodes numeric and named entities', () => {
+  assert.equal(decodeEntities('R&amp;D &#8211; &#x2022; caf&eacute; &nbsp;'), 'R&D – • caf&eacute;  ');
+});
+
+test('decodeEntities leaves out-of-range code points as they are', () => {
+  assert.equal(decodeEntities('a &#99999999; &#x110000; b'), 'a &#99999999; &#x110000; b');
+  assert.equal(htmlFragmentToText('<p>a &#99999999; b</p>'), 'a &#99999999; b');
+});
+
+const JD = '<h1>Backend Engineer</h1>'
+  + '<p>We are hiring a backend engineer to build payment APIs in Go and PostgreSQL.</p>'
+  + '<ul><li>5+ years building services</li></ul>';
+
+test('extractMainText drops application forms inside the content', () => {
+  const text = extractMainText(`<body><main>${JD}<form><label>First name</label><input name="first"><button>Apply</button></form></main></body>`);
+  assert.match(text, /payment APIs in Go and PostgreSQL/);
+  assert.doesNotMatch(text, /First name/);
+});
+
+test('extractMainText keeps a form that wraps the whole page', () => {
+  // ASP.NET WebForms pages put everything inside one <form>; treating it as chrome lost the posting
+  const html = `<body><form id="aspnetForm" method="post"><input type="hidden" name="__VIEWSTATE" value="x"><nav>Home | Jobs</nav>${JD}</form></body>`;
+  const text = extractMainText(html);
+  assert.match(text, /^Backend Engineer/);
+  assert.match(text, /• 5\+ years building services/);
+  assert.doesNotMatch(text, /Home \| Jobs/);
+});
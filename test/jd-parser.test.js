@@ -0,0 +1,130 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { registerLLMProvider, resetLLMClient } from '../src/llm/client.js';
+import { degreeLevels, heuristicParseJobDescription, parseJobDescription } from '../src/utils/jd-parser.js';
+
+const POSTING = `Senior Backend Engineer
+
+About us:
+We build payment infrastructure for marketplaces.
+
+What you'll do:
+- Design and operate payment APIs in Go
+- Own our event pipeline on Kafka
+
+Requirements:
+- 5+ years of software engineering experience
+- 3+ years with Go
+- Solid PostgreSQL and Redis knowledge
+- Experience with Terraform is a plus
+- BS in Computer Science or equivalent experience
+
+Nice to have:
+- gRPC
+- Protocol Buffers
+
+Location: Berlin; Remote (EU)
+This is a hybrid role with two office days a week.
+Salary: €70,000 - €90,000 per year
+`;
+
+const openai = { ...config.openai };
+
+afterEach(() => {
+  Object.assign(config.openai, openai);
+  resetLLMClient();
+});
+
+test('the rule-based parser splits a posting into its sections', () => {
+  const structure = heuristicParseJobDescription(POSTING);
+  assert.equal(structure.title, 'Senior Backend Engineer');
+  assert.equal(structure.seniority, 'senior');
+  assert.deepEqual(structure.responsibilities, ['Design and operate payment APIs in Go', 'Own our event pipeline on Kafka']);
+  assert.deepEqual(structure.mustHave, [
+    '5+ years of software engineering experience',
+    '3+ years with Go',
+    'Solid PostgreSQL and Redis knowledge',
+    'BS in Computer Science or equivalent experience'
+  ]);
+  // "is a plus" moves a requirement to nice-to-have
+  assert.deepEqual(structure.niceToHave, ['Experience with Terraform is a plus', 'gRPC', 'Protocol Buffers']);
+  assert.deepEqual(structure.location.places, ['Berlin', 'Remote (EU)']);
+});
+
+test('the rule-based parser reads years, stack, education, workplace and pay', () => {
+  const structure = heuristicParseJobDescription(POSTING);
+  assert.equal(structure.minYearsExperience, 5);
+  assert.deepEqual(structure.yearsRequired, [{ skill: 'Go', years: 3 }]);
+  for (const tech of ['Go', 'Kafka', 'PostgreSQL', 'Redis', 'Terraform', 'gRPC', 'Protocol Buffers']) {
+    assert.ok(structure.techStack.includes(tech), `${tech} in ${structure.techStack.join(', ')}`);
+  }
+  assert.ok(!structure.techStack.includes('Computer Science'));
+  assert.deepEqual(structure.education, { level: 'bachelors', fields: ['Computer Science'], required: false });
+  assert.equal(structure.location.workplace, 'hybrid');
+  assert.deepEqual(structure.compensation, { currency: 'EUR', min: 70000, max: 90000, period: 'year', text: 'EUR 70000-90000 per year' });
+});
+
+test('seniority falls back to the years asked for', () => {
+  assert.equal(heuristicParseJobDescription('Backend Engineer\n\nRequirements:\n- 1+ years of experience').seniority, 'junior');
+  assert.equal(heuristicParseJobDescription('Backend Engineer\n\nRequirements:\n- 3+ years of experience').seniority, 'mid');
+  assert.equal(heuristicParseJobDescription('Staff Engineer\n\nRequirements:\n- 3+ years of experience').seniority, 'staff');
+});
+
+test('hourly and shorthand pay, required degrees', () => {
+  const structure = heuristicParseJobDescription('Support Engineer\n\nRequirements:\n- Bachelor\'s degree in Physics\n\nPay: $40 - $55 per hour, fully remote');
+  assert.deepEqual(structure.compensation, { currency: 'USD', min: 40, max: 55, period: 'hour', text: 'USD 40-55 per hour' });
+  assert.deepEqual(structure.education, { level: 'bachelors', fields: ['Physics'], required: true });
+  assert.equal(structure.location.workplace, 'remote');
+  assert.deepEqual(heuristicParseJobDescription('Engineer\n$120k-$150k').compensation.text, 'USD 120000-150000 per year');
+  assert.deepEqual(degreeLevels('BS required, MS or PhD preferred'), ['bachelors', 'masters', 'phd']);
+});
+
+test('parseJobDescription uses the rule-based parser without an LLM', async () => {
+  Object.assign(config.openai, { provider: 'openai', apiKey: undefined, baseURL: undefined });
+  const structure = await parseJobDescription(POSTING);
+  assert.equal(structure.method, 'heuristic');
+  assert.equal(structure.reason, 'LLM not configured');
+  assert.equal(structure.title, 'Senior Backend Engineer');
+});
+
+test('parseJobDescription falls back when the LLM call fails', async () => {
+  registerLLMProvider('failing', () => ({
+    chat: { completions: { create: async () => { throw new Error('503 Service Unavailable'); } } }
+  }));
+  config.openai.provider = 'failing';
+  const structure = await parseJobDescription(POSTING);
+  assert.equal(structure.method, 'heuristic');
+  assert.equal(structure.reason, '503 Service Unavailable');
+  assert.deepEqual(structure.yearsRequired, [{ skill: 'Go', years: 3 }]);
+});
+
+test('parseJobDescription falls back on output that is not JSON', async () => {
+  registerLLMProvider('prose', () => ({
+    chat: { completions: { create: async () => ({ choices: [{ message: { content: 'Sure! Here is the structure:' } }] }) } }
+  }));
+  config.openai.provider = 'prose';
+  const structure = await parseJobDescription(POSTING);
+  assert.equal(structure.method, 'heuristic');
+  assert.equal(structure.reason, 'Model did not return valid JSON');
+});
+
+test('job board facts fill what the text leaves out', async () => {
+  Object.assign(config.openai, { provider: 'openai', apiKey: undefined, baseURL: undefined });
+  const structure = await parseJobDescription('Data Engineer\n\nWe move data.', {
+    title: 'Data Engineer',
+    hiringOrganization: 'Acme',
+    location: 'Berlin; Remote - EU',
+    qualifications: ['Python', 'Airflow'],
+    responsibilities: ['Own the pipelines'],
+    skills: ['dbt'],
+    remote: true,
+    salary: { currency: 'EUR', min: 70000, max: 90000, unit: 'year' }
+  });
+  assert.equal(structure.company, 'Acme');
+  assert.deepEqual(structure.location, { places: ['Berlin', 'Remote - EU'], workplace: 'remote' });
+  assert.deepEqual(structure.mustHave, ['Python', 'Airflow']);
+  assert.deepEqual(structure.responsibilities, ['Own the pipelines']);
+  assert.deepEqual(structure.techStack, ['dbt']);
+  assert.equal(structure.compensation.text, 'EUR 70000-90000 per year');
+});
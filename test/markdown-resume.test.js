@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapBlocksToResume, markdownToBlocks, toIsoDate } from '../src/utils/markdown-resume.js';
+
+function parse(markdown) {
+  return mapBlocksToResume(markdownToBlocks(markdown));
+}
+
+function workEntry(heading, body = '- Built the billing service') {
+  const { resume, gaps } = parse(`# Jane Doe\n\n## Experience\n\n### ${heading}\n${body}\n`);
+  return { item: resume.work[0], gaps };
+}
+
+test('header lines become basics and contact details', () => {
+  const { resume } = parse('# Jane Doe\nSenior Engineer\njane@example.com | +1 512 555 0100 | Austin, TX | github.com/jane\n');
+  assert.equal(resume.basics.name, 'Jane Doe');
+  assert.equal(resume.basics.label, 'Senior Engineer');
+  assert.equal(resume.basics.email, 'jane@example.com');
+  assert.deepEqual(resume.basics.location, { city: 'Austin', region: 'TX' });
+  assert.equal(resume.basics.profiles[0].network, 'GitHub');
+});
+
+test('"Title, Company" headings are not read as a location', () => {
+  const { item, gaps } = workEntry('Senior Engineer, Acme Corp', 'Jan 2020 - Present\n- Built the billing service');
+  assert.equal(item.position, 'Senior Engineer');
+  assert.equal(item.name, 'Acme Corp');
+  assert.equal(item.location, undefined);
+  assert.equal(item.startDate, '2020-01');
+  assert.deepEqual(gaps, []);
+});
+
+test('"Company, Title" headings are split the same way', () => {
+  const { item } = workEntry('Acme Corp, Staff Developer (2018 - 2020)');
+  assert.equal(item.name, 'Acme Corp');
+  assert.equal(item.position, 'Staff Developer');
+  assert.equal(item.location, undefined);
+});
+
+test('a trailing city and state or country is the location', () => {
+  const { item } = workEntry('Data Analyst, Hooli, San Francisco, CA (2014 - 2015)');
+  assert.equal(item.position, 'Data Analyst');
+  assert.equal(item.name, 'Hooli');
+  assert.equal(item.location, 'San Francisco, CA');
+  assert.equal(workEntry('Software Engineer | Globex | Berlin, Germany | 2017 - 2019').item.location, 'Berlin, Germany');
+});
+
+test('Remote is a location and "Inc." stays with the company', () => {
+  assert.equal(workEntry('Umbrella — Remote — Product Manager — 2013 - 2014').item.location, 'Remote');
+  const { item } = workEntry('Initech, Inc. — Lead Developer', '2015 - 2017\n- Shipped');
+  assert.equal(item.name, 'Initech, Inc.');
+  assert.equal(item.position, 'Lead Developer');
+});
+
+test('a title followed by a two-letter code is not a place', () => {
+  const { item } = workEntry('Lead Engineer, QA | Acme | 2019 - 2020');
+  assert.equal(item.position, 'Lead Engineer, QA');
+  assert.equal(item.name, 'Acme');
+  assert.equal(item.location, undefined);
+});
+
+test('entries without a title report the gap', () => {
+  const { gaps } = workEntry('Umbrella — Remote — 2013 - 2014');
+  assert.deepEqual(gaps.map(gap => gap.path), ['/work/0/position']);
+});
+
+test('education entries split degree, area and institution', () => {
+  const { resume } = parse('# Jane Doe\n\n## Education\n\n### University of Texas, Austin, TX\nB.S. in Computer Science, 2012\n- GPA: 3.8\n');
+  assert.deepEqual(resume.education[0], {
+    institution: 'University of Texas',
+    studyType: 'B.S.',
+    area: 'Computer Science',
+    endDate: '2012',
+    score: '3.8'
+  });
+});
+
+test('plain-text section titles and bullets without Markdown', () => {
+  const { resume } = parse('Jane Doe\n\nEXPERIENCE\nBackend Developer | Globex | 2017 - 2019\n• Built APIs\n• Ran on-call\n\nSKILLS\nLanguages: Go, Python\n');
+  assert.equal(resume.work[0].position, 'Backend Developer');
+  assert.deepEqual(resume.work[0].highlights, ['Built APIs', 'Ran on-call']);
+  assert.deepEqual(resume.skills, [{ name: 'Languages', keywords: ['Go', 'Python'] }]);
+});
+
+test('toIsoDate normalizes resume date styles', () => {
+  assert.equal(toIsoDate('Sept 2019'), '2019-09');
+  assert.equal(toIsoDate('3/2020'), '2020-03');
+  assert.equal(toIsoDate('Summer 2016'), '2016');
+  assert.equal(toIsoDate('Present'), undefined);
+});
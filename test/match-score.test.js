@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankedGaps, scoreMatch, yearsFromWorkHistory } from '../src/utils/match-score.js';
+
+const JOB = {
+  jobKeywords: [
+    { phrase: 'React', weight: 1 },
+    { phrase: 'PostgreSQL', weight: 0.8 },
+    { phrase: 'JavaScript', weight: 0.6 },
+    { phrase: 'Kafka', weight: 0.6, cluster: 'Messaging' },
+    { phrase: 'payments', weight: 0.5, category: 'domain' }
+  ],
+  structure: {
+    mustHave: ['3+ years with React'],
+    niceToHave: ['Kafka is a plus'],
+    techStack: ['Docker'],
+    yearsRequired: [{ skill: 'React', years: 3 }],
+    education: { level: 'bachelors', fields: ['Computer Science'], required: false }
+  },
+  experienceMatch: { requiredYears: 5, resumeYears: 4 }
+};
+const RESUME = {
+  resumeKeywords: [{ phrase: 'RabbitMQ', cluster: 'messaging' }],
+  resumeJson: { skills: [{ name: 'Frontend', keywords: ['Next.js', 'MySQL'] }] },
+  resumeSections: { experience: 'Built payments dashboards' }
+};
+
+function explanation(scoring, requirement) {
+  return scoring.explanations.find(item => item.requirement === requirement);
+}
+
+test('requirements are credited as matched, implied, related or missing', () => {
+  const scoring = scoreMatch({ ...JOB, ...RESUME });
+  const react = explanation(scoring, 'React');
+  assert.equal(react.importance, 'must-have');
+  assert.equal(react.status, 'matched');
+  assert.deepEqual(react.matchedBy, ['Next.js']);
+  assert.equal(explanation(scoring, 'payments').detail, 'Found in resume');
+  // Siblings under one parent skill and skills from the same keyword cluster earn half
+  assert.deepEqual(explanation(scoring, 'PostgreSQL'), {
+    category: 'skills', requirement: 'PostgreSQL', importance: 'standard', status: 'related',
+    gained: 4.8, lost: 4.8, detail: 'Related experience: MySQL', matchedBy: ['MySQL']
+  });
+  const kafka = explanation(scoring, 'Kafka');
+  assert.equal(kafka.importance, 'nice-to-have');
+  assert.equal(kafka.detail, 'Related Messaging experience: RabbitMQ');
+  assert.equal(explanation(scoring, 'Docker').status, 'missing');
+  // React from yearsRequired is already a skill requirement
+  assert.equal(scoring.explanations.filter(item => item.requirement === 'React').length, 1);
+});
+
+test('categories share the score by weight and the gains add up to it', () => {
+  const scoring = scoreMatch({ ...JOB, ...RESUME });
+  assert.equal(scoring.score, 0.79);
+  assert.deepEqual(scoring.categories.skills, { score: 0.75, weight: 0.5, earned: 3.15, possible: 4.2, matched: 2, total: 5 });
+  assert.deepEqual(scoring.categories.experience, { score: 0.8, weight: 0.2, earned: 1.6, possible: 2, matched: 0, total: 1 });
+  assert.equal(scoring.categories.domain.score, 1);
+  const gained = scoring.explanations.reduce((sum, item) => sum + item.gained, 0);
+  assert.ok(Math.abs(gained - scoring.score * 100) <= 1, `${gained} vs ${scoring.score * 100}`);
+  // Biggest impact first
+  const impact = scoring.explanations.map(item => item.gained + item.lost);
+  assert.deepEqual(impact, [...impact].sort((a, b) => b - a));
+});
+
+test('categories without requirements give their weight to the others', () => {
+  const scoring = scoreMatch({ jobKeywords: [{ phrase: 'React', weight: 1 }, { phrase: 'Go', weight: 1 }], resumeSections: { skills: 'React' } });
+  assert.deepEqual(Object.keys(scoring.categories), ['skills']);
+  assert.equal(scoring.categories.skills.weight, 1);
+  assert.equal(scoring.score, 0.5);
+  assert.deepEqual(scoreMatch({}), { score: 0, categories: {}, explanations: [] });
+});
+
+test('education counts the highest degree on the resume', () => {
+  const required = { jobKeywords: [], structure: { education: { level: 'masters', fields: [], required: true } } };
+  const bachelors = scoreMatch({ ...required, resumeJson: { education: [{ studyType: 'Bachelor of Science', area: 'Physics' }] } });
+  assert.deepEqual(explanation(bachelors, 'masters degree'), {
+    category: 'education', requirement: 'masters degree', importance: 'must-have', status: 'missing',
+    gained: 0, lost: 100, detail: 'Resume lists a bachelors degree'
+  });
+  const phd = scoreMatch({ ...required, resumeSections: { education: 'BSc Physics\nPhD in Physics' } });
+  assert.equal(explanation(phd, 'masters degree').status, 'matched');
+
+  // An optional degree still earns half for equivalent experience
+  const optional = scoreMatch({ ...JOB, ...RESUME });
+  assert.equal(explanation(optional, 'bachelors degree in Computer Science').status, 'partial');
+  assert.equal(optional.categories.education.score, 0.5);
+});
+
+test('experience is credited in proportion to the years covered', () => {
+  const years = resumeYears => scoreMatch({ experienceMatch: { requiredYears: 4, resumeYears } }).explanations[0];
+  assert.equal(years(6).status, 'matched');
+  assert.equal(years(3).gained, 75);
+  assert.equal(years(0).detail, 'No dated work history found');
+  assert.deepEqual(scoreMatch({ experienceMatch: { requiredYears: 0, resumeYears: 3 } }).explanations, []);
+});
+
+test('work history years count the current role up to today', () => {
+  const since = years => new Date(Date.now() - years * 365.25 * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  assert.equal(yearsFromWorkHistory([{ startDate: since(3), endDate: 'Present' }]), 3);
+  assert.equal(yearsFromWorkHistory([{ startDate: since(2), endDate: 'Current' }, { startDate: since(4) }]), 4);
+  assert.equal(yearsFromWorkHistory([{ startDate: since(1.5), endDate: 'now' }, { startDate: '2010-01-01', endDate: '2012-01-01' }]), 3.5);
+  // Overlapping roles count once
+  assert.equal(yearsFromWorkHistory([{ startDate: '2015-01-01', endDate: '2018-01-01' }, { startDate: '2016-01-01', endDate: '2017-01-01' }]), 3);
+  assert.equal(yearsFromWorkHistory([{ startDate: 'someday', endDate: 'Present' }, { endDate: '2020-01-01' }]), null);
+});
+
+test('rankedGaps lists unmatched skills by the points they cost', () => {
+  assert.deepEqual(rankedGaps(scoreMatch({ ...JOB, ...RESUME })), ['Docker', 'PostgreSQL', 'Kafka']);
+  assert.deepEqual(rankedGaps(scoreMatch({ ...JOB, ...RESUME }), 'education'), ['bachelors degree in Computer Science']);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSourceBullets, formatFidelityReport, verifyParseFidelity } from '../src/utils/parse-fidelity.js';
+
+const SOURCE = `Jane Doe
+Senior Software Engineer, Acme Corp (2020 - Present)
+• Led migration of 40 services to Kubernetes, cutting deploy time by 60%
+• Built a gRPC gateway handling 12k requests per second
+  with p99 latency under 20ms
+- Mentored four engineers on the team’s on-call rotation
+* Ran the quarterly capacity review with finance and SRE leadership
+Software Engineer, Widgets Inc (2016 - 2019)
+Shipped the billing system in Go and cut invoice
+errors by 30% across all regions
+`;
+
+function resumeWith(highlights) {
+  return { basics: { name: 'Jane Doe' }, work: [{ name: 'Acme Corp', highlights }] };
+}
+
+test('extractSourceBullets joins wrapped lines back onto their bullet', () => {
+  assert.deepEqual(extractSourceBullets(SOURCE), [
+    'Led migration of 40 services to Kubernetes, cutting deploy time by 60%',
+    'Built a gRPC gateway handling 12k requests per second with p99 latency under 20ms',
+    'Mentored four engineers on the team’s on-call rotation',
+    'Ran the quarterly capacity review with finance and SRE leadership'
+  ]);
+});
+
+test('copied highlights are verbatim despite quotes, dashes and trailing periods', () => {
+  const resume = resumeWith([
+    'Led migration of 40 services to Kubernetes, cutting deploy time by 60%.',
+    'Built a gRPC gateway handling 12k requests per second with p99 latency under 20ms',
+    "Mentored four engineers on the team's on-call rotation",
+    'Ran the quarterly capacity review with finance and SRE leadership'
+  ]);
+  resume.work.push({ name: 'Widgets Inc', highlights: ['Shipped the billing system in Go and cut invoice errors by 30% across all regions'] });
+  const report = verifyParseFidelity(resume, SOURCE);
+  assert.equal(report.highlights, 5);
+  assert.equal(report.score, 1);
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.dropped, []);
+});
+
+test('rewritten highlights are classified against the closest source line', () => {
+  const report = verifyParseFidelity(resumeWith([
+    'Led migration of 40 services to Kubernetes',
+    'Migrated services to Kubernetes, cutting deploy time significantly',
+    'Built a gRPC gateway handling 50k requests per second with p99 latency under 20ms',
+    'Designed the company design system in Figma'
+  ]), SOURCE);
+
+  assert.deepEqual(report.issues.map(issue => [issue.path, issue.status]), [
+    ['/work/0/highlights/0', 'truncated'],
+    ['/work/0/highlights/1', 'paraphrased'],
+    ['/work/0/highlights/2', 'invented'],
+    ['/work/0/highlights/3', 'invented']
+  ]);
+  const [truncated, paraphrased, inflated] = report.issues;
+  assert.equal(truncated.source, 'Led migration of 40 services to Kubernetes, cutting deploy time by 60%');
+  assert.deepEqual(paraphrased.missingNumbers, ['40', '60%']);
+  assert.deepEqual(inflated.unsupportedNumbers, ['50']);
+  assert.equal(report.flagged, 4);
+  assert.equal(report.score, 0);
+  assert.deepEqual(report.affectedEntries, ['/work/0']);
+});
+
+test('source bullets missing from the parse are reported as dropped', () => {
+  const report = verifyParseFidelity(resumeWith([
+    'Led migration of 40 services to Kubernetes, cutting deploy time by 60%'
+  ]), SOURCE);
+  assert.deepEqual(report.dropped.map(bullet => bullet.text), [
+    'Built a gRPC gateway handling 12k requests per second with p99 latency under 20ms',
+    'Mentored four engineers on the team’s on-call rotation',
+    'Ran the quarterly capacity review with finance and SRE leadership'
+  ]);
+});
+
+test('text copied across wrapped lines without bullet glyphs is verbatim', () => {
+  const report = verifyParseFidelity({
+    work: [{ highlights: ['Shipped the billing system in Go and cut invoice errors by 30% across all regions'] }],
+    projects: [{ highlights: [] }]
+  }, SOURCE);
+  assert.equal(report.highlights, 1);
+  assert.deepEqual(report.issues, []);
+});
+
+test('a resume without highlights scores 1', () => {
+  const report = verifyParseFidelity({ basics: { name: 'Jane Doe' } }, SOURCE);
+  assert.equal(report.highlights, 0);
+  assert.equal(report.score, 1);
+});
+
+test('formatFidelityReport lists flagged highlights and dropped bullets', () => {
+  const report = verifyParseFidelity(resumeWith([
+    'Built a gRPC gateway handling 50k requests per second with p99 latency under 20ms'
+  ]), SOURCE);
+  report.reprompted = ['/work/0'];
+  const markdown = formatFidelityReport(report);
+  assert.match(markdown, /^# Parse Fidelity Report/);
+  assert.match(markdown, /- \*\*Verbatim:\*\* 0 \(0%\)/);
+  assert.match(markdown, /- \*\*Re-prompted entries:\*\* \/work\/0/);
+  assert.match(markdown, /### \/work\/0\/highlights\/0 - Not found in source/);
+  assert.match(markdown, /- \*\*Numbers not in source:\*\* 50\n/);
+  assert.match(markdown, /## Dropped Source Bullets\n\n- Led migration of 40 services/);
+});
@@ -0,0 +1,182 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { config } from '../src/config.js';
+import { resetLLMClient } from '../src/llm/client.js';
+import { createApiServer } from '../src/server/index.js';
+import { getRun, pruneExpired, saveUpload, submitDecisions } from '../src/server/runs.js';
+
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+let server;
+let port;
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-patch-server-'));
+  config.server.uploadsDir = path.join(tempDir, 'uploads');
+  config.server.exportsDir = path.join(tempDir, 'exports');
+  config.files.tempDir = path.join(tempDir, 'temp');
+  // Runs replay the completions test/workflow.test.js records
+  config.openai.provider = 'replay';
+  config.openai.fixturesDir = fixture('llm');
+  resetLLMClient();
+  server = createApiServer({ host: '127.0.0.1' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Raw request so Host and Origin can be set freely
+function request(method, pathname, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        const isJson = (res.headers['content-type'] || '').startsWith('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson && data ? JSON.parse(data) : data });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('answers requests addressed to localhost', async () => {
+  const res = await request('GET', '/api/health', { headers: { Host: `localhost:${port}` } });
+  assert.equal(res.status, 200);
+});
+
+test('rejects foreign Host headers (DNS rebinding)', async () => {
+  const res = await request('GET', '/api/runs', { headers: { Host: `attacker.example:${port}` } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, 'SECURITY_ERROR');
+});
+
+test('rejects requests from another origin', async () => {
+  const res = await request('POST', '/api/runs', {
+    headers: { Host: `127.0.0.1:${port}`, Origin: 'https://evil.example', 'Content-Type': 'application/json' },
+    body: '{}'
+  });
+  assert.equal(res.status, 403);
+  const nullOrigin = await request('GET', '/api/runs', { headers: { Host: `127.0.0.1:${port}`, Origin: 'null' } });
+  assert.equal(nullOrigin.status, 403);
+});
+
+test('accepts its own origin', async () => {
+  const res = await request('GET', '/api/runs', { headers: { Host: `127.0.0.1:${port}`, Origin: `http://127.0.0.1:${port}` } });
+  assert.equal(res.status, 200);
+});
+
+test('JSON endpoints require application/json', async () => {
+  const res = await request('POST', '/api/runs', {
+    headers: { Host: `127.0.0.1:${port}`, 'Content-Type': 'text/plain' },
+    body: '{"resumeId":"x","jdText":"y"}'
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error.message, /application\/json/);
+});
+
+test('uploads refuse form content types', async () => {
+  for (const type of ['multipart/form-data; boundary=x', 'application/x-www-form-urlencoded', 'text/plain']) {
+    const res = await request('POST', '/api/resumes?filename=cv.md', {
+      headers: { Host: `127.0.0.1:${port}`, 'Content-Type': type },
+      body: '# Jane Doe'
+    });
+    assert.equal(res.status, 400, type);
+  }
+  const res = await request('POST', '/api/resumes?filename=cv.md', {
+    headers: { Host: `127.0.0.1:${port}`, 'Content-Type': 'application/octet-stream' },
+    body: '# Jane Doe'
+  });
+  assert.equal(res.status, 201);
+});
+
+test('pruneExpired deletes old uploads and files left by earlier processes', async () => {
+  const upload = await saveUpload('old.md', Buffer.from('# Jane Doe'));
+  const orphan = path.join(config.server.uploadsDir, 'orphan.pdf');
+  await fs.writeFile(orphan, 'x');
+  const pruned = await pruneExpired(Date.now() + config.server.retentionMs + 1000);
+  assert.ok(pruned.uploads.includes(upload.id));
+  await assert.rejects(fs.access(upload.path));
+  await assert.rejects(fs.access(orphan));
+});
+
+const local = { Host: '127.0.0.1' };
+const json = body => ({ headers: { ...local, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+async function waitForRun(runId) {
+  for (let i = 0; i < 600; i++) {
+    const res = await request('GET', `/api/runs/${runId}`, { headers: local });
+    if (res.body.status !== 'running') return res.body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Run ${runId} did not stop`);
+}
+
+test('a run goes from upload through approval to its exports', async () => {
+  const upload = await request('POST', '/api/resumes?filename=resume.md', {
+    headers: { ...local, 'Content-Type': 'application/octet-stream' },
+    body: await fs.readFile(fixture('resume.md'))
+  });
+  assert.equal(upload.status, 201);
+
+  const started = await request('POST', '/api/runs', json({ resumeId: upload.body.id, jdText: await fs.readFile(fixture('jd.txt'), 'utf8') }));
+  assert.equal(started.status, 202);
+  const runId = started.body.id;
+  const paused = await waitForRun(runId);
+  assert.equal(paused.status, 'awaiting_approval');
+  assert.deepEqual(paused.exports, []);
+
+  const { body: review } = await request('GET', `/api/runs/${runId}/patches`, { headers: local });
+  assert.equal(review.awaitingApproval, true);
+  assert.deepEqual(review.patches.map(p => p.id), ['skill_amazon_eks', 'skill_terraform_cloud', 'enhance_skills_section']);
+  assert.deepEqual(review.patches[0].location, [{ op: 'add', path: '/skills/1/keywords/-' }]);
+  const exportBeforeApproval = await request('GET', `/api/runs/${runId}/exports/json`, { headers: local });
+  assert.equal(exportBeforeApproval.status, 409);
+
+  const decisions = [
+    { id: 'skill_amazon_eks', action: 'approve' },
+    { id: 'skill_terraform_cloud', action: 'edit', value: 'Terraform' },
+    { id: 'enhance_skills_section', action: 'reject' }
+  ];
+  const preview = await request('POST', `/api/runs/${runId}/preview`, json({ decisions }));
+  assert.equal(preview.status, 200);
+  assert.match(preview.headers['content-type'], /^text\/html/);
+  assert.match(preview.body, /Amazon EKS/);
+
+  // A bad decision set is refused and leaves the run paused
+  const invalid = await request('POST', `/api/runs/${runId}/approvals`, json({ decisions: [{ id: 'skill_nope', action: 'approve' }] }));
+  assert.equal(invalid.status, 400);
+  assert.equal((await waitForRun(runId)).status, 'awaiting_approval');
+
+  // Only one of two simultaneous submissions resumes the run
+  const run = await getRun(runId);
+  const submissions = await Promise.allSettled([submitDecisions(run, decisions), submitDecisions(run, decisions)]);
+  assert.deepEqual(submissions.map(result => result.status), ['fulfilled', 'rejected']);
+  assert.equal(submissions[1].reason.code, 'CONFLICT');
+  const late = await request('POST', `/api/runs/${runId}/approvals`, json({ decisions }));
+  assert.equal(late.status, 409);
+
+  const completed = await waitForRun(runId);
+  assert.equal(completed.status, 'completed');
+  assert.ok(completed.exports.includes('json'));
+  assert.ok(!completed.exports.includes('pdf'));
+
+  const exported = await request('GET', `/api/runs/${runId}/exports/json`, { headers: local });
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers['content-disposition'], /filename="resume.json"/);
+  const infrastructure = exported.body.skills.find(group => group.name === 'Infrastructure');
+  assert.deepEqual(infrastructure.keywords, ['Kubernetes', 'Docker', 'Amazon EKS', 'Terraform']);
+  const pdf = await request('GET', `/api/runs/${runId}/exports/pdf`, { headers: local });
+  assert.equal(pdf.status, 404);
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { approvePatchesNode } from '../src/nodes/approve-patches.js';
+import { annotateSkillEvidence, findSkillEvidence, isUnsupportedClaim, UNSUPPORTED_CLAIM } from '../src/utils/skill-evidence.js';
+
+const RESUME = {
+  work: [
+    {
+      name: 'Acme Corp',
+      position: 'Backend Engineer',
+      summary: 'Owned the payments platform.',
+      highlights: ['Moved the ledger from MySQL to a sharded setup', 'Built billing services in Go']
+    }
+  ],
+  projects: [{ name: 'Dashboards', highlights: ['React front end for the billing team'] }]
+};
+
+const skillPatch = (id, value) => ({ id, type: 'add_skill', details: { value } });
+
+const autoApplyUnsupported = config.patches.autoApplyUnsupported;
+after(() => {
+  config.patches.autoApplyUnsupported = autoApplyUnsupported;
+});
+
+test('a skill the work history names is backed directly', () => {
+  const evidence = findSkillEvidence('golang', RESUME);
+  assert.equal(evidence.status, 'direct');
+  assert.deepEqual(evidence.items, [{
+    path: '/work/0/highlights/1',
+    source: 'work: Backend Engineer at Acme Corp',
+    text: 'Built billing services in Go',
+    match: 'direct'
+  }]);
+});
+
+test('a related technology backs a skill the resume does not name', () => {
+  const evidence = findSkillEvidence('PostgreSQL', RESUME);
+  assert.equal(evidence.status, 'related');
+  assert.deepEqual(evidence.items.map(item => [item.path, item.skill, item.match]), [['/work/0/highlights/0', 'MySQL', 'related']]);
+});
+
+test('text-only resumes are searched line by line', () => {
+  const evidence = findSkillEvidence('Kubernetes', null, { experience: '• Ran Kubernetes clusters\n• Wrote docs', projects: '' });
+  assert.deepEqual(evidence.items.map(item => [item.path, item.match]), [['experience:1', 'direct']]);
+});
+
+test('skills nothing backs are labeled as unsupported claims', () => {
+  const patches = annotateSkillEvidence([
+    skillPatch('skill_go', 'Go'),
+    skillPatch('skill_rust', 'Rust'),
+    { id: 'role_1', type: 'role_enhancement', details: { value: 'Led Rust rewrite' } }
+  ], RESUME, {});
+  assert.deepEqual(patches.map(patch => [patch.id, patch.evidence?.status, patch.label]), [
+    ['skill_go', 'direct', undefined],
+    ['skill_rust', 'none', UNSUPPORTED_CLAIM],
+    ['role_1', undefined, undefined]
+  ]);
+  assert.deepEqual(patches.map(isUnsupportedClaim), [false, true, false]);
+});
+
+test('auto-apply leaves out unsupported claims unless they are allowed', async () => {
+  const patches = annotateSkillEvidence([skillPatch('skill_go', 'Go'), skillPatch('skill_rust', 'Rust')], RESUME, {});
+  const approved = async state => (await approvePatchesNode({ patches, auto_apply: true, ...state })).approvedPatches.map(p => p.id);
+
+  config.patches.autoApplyUnsupported = false;
+  assert.deepEqual(await approved({}), ['skill_go']);
+  assert.deepEqual(await approved({ auto_apply_unsupported: true }), ['skill_go', 'skill_rust']);
+  config.patches.autoApplyUnsupported = true;
+  assert.deepEqual(await approved({}), ['skill_go', 'skill_rust']);
+  // The run's own setting wins over the config default
+  assert.deepEqual(await approved({ auto_apply_unsupported: false }), ['skill_go']);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canonicalSkillName,
+  dedupeSkills,
+  findSkillsInText,
+  impliedSkills,
+  mentionsSkill,
+  relatedSkills,
+  sameSkill
+} from '../src/utils/skill-taxonomy.js';
+
+test('aliases and spelling variants resolve to one skill', () => {
+  assert.equal(canonicalSkillName('postgres'), 'PostgreSQL');
+  assert.ok(sameSkill('React.js', 'react'));
+  assert.ok(sameSkill('golang', 'Go'));
+  assert.deepEqual(dedupeSkills(['React', 'ReactJS', 'Node', 'node.js', 'Kubernetes']), ['React', 'Node', 'Kubernetes']);
+});
+
+test('parents are implied transitively', () => {
+  assert.deepEqual(impliedSkills('Next.js'), ['React', 'JavaScript']);
+  assert.ok(relatedSkills('PostgreSQL').includes('MySQL'));
+  assert.ok(!relatedSkills('React').includes('Node.js'));
+});
+
+test('findSkillsInText prefers the longest mention', () => {
+  assert.deepEqual(findSkillsInText('Built apps in React Native and React'), ['React Native', 'React']);
+});
+
+test('ambiguous names only count when capitalized', () => {
+  assert.deepEqual(findSkillsInText('Services in Go and Rust'), ['Go', 'Rust']);
+  assert.deepEqual(findSkillsInText('ready to go, no rust on the pipes'), []);
+});
+
+test('short names are not read out of compound words', () => {
+  assert.deepEqual(findSkillsInText('Led R&D on C-level dashboards and the Go-to-market plan'), []);
+  assert.deepEqual(findSkillsInText('P&R and S&C teams'), []);
+  assert.deepEqual(findSkillsInText('Wrote services in Go, R and C; also C++ and C#.'), ['Go', 'R', 'C', 'C++', 'C#']);
+  assert.deepEqual(findSkillsInText('C/C++ firmware'), ['C++']);
+});
+
+test('longer names still allow hyphenated and slashed forms', () => {
+  assert.deepEqual(findSkillsInText('Java-based services, Python/Django'), ['Java', 'Python', 'Django']);
+});
+
+test('mentionsSkill matches known skills by any name and unknown terms by word', () => {
+  assert.ok(mentionsSkill('Ran Postgres clusters', 'PostgreSQL'));
+  assert.ok(!mentionsSkill('Led R&D', 'R'));
+  assert.ok(mentionsSkill('Owned the billing platform', 'billing'));
+  assert.ok(!mentionsSkill('Owned the rebilling platform', 'billing'));
+  // Unknown short terms keep their casing
+  assert.ok(mentionsSkill('Shipped a QX tool', 'QX'));
+  assert.ok(!mentionsSkill('qx', 'QX'));
+});
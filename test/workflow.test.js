@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Command, MemorySaver } from '@langchain/langgraph';
+import { config } from '../src/config.js';
+import { resetLLMClient } from '../src/llm/client.js';
+import { createWorkflow, getPendingApproval, resumePatch, resumeRun } from '../src/workflow.js';
+import { startNode } from '../src/nodes/start.js';
+import { parseResumeNode } from '../src/nodes/parse-resume.js';
+import { fetchJDNode } from '../src/nodes/fetch-jd.js';
+import { analyzeNode } from '../src/nodes/analyze.js';
+import { suggestPatchesNode } from '../src/nodes/suggest-patches.js';
+import { applyPatchesNode } from '../src/nodes/apply-patches.js';
+import { isUnsupportedClaim } from '../src/utils/skill-evidence.js';
+
+// Completions in fixtures/llm were recorded from fixtures/resume.md and fixtures/jd.txt;
+// a changed prompt misses its fixture and the node falls back, failing the assertions below.
+// LLM_PROVIDER=record re-records them against the live API.
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const SUGGESTED = ['skill_amazon_eks', 'skill_terraform_cloud', 'enhance_skills_section'];
+
+let tempDir;
+let jdText;
+
+before(async () => {
+  config.openai.provider = process.env.LLM_PROVIDER === 'record' ? 'record' : 'replay';
+  config.openai.fixturesDir = fixture('llm');
+  resetLLMClient();
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-patch-workflow-'));
+  config.files.tempDir = path.join(tempDir, 'temp');
+  jdText = await fs.readFile(fixture('jd.txt'), 'utf8');
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+function initialState(overrides = {}) {
+  return {
+    run_id: 'test-run',
+    resume_path: fixture('resume.md'),
+    jd_text: jdText,
+    allow_disk: false,
+    start_time: Date.now(),
+    output_path: path.join(tempDir, 'out'),
+    ...overrides
+  };
+}
+
+function skillGroup(resume, name) {
+  return resume.skills.find(group => group.name === name)?.keywords || [];
+}
+
+async function analyzedState() {
+  const started = await startNode(initialState());
+  const parsed = await parseResumeNode(started);
+  const withJob = await fetchJDNode(parsed);
+  return analyzeNode(withJob);
+}
+
+test('createWorkflow runs end to end on recorded completions', async () => {
+  const workflow = createWorkflow({ checkpointer: new MemorySaver() });
+  const result = await workflow.invoke(initialState({ auto_apply: true }), { configurable: { thread_id: 'auto' } });
+
+  assert.equal(result.current_step, 'export');
+  assert.equal(result.jobDescription.structure.method, 'ai');
+  assert.deepEqual(result.patches.map(p => p.id), SUGGESTED);
+  // Terraform Cloud has no supporting evidence in the resume, so auto-apply holds it back
+  assert.deepEqual(result.resume.appliedPatches.map(p => p.id), ['skill_amazon_eks', 'enhance_skills_section']);
+  // The text fallback applies enhance_skills_section; it is not also reported as failed
+  assert.deepEqual(result.resume.failedPatches, []);
+  const exported = result.output.formats.json.content;
+  assert.deepEqual(skillGroup(exported, 'Infrastructure'), ['Kubernetes', 'Docker', 'Amazon EKS']);
+  assert.match(result.output.formats.patchReport.content, /Amazon EKS/);
+});
+
+test('a run without auto-apply pauses for approval and resumes with decisions', async () => {
+  const workflow = createWorkflow({ checkpointer: new MemorySaver() });
+  const runConfig = { configurable: { thread_id: 'review' } };
+  const paused = await workflow.invoke(initialState(), runConfig);
+
+  const pending = getPendingApproval(paused);
+  assert.deepEqual(pending.patches.map(p => p.id), SUGGESTED);
+
+  const decisions = [
+    { id: 'skill_amazon_eks', action: 'approve' },
+    { id: 'skill_terraform_cloud', action: 'approve' },
+    { id: 'enhance_skills_section', action: 'reject' }
+  ];
+  const result = await workflow.invoke(new Command({ resume: decisions }), runConfig);
+
+  assert.equal(getPendingApproval(result), null);
+  assert.deepEqual(result.resume.appliedPatches.map(p => p.id), ['skill_amazon_eks', 'skill_terraform_cloud']);
+  assert.deepEqual(skillGroup(result.output.formats.json.content, 'Infrastructure'),
+    ['Kubernetes', 'Docker', 'Amazon EKS', 'Terraform Cloud']);
+});
+
+test('suggestPatchesNode proposes the skills the recorded model picked', async () => {
+  const state = await analyzedState();
+  assert.deepEqual(state.analysis.skillGaps, ['AWS', 'Kafka', 'Terraform']);
+
+  const { patches, current_step } = await suggestPatchesNode(state);
+  assert.equal(current_step, 'suggest_patches');
+  assert.deepEqual(patches.map(p => p.id), SUGGESTED);
+  const [eks, terraform] = patches;
+  assert.equal(eks.priority, 'high');
+  // EKS is backed by the Kubernetes work; nothing in the resume backs Terraform Cloud
+  assert.equal(eks.evidence.status, 'related');
+  assert.equal(eks.evidence.items[0].skill, 'Kubernetes');
+  assert.equal(terraform.evidence.status, 'none');
+  assert.ok(isUnsupportedClaim(terraform));
+});
+
+test('applyPatchesNode places approved skills using the recorded categorization', async () => {
+  const state = await analyzedState();
+  const { patches } = await suggestPatchesNode(state);
+  const approvedPatches = patches.filter(p => p.type === 'add_skill');
+
+  const { resume } = await applyPatchesNode({ ...state, patches, approvedPatches });
+  assert.equal(resume.patched, true);
+  assert.deepEqual(resume.appliedPatches.map(p => p.id), ['skill_amazon_eks', 'skill_terraform_cloud']);
+  assert.deepEqual(resume.failedPatches, []);
+  assert.deepEqual(skillGroup(resume.content.jsonResume, 'Infrastructure'),
+    ['Kubernetes', 'Docker', 'Amazon EKS', 'Terraform Cloud']);
+  // The input state is left untouched
+  assert.deepEqual(skillGroup(state.resume.content.jsonResume, 'Infrastructure'), ['Kubernetes', 'Docker']);
+});
+
+test('applyPatchesNode reports skills the resume already lists as failed', async () => {
+  const state = await analyzedState();
+  const approvedPatches = [{ id: 'skill_k8s', type: 'add_skill', details: { value: 'k8s' } }];
+
+  const { resume } = await applyPatchesNode({ ...state, approvedPatches });
+  assert.deepEqual(resume.appliedPatches, []);
+  // The JSON Resume refuses the duplicate and the text fallback never sees it
+  assert.deepEqual(resume.failedPatches.map(p => [p.id, p.reason]), [['skill_k8s', 'Skill already exists in resume']]);
+  assert.deepEqual(skillGroup(resume.content.jsonResume, 'Infrastructure'), ['Kubernetes', 'Docker']);
+});
+
+test('a decisions file decides the same patches in the graph and on resume', async () => {
+  const rulesPath = path.join(tempDir, 'rules.yaml');
+  await fs.writeFile(rulesPath, [
+    'default: reject',
+    'rules:',
+    '  - { id: skill_terraform_cloud, action: reject }',
+    '  - { section: skills, type: add_skill, action: approve }',
+    ''
+  ].join('\n'), 'utf8');
+  const options = { text: jdText, output: path.join(tempDir, 'out') };
+
+  const inGraph = await resumePatch(fixture('resume.md'), { ...options, runId: 'rules-in-graph', decisionsFile: rulesPath });
+  const paused = await resumePatch(fixture('resume.md'), { ...options, runId: 'rules-on-resume' });
+  assert.ok(getPendingApproval(paused));
+  const resumed = await resumeRun('rules-on-resume', { decisionsFile: rulesPath });
+
+  for (const result of [inGraph, resumed]) {
+    assert.deepEqual(result.approvedPatches.map(p => p.id), ['skill_amazon_eks']);
+    assert.deepEqual(skillGroup(result.output.formats.json.content, 'Infrastructure'), ['Kubernetes', 'Docker', 'Amazon EKS']);
+  }
+});